@@ -12,20 +12,50 @@ import express from 'express';
 import bodyParser from 'body-parser';
 import cors from 'cors';
 import jwt from 'jsonwebtoken';
-import fetch from 'node-fetch';
-import { CookieJar } from 'tough-cookie';
-import fetchCookie from 'fetch-cookie';
-import * as cheerio from 'cheerio';
 import rateLimit from 'express-rate-limit';
 import helmet from 'helmet';
 import compression from 'compression';
-import { body, validationResult } from 'express-validator';
+import { body, query, validationResult } from 'express-validator';
 import logger from './lib/logger.js';
 import authRouter from './routes/auth.js';
 import adminRouter from './routes/admin.js';
 import bcrypt from 'bcryptjs';
-import { scrapeDatewiseAttendance } from './src/services/datewiseAttendanceService.js';
+import {
+  scrapeDatewiseAttendance,
+  startDatewiseRangeJob,
+  getDatewiseRangeJob,
+  listDatesInRange,
+  istToday,
+  isFutureLmsDate,
+  getStoredDatewiseDays,
+  summariseDatewiseDay,
+  MAX_RANGE_DAYS
+} from './src/services/datewiseAttendanceService.js';
+import { formatLmsDate } from './src/lib/lmsClient.js';
+import { getLmsBreakerState } from './src/lib/lmsResilience.js';
+import { getParserHealth } from './src/lib/parserHealth.js';
+import { getAttendanceHistory } from './src/services/snapshotService.js';
+import { loadThresholdRules, applyThresholds } from './src/services/thresholdService.js';
+import { loadSubjectGroupRules, buildSubjectGroups } from './src/services/subjectGroupService.js';
+import { backfillSubjectIds, subjectLabel } from './src/services/subjectCatalogService.js';
+import { getCredentialStatus, revokeCredentials } from './src/services/credentialVault.js';
+import { setAutoRefresh, getAutoRefreshStatus } from './src/services/autoRefreshService.js';
+import { getAlertEmail, setAlertEmail } from './src/services/attendanceAlertService.js';
+import { isPushConfigured, getVapidPublicKey, isAllowedPushEndpoint, saveSubscription, removeSubscription } from './src/services/pushService.js';
+import { isEmailConfigured } from './src/lib/email.js';
+import {
+  createCalendarFeed,
+  revokeCalendarFeed,
+  getCalendarFeedStatus,
+  findCalendarFeedUser,
+  getCalendarClasses,
+  renderCalendar
+} from './src/services/calendarFeedService.js';
 import { getSharedPool, closePool as closeDbPool } from './src/sharedDb.js';
+import { enqueueScrape, startScrapeWorker } from './src/services/scraperService.js';
+import { getLatestScrapeJob, serializeScrapeJob } from './src/services/scrapeJobService.js';
+import { stopScrapeWorker } from './src/lib/scrapeQueue.js';
+import { subscribeScrapeJobs, startScrapeEventListener, stopScrapeEventListener } from './src/lib/scrapeEvents.js';
 // Browser pool no longer needed - datewise attendance now uses HTTP + Cheerio
 
 const app = express();
@@ -55,19 +85,19 @@ const apiLimiter = rateLimit({
   // Skip rate limiting for localhost in development
   skip: (req) => {
     if (process.env.NODE_ENV === 'development') {
-      const ip = req.ip || req.connection?.remoteAddress || req.socket?.remoteAddress || ''
+      const ip = req.ip || req.connection?.remoteAddress || req.socket?.remoteAddress || '';
       const isLocalhost = ip === '127.0.0.1' || 
                           ip === '::1' || 
                           ip === '::ffff:127.0.0.1' || 
                           ip.startsWith('127.0.0.1') || 
                           ip.startsWith('::1') ||
                           ip === 'localhost' ||
-                          !ip || ip === 'undefined'
+                          !ip || ip === 'undefined';
       if (isLocalhost) {
-        return true // Skip rate limiting for localhost in dev
+        return true; // Skip rate limiting for localhost in dev
       }
     }
-    return false
+    return false;
   }
 });
 
@@ -178,49 +208,6 @@ if (SCRAPER_URL) {
   logger.warn('SCRAPER_URL not set - scraper verification disabled');
 }
 
-// --- Simple in-memory rate limiter & scrape trackers ---
-const lastLoginAt = {}; // username -> timestamp ms
-const scrapingStatus = {}; // username -> { running: boolean, promise: Promise }
-
-// Global scraping queue to prevent system overload
-const MAX_CONCURRENT_SCRAPES = 3; // Limit concurrent scrapes across all users
-let activeScrapes = 0;
-const scrapeQueue = [];
-
-/**
- * Execute a scrape with global queue management
- * Prevents too many concurrent scrapes from overwhelming the system
- */
-async function executeScrape(username, scrapeFn) {
-  return new Promise((resolve, reject) => {
-    const runScrape = async () => {
-      activeScrapes++;
-      logger.info('[scrape] Starting scrape', { username, activeScrapes, queueLength: scrapeQueue.length });
-      try {
-        const result = await scrapeFn();
-        resolve(result);
-      } catch (err) {
-        reject(err);
-      } finally {
-        activeScrapes--;
-        logger.info('[scrape] Scrape completed', { username, activeScrapes, queueLength: scrapeQueue.length });
-        // Process next in queue
-        if (scrapeQueue.length > 0) {
-          const next = scrapeQueue.shift();
-          runScrape().then(next.resolve).catch(next.reject);
-        }
-      }
-    };
-    
-    if (activeScrapes < MAX_CONCURRENT_SCRAPES) {
-      runScrape();
-    } else {
-      logger.info('[scrape] Queueing scrape request', { username, activeScrapes, queueLength: scrapeQueue.length + 1 });
-      scrapeQueue.push({ resolve, reject, runScrape });
-    }
-  });
-}
-
 // In-memory cache for attendance data (2 minute TTL)
 const attendanceCache = new Map();
 const ATTENDANCE_CACHE_TTL = 2 * 60 * 1000; // 2 minutes
@@ -259,6 +246,14 @@ function setCachedAttendance(username, data) {
   }
 }
 
+// A finished scrape replaces the snapshot - drop the cached response so the next request sees it.
+// Scrapes finished by other instances arrive here too (see src/lib/scrapeEvents.js).
+subscribeScrapeJobs(({ username, job }) => {
+  if (job.status === 'succeeded') {
+    attendanceCache.delete(username);
+  }
+});
+
 // ---- Database Connection ----
 // Use shared pool to prevent multiple pool instances
 const pool = getSharedPool();
@@ -323,8 +318,25 @@ async function ensureSchema() {
     // Add login_count column if table already exists
     await pool.query(`ALTER TABLE users ADD COLUMN IF NOT EXISTS login_count integer DEFAULT 0`).catch(e => logger.warn('Column login_count may already exist:', e.message));
     await pool.query(`ALTER TABLE users ADD COLUMN IF NOT EXISTS last_login_at timestamptz`).catch(e => logger.warn('Column last_login_at may already exist:', e.message));
+    // Where low-attendance alerts are emailed (set by the student; NULL = no email alerts)
+    await pool.query(`ALTER TABLE users ADD COLUMN IF NOT EXISTS email text`).catch(e => logger.warn('Column email may already exist:', e.message));
     
     // Attendance storage tables
+    // One row per scrape; attendance rows hang off it so every snapshot is kept for history
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS scrape_runs (
+        id uuid DEFAULT gen_random_uuid() PRIMARY KEY,
+        username text NOT NULL,
+        student_name text,
+        source text,
+        from_date text,
+        to_date text,
+        subject_count integer DEFAULT 0,
+        fetched_at timestamptz NOT NULL DEFAULT now()
+      );
+    `);
+    await pool.query(`CREATE INDEX IF NOT EXISTS idx_scrape_runs_username_fetched_at ON scrape_runs(username, fetched_at DESC)`).catch(e => logger.warn('Index may already exist:', e.message));
+
     await pool.query(`
       CREATE TABLE IF NOT EXISTS attendance (
         id uuid DEFAULT gen_random_uuid() PRIMARY KEY,
@@ -345,6 +357,8 @@ async function ensureSchema() {
     await pool.query(`CREATE INDEX IF NOT EXISTS idx_attendance_recorded_at ON attendance(recorded_at DESC)`).catch(e => logger.warn('Index may already exist:', e.message));
     // Optimized composite index for common query pattern
     await pool.query(`CREATE INDEX IF NOT EXISTS idx_attendance_username_recorded_at ON attendance(username, recorded_at DESC)`).catch(e => logger.warn('Index may already exist:', e.message));
+    await pool.query(`ALTER TABLE attendance ADD COLUMN IF NOT EXISTS scrape_run_id uuid REFERENCES scrape_runs(id) ON DELETE CASCADE`).catch(e => logger.warn('Column scrape_run_id may already exist:', e.message));
+    await pool.query(`CREATE INDEX IF NOT EXISTS idx_attendance_scrape_run_id ON attendance(scrape_run_id)`).catch(e => logger.warn('Index may already exist:', e.message));
     
     await pool.query(`
       CREATE TABLE IF NOT EXISTS upcoming_classes (
@@ -369,6 +383,242 @@ async function ensureSchema() {
       );
     `);
     await pool.query(`CREATE INDEX IF NOT EXISTS idx_latest_snapshot_attendance_id ON latest_snapshot(attendance_id)`).catch(e => logger.warn('Index may already exist:', e.message));
+    // Attendance cut-off rules, matched case-insensitively against the subject name (highest priority wins)
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS attendance_thresholds (
+        id serial PRIMARY KEY,
+        pattern text NOT NULL,
+        threshold numeric(5,2) NOT NULL CHECK (threshold > 0 AND threshold <= 100),
+        priority integer NOT NULL DEFAULT 0,
+        description text,
+        created_at timestamptz DEFAULT now(),
+        updated_at timestamptz DEFAULT now()
+      );
+    `);
+
+    // Overrides for grouping LMS subject names under a parent subject (e.g. CP_OBG -> Obstetrics & Gynaecology)
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS subject_group_rules (
+        id serial PRIMARY KEY,
+        pattern text NOT NULL,
+        group_name text NOT NULL,
+        component text,
+        priority integer NOT NULL DEFAULT 0,
+        created_at timestamptz DEFAULT now(),
+        updated_at timestamptz DEFAULT now()
+      );
+    `);
+
+    // Date-wise (per-period) attendance, one row per period; datewise_days records which days were fetched
+    // so a day without classes isn't scraped again
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS datewise_attendance (
+        id uuid DEFAULT gen_random_uuid() PRIMARY KEY,
+        username text NOT NULL,
+        date date NOT NULL,
+        subject text NOT NULL,
+        time_from text NOT NULL DEFAULT '',
+        time_to text,
+        attendance text,
+        fetched_at timestamptz NOT NULL DEFAULT now(),
+        UNIQUE (username, date, subject, time_from)
+      );
+    `);
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS datewise_days (
+        username text NOT NULL,
+        date date NOT NULL,
+        row_count integer NOT NULL DEFAULT 0,
+        fetched_at timestamptz NOT NULL DEFAULT now(),
+        PRIMARY KEY (username, date)
+      );
+    `);
+    // Background range scrapes (POST /api/attendance/datewise/range), pollable from any instance
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS datewise_range_jobs (
+        id uuid PRIMARY KEY,
+        username text NOT NULL,
+        from_date date NOT NULL,
+        to_date date NOT NULL,
+        refresh boolean NOT NULL DEFAULT false,
+        status text NOT NULL DEFAULT 'running',
+        done integer NOT NULL DEFAULT 0,
+        total integer NOT NULL,
+        error text,
+        worker_id text NOT NULL,
+        created_at timestamptz NOT NULL DEFAULT now(),
+        finished_at timestamptz
+      );
+    `);
+
+    // Opt-in AES-GCM sealed LMS passwords (see src/services/credentialVault.js)
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS credential_vault (
+        username text PRIMARY KEY,
+        ciphertext text NOT NULL,
+        iv text NOT NULL,
+        auth_tag text NOT NULL,
+        key_id text NOT NULL,
+        created_at timestamptz NOT NULL DEFAULT now(),
+        updated_at timestamptz NOT NULL DEFAULT now(),
+        last_used_at timestamptz
+      );
+    `);
+
+    // Alert state per subject and condition so each threshold crossing is emailed once
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS attendance_alerts (
+        username text NOT NULL,
+        subject text NOT NULL,
+        condition text NOT NULL,
+        active boolean NOT NULL DEFAULT false,
+        percent numeric(5,2),
+        triggered_at timestamptz,
+        cleared_at timestamptz,
+        notified_at timestamptz,
+        PRIMARY KEY (username, subject, condition)
+      );
+    `);
+
+    // One row per attendance scrape so clients can follow progress (GET /api/scrape/status).
+    // Also the scrape queue: workers claim queued rows (see src/lib/scrapeQueue.js); 'dead' = out of retries.
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS scrape_jobs (
+        id uuid DEFAULT gen_random_uuid() PRIMARY KEY,
+        username text NOT NULL,
+        trigger text NOT NULL,
+        status text NOT NULL CONSTRAINT scrape_jobs_status_check CHECK (status IN ('queued', 'running', 'succeeded', 'failed', 'dead')),
+        stage text,
+        created_at timestamptz NOT NULL DEFAULT now(),
+        started_at timestamptz,
+        finished_at timestamptz,
+        scrape_run_id uuid REFERENCES scrape_runs(id) ON DELETE SET NULL,
+        attendance_count integer,
+        error_code text,
+        error_message text,
+        from_date text,
+        to_date text,
+        attempts integer NOT NULL DEFAULT 0,
+        max_attempts integer NOT NULL DEFAULT 3,
+        run_after timestamptz NOT NULL DEFAULT now(),
+        pinned_to text,
+        locked_by text,
+        heartbeat_at timestamptz
+      );
+    `);
+    await pool.query(`ALTER TABLE scrape_jobs ADD COLUMN IF NOT EXISTS from_date text`).catch(e => logger.warn('Column from_date may already exist:', e.message));
+    await pool.query(`ALTER TABLE scrape_jobs ADD COLUMN IF NOT EXISTS to_date text`).catch(e => logger.warn('Column to_date may already exist:', e.message));
+    await pool.query(`ALTER TABLE scrape_jobs ADD COLUMN IF NOT EXISTS attempts integer NOT NULL DEFAULT 0`).catch(e => logger.warn('Column attempts may already exist:', e.message));
+    await pool.query(`ALTER TABLE scrape_jobs ADD COLUMN IF NOT EXISTS max_attempts integer NOT NULL DEFAULT 3`).catch(e => logger.warn('Column max_attempts may already exist:', e.message));
+    await pool.query(`ALTER TABLE scrape_jobs ADD COLUMN IF NOT EXISTS run_after timestamptz NOT NULL DEFAULT now()`).catch(e => logger.warn('Column run_after may already exist:', e.message));
+    await pool.query(`ALTER TABLE scrape_jobs ADD COLUMN IF NOT EXISTS pinned_to text`).catch(e => logger.warn('Column pinned_to may already exist:', e.message));
+    await pool.query(`ALTER TABLE scrape_jobs ADD COLUMN IF NOT EXISTS locked_by text`).catch(e => logger.warn('Column locked_by may already exist:', e.message));
+    await pool.query(`ALTER TABLE scrape_jobs ADD COLUMN IF NOT EXISTS heartbeat_at timestamptz`).catch(e => logger.warn('Column heartbeat_at may already exist:', e.message));
+    // Tables created before dead-lettering only allowed four statuses
+    await pool.query(`
+      ALTER TABLE scrape_jobs DROP CONSTRAINT IF EXISTS scrape_jobs_status_check,
+        ADD CONSTRAINT scrape_jobs_status_check CHECK (status IN ('queued', 'running', 'succeeded', 'failed', 'dead'))
+    `).catch(e => logger.warn('Could not update scrape_jobs status constraint:', e.message));
+    await pool.query(`CREATE INDEX IF NOT EXISTS idx_scrape_jobs_username_created ON scrape_jobs (username, created_at DESC)`).catch(e => logger.warn('Index idx_scrape_jobs_username_created may already exist:', e.message));
+    await pool.query(`CREATE INDEX IF NOT EXISTS idx_scrape_jobs_queued ON scrape_jobs (run_after, created_at) WHERE status = 'queued'`).catch(e => logger.warn('Index idx_scrape_jobs_queued may already exist:', e.message));
+    // At most one queued/running scrape per user, across every instance
+    await pool.query(`CREATE UNIQUE INDEX IF NOT EXISTS idx_scrape_jobs_one_active ON scrape_jobs (username) WHERE status IN ('queued', 'running')`).catch(e => logger.warn('Index idx_scrape_jobs_one_active may already exist:', e.message));
+
+    // Liveness of scrape workers: each upserts its row while running (see src/lib/scrapeQueue.js), so
+    // jobs pinned to a worker are only given up on once that worker has actually gone
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS scrape_workers (
+        worker_id text PRIMARY KEY,
+        started_at timestamptz NOT NULL DEFAULT now(),
+        heartbeat_at timestamptz NOT NULL DEFAULT now()
+      );
+    `);
+
+    // Web Push subscriptions, one row per browser/device
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS push_subscriptions (
+        id uuid DEFAULT gen_random_uuid() PRIMARY KEY,
+        username text NOT NULL,
+        endpoint text NOT NULL UNIQUE,
+        p256dh text NOT NULL,
+        auth text NOT NULL,
+        user_agent text,
+        created_at timestamptz NOT NULL DEFAULT now(),
+        last_success_at timestamptz,
+        failure_count integer NOT NULL DEFAULT 0
+      );
+    `);
+    await pool.query(`CREATE INDEX IF NOT EXISTS idx_push_subscriptions_username ON push_subscriptions (username)`).catch(e => logger.warn('Index idx_push_subscriptions_username may already exist:', e.message));
+
+    // LMS pages that failed their parser health check, sanitized for admin review (see src/lib/parserHealth.js)
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS lms_parse_reports (
+        id uuid DEFAULT gen_random_uuid() PRIMARY KEY,
+        username text,
+        job_id uuid,
+        page text NOT NULL,
+        status text NOT NULL CHECK (status IN ('suspicious', 'parse_error')),
+        issues jsonb NOT NULL DEFAULT '[]',
+        stats jsonb,
+        html text,
+        created_at timestamptz NOT NULL DEFAULT now()
+      );
+    `);
+    await pool.query(`CREATE INDEX IF NOT EXISTS idx_lms_parse_reports_created ON lms_parse_reports (created_at DESC)`).catch(e => logger.warn('Index idx_lms_parse_reports_created may already exist:', e.message));
+
+    // Canonical subjects that raw LMS names resolve to (see src/services/subjectCatalogService.js)
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS subjects (
+        id serial PRIMARY KEY,
+        name text NOT NULL,
+        code text,
+        department text,
+        component text CHECK (component IN ('theory', 'practical', 'clinical_posting')),
+        aliases text[] NOT NULL DEFAULT '{}',
+        auto_created boolean NOT NULL DEFAULT false,
+        created_at timestamptz DEFAULT now(),
+        updated_at timestamptz DEFAULT now()
+      );
+    `);
+    await pool.query(`CREATE UNIQUE INDEX IF NOT EXISTS idx_subjects_name_component ON subjects ((lower(name)), (COALESCE(component, '')))`).catch(e => logger.warn('Index idx_subjects_name_component may already exist:', e.message));
+    await pool.query(`CREATE UNIQUE INDEX IF NOT EXISTS idx_subjects_code_component ON subjects ((lower(code)), (COALESCE(component, ''))) WHERE code IS NOT NULL`).catch(e => logger.warn('Index idx_subjects_code_component may already exist:', e.message));
+    await pool.query(`ALTER TABLE attendance ADD COLUMN IF NOT EXISTS subject_id integer REFERENCES subjects(id) ON DELETE SET NULL`).catch(e => logger.warn('Column subject_id may already exist:', e.message));
+    await pool.query(`ALTER TABLE upcoming_classes ADD COLUMN IF NOT EXISTS subject_id integer REFERENCES subjects(id) ON DELETE SET NULL`).catch(e => logger.warn('Column subject_id may already exist:', e.message));
+    await pool.query(`ALTER TABLE datewise_attendance ADD COLUMN IF NOT EXISTS subject_id integer REFERENCES subjects(id) ON DELETE SET NULL`).catch(e => logger.warn('Column subject_id may already exist:', e.message));
+    // A threshold rule can target a catalogue subject instead of (or as well as) a name pattern
+    await pool.query(`ALTER TABLE attendance_thresholds ADD COLUMN IF NOT EXISTS subject_id integer REFERENCES subjects(id) ON DELETE CASCADE`).catch(e => logger.warn('Column subject_id may already exist:', e.message));
+    await pool.query(`ALTER TABLE attendance_thresholds ALTER COLUMN pattern DROP NOT NULL`).catch(e => logger.warn('Could not relax attendance_thresholds.pattern:', e.message));
+    await pool.query(`CREATE INDEX IF NOT EXISTS idx_attendance_subject_id ON attendance (subject_id)`).catch(e => logger.warn('Index idx_attendance_subject_id may already exist:', e.message));
+
+    // Revocable tokens for the .ics feed of upcoming classes, stored as SHA-256 hashes (see src/services/calendarFeedService.js)
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS calendar_feeds (
+        id uuid DEFAULT gen_random_uuid() PRIMARY KEY,
+        username text NOT NULL,
+        token_hash text NOT NULL UNIQUE,
+        created_at timestamptz NOT NULL DEFAULT now(),
+        last_accessed_at timestamptz,
+        revoked_at timestamptz
+      );
+    `);
+    await pool.query(`CREATE UNIQUE INDEX IF NOT EXISTS idx_calendar_feeds_one_active ON calendar_feeds (username) WHERE revoked_at IS NULL`).catch(e => logger.warn('Index idx_calendar_feeds_one_active may already exist:', e.message));
+
+    // Background refresh opt-in and outcome per user (see cron/attendanceRefresher.js)
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS auto_refresh (
+        username text PRIMARY KEY,
+        enabled boolean NOT NULL DEFAULT true,
+        last_attempt_at timestamptz,
+        last_success_at timestamptz,
+        last_failure_at timestamptz,
+        last_error text,
+        consecutive_failures integer NOT NULL DEFAULT 0,
+        updated_at timestamptz NOT NULL DEFAULT now()
+      );
+    `);
+
+    // latest_snapshot.scrape_run_id points at the newest run; attendance_id is kept for older readers
+    await pool.query(`ALTER TABLE latest_snapshot ADD COLUMN IF NOT EXISTS scrape_run_id uuid REFERENCES scrape_runs(id) ON DELETE SET NULL`).catch(e => logger.warn('Column scrape_run_id may already exist:', e.message));
     // Optimized composite index for common query pattern
     await pool.query(`CREATE INDEX IF NOT EXISTS idx_latest_snapshot_username_fetched_at ON latest_snapshot(username, fetched_at DESC)`).catch(e => logger.warn('Index may already exist:', e.message));
     
@@ -449,259 +699,6 @@ async function requireAuth(req, res, next) {
   }
 }
 
-// compute required r such that ((p+r)/(t+r))*100 >= 75
-function computeRequired(present, total) {
-  if (total === 0) return 0;
-  const current = (present / total) * 100;
-  if (current >= 75) return 0;
-  let r = 0;
-  while (true) {
-    const pct = ((present + r) / (total + r)) * 100;
-    if (pct >= 75) return r;
-    r++;
-    // safety cap to avoid infinite loop (shouldn't be needed)
-    if (r > 2000) return r;
-  }
-}
-
-function computePercent(present, total) {
-  if (total === 0) return 0;
-  return +((present / total) * 100).toFixed(2);
-}
-
-// Compute how many more classes can be missed while staying >= 75%
-// x_max = floor(present / 0.75 - total); clamp to 0
-function computeCanMiss(present, total) {
-  if (present < 0 || total <= 0) return 0;
-  const threshold = 0.75;
-  const allowed = Math.floor(present / threshold - total);
-  return Math.max(0, allowed);
-}
-
-const LMS_BASE = 'https://sbmchlms.com/lms';
-const LOGIN_URL = `${LMS_BASE}/site/userlogin`;
-const DASHBOARD_URL = `${LMS_BASE}/user/user/dashboard`;
-const ATTENDANCE_PAGE_URL = `${LMS_BASE}/user/attendence/subjectbyattendance`;
-const ATTENDANCE_API_URL = `${LMS_BASE}/user/attendence/subjectgetdaysubattendence`;
-const ORIGIN = 'https://sbmchlms.com';
-
-const DEFAULT_HEADERS = {
-  'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/121.0 Safari/537.36',
-  Accept: 'text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8',
-  'Accept-Language': 'en-US,en;q=0.9',
-  'Cache-Control': 'no-cache'
-};
-
-function cleanText(value) {
-  return (value || '').replace(/\s+/g, ' ').trim();
-}
-
-function withDefaultHeaders(headers = {}) {
-  return { ...DEFAULT_HEADERS, ...headers };
-}
-
-async function loginToLms({ username, password }) {
-  const jar = new CookieJar();
-  const fetchWithCookies = fetchCookie(fetch, jar);
-  const client = (url, options = {}) => {
-    const headers = withDefaultHeaders(options.headers);
-    return fetchWithCookies(url, { ...options, headers });
-  };
-
-  const loginPage = await client(LOGIN_URL, { method: 'GET' });
-  if (!loginPage.ok) {
-    throw new Error(`Login page request failed (${loginPage.status})`);
-  }
-  const loginHtml = await loginPage.text();
-  const $login = cheerio.load(loginHtml);
-  const hiddenInputs = {};
-  $login('input[type="hidden"]').each((_, el) => {
-    const name = $login(el).attr('name');
-    if (!name) return;
-    hiddenInputs[name] = $login(el).attr('value') ?? '';
-  });
-
-  const form = new URLSearchParams();
-  form.set('username', username);
-  form.set('password', password);
-  Object.entries(hiddenInputs).forEach(([key, value]) => form.append(key, value ?? ''));
-
-  const loginResponse = await client(LOGIN_URL, {
-    method: 'POST',
-    body: form,
-    headers: withDefaultHeaders({
-      'Content-Type': 'application/x-www-form-urlencoded',
-      Origin: ORIGIN,
-      Referer: LOGIN_URL
-    }),
-    redirect: 'manual'
-  });
-
-  if ([301, 302, 303].includes(loginResponse.status)) {
-    const location = loginResponse.headers.get('location');
-    if (location) {
-      const destination = new URL(location, LOGIN_URL).toString();
-      await client(destination, { method: 'GET' });
-    }
-  } else {
-    const body = await loginResponse.text();
-    if (!loginResponse.ok || /invalid username|password/i.test(body)) {
-      throw new Error('Login failed: the LMS rejected the credentials or returned an unexpected response.');
-    }
-  }
-
-  return { client };
-}
-
-function parseUpcomingClasses($) {
-  const upcoming = [];
-  $('.user-progress .lecture-list').each((_, li) => {
-    const $li = $(li);
-    const avatar = cleanText($li.find('img').attr('src') || $li.find('img').attr('data-src') || '');
-    let title = cleanText($li.find('.media-title').first().text());
-    if (!title) {
-      title = cleanText($li.find('.bmedium').first().text());
-    }
-    const subtitle = cleanText($li.find('.text-muted').first().text());
-    const msAuto = $li.find('.ms-auto').first();
-    let location = '';
-    let time = '';
-    if (msAuto && msAuto.length) {
-      location = cleanText(msAuto.find('.bmedium').first().text());
-      if (!location) {
-        location = cleanText(msAuto.children().first().text());
-      }
-      time = cleanText(msAuto.find('.text-muted').first().text());
-      if (!time && msAuto.children().length > 1) {
-        time = cleanText(msAuto.children().eq(1).text());
-      }
-    }
-    upcoming.push({ title, subtitle, location, time, avatar });
-  });
-  return upcoming;
-}
-
-async function fetchStudentDashboard(client, username) {
-  const dashboardResponse = await client(DASHBOARD_URL, { method: 'GET' });
-  if (!dashboardResponse.ok) {
-    throw new Error(`Dashboard request failed (${dashboardResponse.status})`);
-  }
-  const html = await dashboardResponse.text();
-  if (/Student Login/i.test(html) && /Username/i.test(html)) {
-    throw new Error('Session invalid – dashboard returned login page.');
-  }
-  const $ = cheerio.load(html);
-  let studentName = cleanText($('h4.mt0').first().text().replace(/Welcome,/i, ''));
-  if (!studentName) {
-    studentName = username;
-  }
-  const upcomingClasses = parseUpcomingClasses($);
-  return { studentName, upcomingClasses };
-}
-
-function parseAttendanceRows(resultPage) {
-  if (!resultPage) return [];
-  const $ = cheerio.load(resultPage);
-  const rows = [];
-  
-  // Look for .attendance_result table first (like working Puppeteer code)
-  const resultBox = $('.attendance_result');
-  const table = resultBox.length ? resultBox.find('table') : $('table');
-  
-  if (!table.length) {
-    logger.warn('No attendance table found in result page');
-    return [];
-  }
-  
-  table.find('tbody tr').each((_, tr) => {
-    const $tr = $(tr);
-    const tds = $tr.find('td');
-    if (tds.length < 3) return;
-    const subject = cleanText($(tds[0]).text());
-    const percentText = cleanText($(tds[1]).text());
-    const presentText = cleanText($(tds[2]).text());
-    const percentMatch = percentText.match(/[\d.]+/);
-    const percentValue = percentMatch ? parseFloat(percentMatch[0]) : NaN;
-    const ratioMatch = presentText.match(/(\d+)\s*\/\s*(\d+)/);
-    const sessionsCompleted = ratioMatch ? parseInt(ratioMatch[1], 10) : 0;
-    const totalSessions = ratioMatch ? parseInt(ratioMatch[2], 10) : 0;
-    const present = sessionsCompleted;
-    const total = totalSessions;
-    const absent = total >= present ? total - present : 0;
-    const percent = !Number.isNaN(percentValue)
-      ? +percentValue.toFixed(2)
-      : (total ? +((present / total) * 100).toFixed(2) : 0);
-    rows.push({
-      subject,
-      sessionsCompleted,
-      totalSessions,
-      present,
-      total,
-      absent,
-      percent
-    });
-  });
-  return rows;
-}
-
-async function fetchAttendanceTable(client, { fromDate, toDate, subjectId = '' }) {
-  // First, visit the attendance page (like Puppeteer does)
-  await client(ATTENDANCE_PAGE_URL, { method: 'GET' });
-  
-  // Calculate date range (from working Puppeteer code: FROM_DATE = '11-11-2024', TO_DATE = today)
-  const now = new Date();
-  const pad = n => String(n).padStart(2, '0');
-  const defaultFromDate = fromDate || '11-11-2024'; // Default from working code
-  const defaultToDate = toDate || `${pad(now.getDate())}-${pad(now.getMonth() + 1)}-${now.getFullYear()}`;
-  
-  logger.info('Fetching attendance with date range', { 
-    fromDate: defaultFromDate, 
-    toDate: defaultToDate,
-    subjectId: subjectId || 'all'
-  });
-
-  const payload = new URLSearchParams();
-  payload.set('date', defaultFromDate);
-  payload.set('end_date', defaultToDate);
-  payload.set('subject', subjectId ?? ''); // Empty string = all subjects
-
-  const response = await client(ATTENDANCE_API_URL, {
-    method: 'POST',
-    headers: withDefaultHeaders({
-      'Content-Type': 'application/x-www-form-urlencoded; charset=UTF-8',
-      'X-Requested-With': 'XMLHttpRequest',
-      Referer: ATTENDANCE_PAGE_URL,
-      Accept: 'application/json, text/javascript, */*; q=0.01'
-    }),
-    body: payload
-  });
-
-  if (!response.ok) {
-    throw new Error(`Attendance API request failed (${response.status})`);
-  }
-
-  const json = await response.json().catch(() => null);
-  if (!json) {
-    throw new Error('Attendance API returned an empty response.');
-  }
-  if (String(json.status) !== '1') {
-    if (json.result_page) {
-      return parseAttendanceRows(json.result_page);
-    }
-    return [];
-  }
-  return parseAttendanceRows(json.result_page || '');
-}
-
-// --- Combined scrape function ---
-async function scrapeAttendance({ username, password, fromDate, toDate }) {
-  logger.debug('scrapeAttendance invoked', { username });
-  const { client } = await loginToLms({ username, password });
-  const { studentName, upcomingClasses } = await fetchStudentDashboard(client, username);
-  const attendanceRows = await fetchAttendanceTable(client, { fromDate, toDate, subjectId: '' });
-  return { studentName, upcomingClasses, attendanceRows };
-}
-
 // Validation middleware
 const validateRequest = (req, res, next) => {
   const errors = validationResult(req);
@@ -716,12 +713,10 @@ const validateRequest = (req, res, next) => {
 app.post('/api/login', [
   body('username').isString().trim().notEmpty().withMessage('username is required'),
   body('password').isString().notEmpty().withMessage('password is required'),
-  body('fromDate').optional().isString().trim(),
-  body('toDate').optional().isString().trim(),
   validateRequest
 ], async (req, res) => {
   try {
-    const { username, password, fromDate, toDate } = req.body || {};
+    const { username, password } = req.body || {};
 
     // Check if user exists in database
     let user = await getUserByStudentId(username);
@@ -743,6 +738,11 @@ app.post('/api/login', [
       if (!ok) {
         return res.status(401).json({ error: 'Invalid credentials' });
       }
+
+      // simple rate-limit: 1 login per 30s per user (last_login_at is shared by every instance)
+      if (user.last_login_at && Date.now() - new Date(user.last_login_at).getTime() < 30 * 1000) {
+        return res.status(429).json({ error: 'Too many login attempts. Wait 30 seconds.' });
+      }
       
       // Increment login_count
       await pool.query(
@@ -755,311 +755,59 @@ app.post('/api/login', [
       logger.info('[login] User logged in', { student_id: username, login_count: user.login_count });
     }
 
-    // simple rate-limit: 1 request per 30s per user
-    const now = Date.now();
-    if (lastLoginAt[username] && (now - lastLoginAt[username] < 30 * 1000)) {
-      return res.status(429).json({ error: 'Too many login attempts. Wait 30 seconds.' });
-    }
-    lastLoginAt[username] = now;
-
     // Sign token
     const token = signToken({ userId: user.id, student_id: user.student_id });
 
-    // Start scrape in background but also wait short time so client can call attendance soon.
-    if (!scrapingStatus[username] || !scrapingStatus[username].running) {
-      const status = { running: true, promise: null };
-      scrapingStatus[username] = status;
-      const job = (async () => {
-        try {
-          logger.info('[auth] Scrape job started for <username>', { username });
-          // Use date range like working Puppeteer code
-          const now = new Date();
-          const pad = n => String(n).padStart(2, '0');
-          const normalizedFrom = fromDate || '11-11-2024'; // Default from working code
-          const normalizedTo = toDate || `${pad(now.getDate())}-${pad(now.getMonth() + 1)}-${now.getFullYear()}`;
-          
-          logger.info('Using date range for scraping', { from: normalizedFrom, to: normalizedTo });
-          
-          // Use global scraping queue to prevent system overload
-          const result = await executeScrape(username, () => scrapeAttendance({
-            username,
-            password,
-            fromDate: normalizedFrom,
-            toDate: normalizedTo
-          }));
-
-          const processed = (result.attendanceRows || []).map(row => {
-            const present = typeof row.present === 'number' ? row.present : (row.sessionsCompleted ?? 0);
-            const total = typeof row.total === 'number' ? row.total : (row.totalSessions ?? 0);
-            const absent = Number.isFinite(row.absent) ? row.absent : Math.max(0, total - present);
-            const percent = Number.isFinite(row.percent) ? +row.percent.toFixed(2) : computePercent(present, total);
-            const required = computeRequired(present, total);
-            const margin = computeCanMiss(present, total);
-            return {
-              subject: row.subject,
-              present,
-              absent,
-              total,
-              percent,
-              margin,
-              required
-            };
-          });
-
-          const studentName = result.studentName || username;
-          const fetchedAt = new Date().toISOString();
-
-          logger.info('Starting database save for scraped data', { 
-            username, 
-            attendanceCount: processed.length,
-            upcomingClassesCount: result.upcomingClasses?.length || 0
-          });
-
-          // Delete old data for this username (guarantees fresh data on every login)
-          // IMPORTANT: Handle foreign key constraint by setting attendance_id to NULL first, then deleting
-          // This works even if the constraint doesn't have ON DELETE SET NULL
-          try {
-            const deleteClient = await pool.connect();
-            try {
-              await deleteClient.query('BEGIN');
-              
-              // First, set attendance_id to NULL in latest_snapshot to break the foreign key reference
-              await deleteClient.query('UPDATE latest_snapshot SET attendance_id = NULL WHERE username = $1', [username]);
-              
-              // Now delete the attendance records (no foreign key violation)
-              const deleteAttendanceResult = await deleteClient.query('DELETE FROM attendance WHERE username = $1', [username]);
-              
-              // Delete the snapshot entry completely
-              await deleteClient.query('DELETE FROM latest_snapshot WHERE username = $1', [username]);
-              
-              // Delete upcoming classes
-              const deleteClassesResult = await deleteClient.query('DELETE FROM upcoming_classes WHERE username = $1', [username]);
-              
-              await deleteClient.query('COMMIT');
-              
-              logger.info('Deleted old attendance data for user', { 
-                username,
-                deletedAttendanceRows: deleteAttendanceResult.rowCount,
-                deletedClassesRows: deleteClassesResult.rowCount
-              });
-            } catch (txErr) {
-              await deleteClient.query('ROLLBACK');
-              throw txErr;
-            } finally {
-              deleteClient.release();
-            }
-          } catch (deleteErr) {
-            logger.error('Error deleting old data', { username, error: deleteErr.message, stack: deleteErr.stack });
-            throw deleteErr; // Re-throw to prevent inserting into stale data
-          }
-
-          // Bulk insert attendance records
-          if (processed.length > 0) {
-            // Use a transaction for better performance and atomicity
-            const client = await pool.connect();
-            try {
-              await client.query('BEGIN');
-              
-              // Insert records one by one in a transaction (safer for large datasets)
-              let insertedCount = 0;
-              for (const row of processed) {
-                try {
-                  await client.query(
-                    `INSERT INTO attendance (username, student_name, subject, present, absent, total, percent, margin, required, source)
-                     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)`,
-                    [
-                      username,
-                      studentName,
-                      row.subject,
-                      row.present,
-                      row.absent,
-                      row.total,
-                      row.percent,
-                      row.margin,
-                      row.required,
-                      'scraper'
-                    ]
-                  );
-                  insertedCount++;
-                } catch (insertErr) {
-                  logger.error('Error inserting attendance record', { 
-                    username, 
-                    subject: row.subject, 
-                    error: insertErr.message 
-                  });
-                  throw insertErr; // Re-throw to rollback transaction
-                }
-              }
-              
-              await client.query('COMMIT');
-              logger.info('Successfully inserted attendance records', { 
-                username, 
-                count: insertedCount,
-                expected: processed.length 
-              });
-              
-              // Invalidate cache for this user to ensure fresh data
-              attendanceCache.delete(username);
-              logger.debug('[attendance] Cache invalidated after scrape', { username });
-            } catch (err) {
-              await client.query('ROLLBACK');
-              logger.error('Transaction failed, rolled back', { 
-                username, 
-                error: err.message, 
-                stack: err.stack 
-              });
-              throw err;
-            } finally {
-              client.release();
-            }
-          } else {
-            logger.warn('No attendance records to insert', { username });
-          }
-
-          // Insert upcoming classes
-          if (result.upcomingClasses && result.upcomingClasses.length > 0) {
-            const client = await pool.connect();
-            try {
-              await client.query('BEGIN');
-              
-              let insertedClassesCount = 0;
-              for (const cls of result.upcomingClasses) {
-                try {
-                  await client.query(
-                    `INSERT INTO upcoming_classes (username, class_id, class_name, start_time, end_time, metadata)
-                     VALUES ($1, $2, $3, $4, $5, $6)`,
-                    [
-                      username,
-                      cls.id || cls.class_id || null,
-                      cls.name || cls.class_name || cls.title || null,
-                      cls.start_time ? new Date(cls.start_time) : null,
-                      cls.end_time ? new Date(cls.end_time) : null,
-                      JSON.stringify(cls.metadata || cls)
-                    ]
-                  );
-                  insertedClassesCount++;
-                } catch (insertErr) {
-                  logger.error('Error inserting upcoming class', { 
-                    username, 
-                    class: cls.name || cls.class_name, 
-                    error: insertErr.message 
-                  });
-                  throw insertErr;
-                }
-              }
-              
-              await client.query('COMMIT');
-              logger.info('Successfully inserted upcoming classes', { 
-                username, 
-                count: insertedClassesCount,
-                expected: result.upcomingClasses.length 
-              });
-            } catch (err) {
-              await client.query('ROLLBACK');
-              logger.error('Upcoming classes transaction failed, rolled back', { 
-                username, 
-                error: err.message, 
-                stack: err.stack 
-              });
-              throw err;
-            } finally {
-              client.release();
-            }
-          } else {
-            logger.info('No upcoming classes to insert', { username });
-          }
-
-          // Update latest_snapshot - get the most recent attendance record for this user
-          const { rows: latestRows } = await pool.query(
-            `SELECT id FROM attendance WHERE username = $1 ORDER BY recorded_at DESC LIMIT 1`,
-            [username]
-          );
-          
-          if (latestRows.length > 0) {
-            await pool.query(
-              `INSERT INTO latest_snapshot (username, attendance_id, fetched_at)
-               VALUES ($1, $2, now())
-               ON CONFLICT (username) DO UPDATE SET
-                 attendance_id = EXCLUDED.attendance_id,
-                 fetched_at = EXCLUDED.fetched_at`,
-              [username, latestRows[0].id]
-            );
-          }
-
-          // Verify data was actually saved
-          const { rows: verifyRows } = await pool.query(
-            `SELECT COUNT(*) as count FROM attendance WHERE username = $1`,
-            [username]
-          );
-          const savedCount = parseInt(verifyRows[0]?.count || 0);
+    // Queue a scrape (or share the one already queued/running for this user) but also wait
+    // a short time so the client can call attendance soon.
+    try {
+      // Same tracked, queued pipeline as /api/auth/login (shows up in GET /api/scrape/status)
+      const { jobId, existing, wait } = await enqueueScrape(username, password, null, null, { trigger: 'login' });
+      if (existing) {
+        logger.info('Scrape already running for user', { username, jobId });
+      }
 
+      // Bounded wait for better UX; the job carries on after it (the scrape event bus clears the cache)
+      const WAIT_MS = Number(process.env.SCRAPE_WAIT_MS || 12000);
+      if (WAIT_MS > 0) {
+        const waitStart = Date.now();
+        try {
+          const { scrapeRunId, attendanceCount } = await wait({ timeoutMs: WAIT_MS });
+          // The scrape may have run on another instance - make sure this one's cache is fresh too
+          attendanceCache.delete(username);
           logger.info('Attendance scraped and saved to database', {
             username,
-            subjects: processed.length,
-            savedToDatabase: savedCount,
-            upcomingClasses: result.upcomingClasses?.length || 0,
-            verified: savedCount === processed.length
+            scrapeRunId,
+            subjects: attendanceCount
           });
-
-          if (savedCount !== processed.length && processed.length > 0) {
-            logger.error('Data verification failed - count mismatch', {
-              username,
-              expected: processed.length,
-              actual: savedCount
-            });
-          }
-        } catch (err) {
-          logger.error('Scrape job error', { 
+          logger.info('[auth/login] waited Xms for scrape to finish', { 
             username, 
-            error: err.message, 
-            stack: err.stack,
-            errorCode: err.code,
-            errorDetail: err.detail
+            waitedMs: Date.now() - waitStart 
           });
-          // Log database connection errors specifically
-          if (err.code === 'ENOTFOUND' || err.code === 'ECONNREFUSED' || err.message?.includes('connection')) {
-            logger.error('Database connection error during scrape', { 
-              username,
-              error: err.message,
-              databaseUrl: DB_URL ? 'configured' : 'missing'
-            });
-          }
-        } finally {
-          status.running = false;
-        }
-      })();
-      status.promise = job;
-      
-      // Optionally wait for scrape to finish (bounded wait for better UX)
-      const WAIT_MS = Number(process.env.SCRAPE_WAIT_MS || 12000);
-      if (WAIT_MS > 0 && scrapingStatus[username] && scrapingStatus[username].promise) {
-        const waitStart = Date.now();
-        try {
-          await Promise.race([
-            scrapingStatus[username].promise,
-            new Promise(resolve => setTimeout(resolve, WAIT_MS))
-          ]);
-          const waited = Date.now() - waitStart;
-          if (waited < WAIT_MS) {
-            logger.info('[auth/login] waited Xms for scrape to finish', { 
+        } catch (err) {
+          if (err.code === 'WAIT_TIMEOUT') {
+            logger.info('[auth/login] scrape not finished after WAIT_MS', { 
               username, 
-              waitedMs: waited 
+              waitMs: WAIT_MS 
             });
           } else {
-            logger.info('[auth/login] scrape not finished after WAIT_MS', { 
+            logger.error('Scrape job error', { 
               username, 
-              waitMs: WAIT_MS 
+              jobId,
+              error: err.message, 
+              errorCode: err.code,
+              deadLettered: err.deadLettered
             });
           }
-        } catch (e) {
-          logger.warn('[auth/login] Error waiting for scrape', { 
-            username, 
-            error: e.message 
-          });
         }
       }
-    } else {
-      logger.info('Scrape already running for user', { username });
+    } catch (err) {
+      // Login still succeeds; GET /api/scrape/status has nothing to report and the client can retry
+      logger.error('Could not queue scrape', {
+        username,
+        error: err.message,
+        databaseUrl: DB_URL ? 'configured' : 'missing'
+      });
     }
 
     return res.json({ token, user: { id: user.id, student_id: user.student_id, login_count: user.login_count } });
@@ -1085,7 +833,7 @@ app.get('/api/attendance', authApiLimiter, requireAuth, async (req, res) => {
 
     // Step 1: Check latest_snapshot first (fast lookup)
     const { rows: snapshotRows } = await pool.query(
-      `SELECT attendance_id, fetched_at FROM latest_snapshot WHERE username = $1`,
+      `SELECT attendance_id, scrape_run_id, fetched_at FROM latest_snapshot WHERE username = $1`,
       [username]
     );
 
@@ -1105,14 +853,23 @@ app.get('/api/attendance', authApiLimiter, requireAuth, async (req, res) => {
       fetched_at: snapshot.fetched_at 
     });
 
-    // Step 3: Query attendance data from database using snapshot
-    const { rows: attendanceRows } = await pool.query(
-      `SELECT student_name, subject, present, absent, total, percent, margin, required, recorded_at
-       FROM attendance
-       WHERE username = $1
-       ORDER BY recorded_at DESC, subject ASC`,
-      [username]
-    );
+    // Step 3: Query attendance rows of the latest scrape run
+    // Snapshots saved before scrape_runs existed have no run id - those users only ever have one set of rows
+    const { rows: attendanceRows } = snapshot.scrape_run_id
+      ? await pool.query(
+          `SELECT student_name, subject, subject_id, present, absent, total, percent, margin, required, recorded_at
+           FROM attendance
+           WHERE scrape_run_id = $1
+           ORDER BY subject ASC`,
+          [snapshot.scrape_run_id]
+        )
+      : await pool.query(
+          `SELECT student_name, subject, subject_id, present, absent, total, percent, margin, required, recorded_at
+           FROM attendance
+           WHERE username = $1
+           ORDER BY recorded_at DESC, subject ASC`,
+          [username]
+        );
 
     // If snapshot exists but attendance_id is NULL, scraping completed with no data
     // Return 200 with empty array instead of 202
@@ -1126,6 +883,7 @@ app.get('/api/attendance', authApiLimiter, requireAuth, async (req, res) => {
           fromDate: req.query.fromDate || '',
           toDate: req.query.toDate || '',
           attendance: [],
+          groups: [],
           upcomingClasses: []
         });
       } else {
@@ -1153,12 +911,15 @@ app.get('/api/attendance', authApiLimiter, requireAuth, async (req, res) => {
       attendanceCount: attendanceRows.length 
     });
 
-    // Query upcoming classes
+    // Query upcoming classes (start/end are IST timestamps parsed from the dashboard's time text;
+    // classes whose time couldn't be read sort last)
     const { rows: upcomingClassesRows } = await pool.query(
-      `SELECT class_id, class_name, start_time, end_time, metadata
-       FROM upcoming_classes
-       WHERE username = $1
-       ORDER BY start_time ASC`,
+      `SELECT u.class_id, u.class_name, u.subject_id, u.start_time, u.end_time, u.metadata,
+              s.name AS subject_name, s.code AS subject_code, s.component AS subject_component
+       FROM upcoming_classes u
+       LEFT JOIN subjects s ON s.id = u.subject_id
+       WHERE u.username = $1
+       ORDER BY u.start_time ASC NULLS LAST`,
       [username]
     );
 
@@ -1166,33 +927,44 @@ app.get('/api/attendance', authApiLimiter, requireAuth, async (req, res) => {
     const upcomingClasses = upcomingClassesRows.map(row => {
       const base = {
         id: row.class_id,
-        name: row.class_name,
-        start_time: row.start_time?.toISOString(),
-        end_time: row.end_time?.toISOString()
+        name: row.class_name
+      };
+      // Stored columns win over the metadata copy (a subject merge only updates the column)
+      const columns = {
+        subject_id: row.subject_id,
+        subject: row.subject_name
+          ? { name: subjectLabel({ name: row.subject_name, component: row.subject_component }), code: row.subject_code }
+          : null,
+        start_time: row.start_time?.toISOString() || null,
+        end_time: row.end_time?.toISOString() || null
       };
       
       // Merge metadata if available
       if (row.metadata) {
         try {
           const metadata = typeof row.metadata === 'string' ? JSON.parse(row.metadata) : row.metadata;
-          return { ...base, ...metadata };
+          return { ...base, ...metadata, ...columns };
         } catch (e) {
-          return base;
+          return { ...base, ...columns };
         }
       }
-      return base;
+      return { ...base, ...columns };
     });
 
     // Transform attendance to match expected format (same as file format)
-    const attendance = attendanceRows.map(row => ({
+    // required/margin are recomputed with the current threshold rules so rule changes apply to stored snapshots too
+    const thresholdRules = await loadThresholdRules();
+    const attendance = applyThresholds(attendanceRows.map(row => ({
       subject: row.subject,
+      subject_id: row.subject_id,
       present: row.present,
       absent: row.absent,
       total: row.total,
-      percent: parseFloat(row.percent) || 0,
-      margin: row.margin,
-      required: row.required
-    }));
+      percent: parseFloat(row.percent) || 0
+    })), thresholdRules);
+
+    // Exam eligibility is per parent subject (theory + practical together)
+    const groups = buildSubjectGroups(attendance, await loadSubjectGroupRules(), thresholdRules);
 
     // Return in same format as before (maintains frontend compatibility)
     const response = {
@@ -1201,12 +973,14 @@ app.get('/api/attendance', authApiLimiter, requireAuth, async (req, res) => {
       fromDate,
       toDate,
       attendance,
+      groups,
       upcomingClasses
     };
 
     logger.debug('[attendance] Returning attendance data', { 
       username, 
       subjects: attendance.length, 
+      groups: groups.length,
       classes: upcomingClasses.length 
     });
     
@@ -1220,12 +994,109 @@ app.get('/api/attendance', authApiLimiter, requireAuth, async (req, res) => {
   }
 });
 
+// Per-subject attendance trend across stored scrape runs, one point per day
+app.get('/api/attendance/history', authApiLimiter, requireAuth, [
+  query('from').optional().isISO8601({ strict: true }).withMessage('from must be a date (YYYY-MM-DD)'),
+  query('to').optional().isISO8601({ strict: true }).withMessage('to must be a date (YYYY-MM-DD)'),
+  query('subject').optional().isString().trim().notEmpty(),
+  validateRequest
+], async (req, res) => {
+  try {
+    const username = req.user.student_id;
+    const { from, to, subject } = req.query;
+
+    const subjects = await getAttendanceHistory({ username, from, to, subject });
+
+    logger.info('[attendance] Returning attendance history', {
+      username,
+      subjects: subjects.length,
+      from: from || null,
+      to: to || null,
+      subject: subject || null
+    });
+
+    return res.json({
+      from: from || null,
+      to: to || null,
+      subjects
+    });
+  } catch (err) {
+    logger.error('Attendance history endpoint error', { error: err.message, stack: err.stack });
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Latest scrape job for the user: queued/running/succeeded/failed with stage, queue position and
+// a classified error, so the client can show progress and stop waiting on failure.
+app.get('/api/scrape/status', authApiLimiter, requireAuth, async (req, res) => {
+  try {
+    const job = await getLatestScrapeJob(req.user.student_id);
+    if (!job) {
+      return res.status(404).json({ error: 'No scrape job found' });
+    }
+    return res.json(serializeScrapeJob(job));
+  } catch (err) {
+    logger.error('Scrape status endpoint error', { error: err.message, stack: err.stack });
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Server-Sent Events for the user's scrapes: a 'job' event on every status/stage change (the
+// latest job is sent on connect) and an 'attendance' event once a scrape has committed new data,
+// so the client refetches /api/attendance once instead of polling it.
+const STREAM_HEARTBEAT_MS = 20000;
+
+app.get('/api/attendance/stream', authApiLimiter, requireAuth, async (req, res) => {
+  const username = req.user.student_id;
+
+  // Long-lived response - lift the global 25s timeout
+  req.setTimeout(0);
+  res.setTimeout(0);
+  res.status(200).set({
+    'Content-Type': 'text/event-stream',
+    // no-transform keeps compression() from buffering the stream
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+  res.write('retry: 5000\n\n');
+
+  const send = (event, data) => {
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+
+  // Subscribe before reading the latest job so nothing falls in between
+  const unsubscribe = subscribeScrapeJobs(({ username: jobUser, job }) => {
+    if (jobUser !== username) return;
+    send('job', job);
+    if (job.status === 'succeeded') {
+      send('attendance', { jobId: job.id, scrapeRunId: job.scrapeRunId, fetchedAt: job.finishedAt });
+    }
+  });
+  // Comment lines keep proxies from closing an idle connection
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), STREAM_HEARTBEAT_MS);
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+  });
+
+  try {
+    const latest = await getLatestScrapeJob(username);
+    if (latest) send('job', serializeScrapeJob(latest));
+  } catch (err) {
+    logger.warn('[stream] Could not load latest scrape job', { username, error: err.message });
+  }
+});
+
 // Health
-app.get('/health', (req, res) => res.status(200).json({ status: 'ok', time: Date.now(), timestamp: new Date().toISOString() }));
+// `lms` is the LMS circuit breaker (closed/open/half_open). An open breaker doesn't make the
+// service unhealthy - only scrapes are affected - so the status code stays 200.
+app.get('/health', (req, res) => res.status(200).json({ status: 'ok', time: Date.now(), timestamp: new Date().toISOString(), lms: getLmsBreakerState(), parser: getParserHealth() }));
 
 // health check for Render
 app.get('/healthz', (req, res) => {
-  return res.status(200).json({ status: 'ok', uptime: process.uptime(), time: new Date().toISOString() });
+  return res.status(200).json({ status: 'ok', uptime: process.uptime(), time: new Date().toISOString(), lms: getLmsBreakerState(), parser: getParserHealth() });
 });
 
 // Async error wrapper helper - MUST be defined before routes that use it
@@ -1235,7 +1106,83 @@ const asyncHandler = (fn) => {
   };
 };
 
+// Minimum time between scrapes a user can start from the dashboard (any scrape counts, login included)
+const REFRESH_COOLDOWN_MS = (Number(process.env.ATTENDANCE_REFRESH_COOLDOWN_SECONDS) || 300) * 1000;
+
+// Re-scrape without logging in again. Uses the vaulted password, or one sent in the body for
+// this scrape only (never stored). Answers 202 with the job id as soon as it's queued - follow it
+// with GET /api/scrape/status or GET /api/attendance/stream.
+app.post('/api/attendance/refresh', authApiLimiter, requireAuth, [
+  body('password').optional().isString().isLength({ min: 1, max: 200 }),
+  validateRequest
+], asyncHandler(async (req, res) => {
+  const username = req.user.student_id;
+  const password = req.body?.password || null;
+
+  const latest = await getLatestScrapeJob(username);
+  if (latest && (latest.status === 'queued' || latest.status === 'running')) {
+    // Don't queue a second scrape behind the one in flight
+    return res.status(202).json({ jobId: latest.id, status: latest.status, alreadyRunning: true });
+  }
+  // A missing password never reached the LMS, so it doesn't hold the user back
+  if (latest && latest.error_code !== 'credentials_required') {
+    const elapsed = Date.now() - new Date(latest.created_at).getTime();
+    if (elapsed < REFRESH_COOLDOWN_MS) {
+      const retryAfter = Math.ceil((REFRESH_COOLDOWN_MS - elapsed) / 1000);
+      res.set('Retry-After', String(retryAfter));
+      return res.status(429).json({
+        error: 'refresh_cooldown',
+        message: 'Attendance was refreshed recently. Please wait before refreshing again.',
+        retryAfter
+      });
+    }
+  }
+
+  if (!password) {
+    const { vaultEnabled, stored } = await getCredentialStatus(username);
+    if (!vaultEnabled || !stored) {
+      return res.status(409).json({
+        error: 'credentials_required',
+        message: 'No saved LMS password. Send your password or enable "Remember me" at login.'
+      });
+    }
+  }
+
+  const { jobId, existing } = await enqueueScrape(username, password, null, null, { trigger: 'manual' });
+  if (existing) {
+    // Another instance queued one since the check above
+    return res.status(202).json({ jobId, status: 'queued', alreadyRunning: true });
+  }
+  logger.info('[refresh] Manual attendance refresh queued', { username, jobId, withPassword: Boolean(password) });
+  return res.status(202).json({ jobId, status: 'queued' });
+}));
+
 // Date-wise attendance route - MUST be before error handler and 404 handler
+// Map a date-wise scrape error to the HTTP status the frontend handles
+function datewiseErrorStatus(errorMessage) {
+  if (errorMessage.includes('LMS password required')) {
+    return 400; // No password given and none in the vault
+  }
+  if (errorMessage.includes('timeout') || errorMessage.includes('timed out')) {
+    return 504; // Gateway Timeout
+  }
+  if (errorMessage.includes('not reachable')) {
+    return 503; // LMS down or circuit breaker open
+  }
+  if (errorMessage.includes('markup not recognised')) {
+    return 502; // LMS page failed its parser health check
+  }
+  if (errorMessage.includes('Login failed') || errorMessage.includes('Session invalid')) {
+    return 401; // Unauthorized
+  }
+  return 500;
+}
+
+// Scrape requests must answer within this budget (Render free tier timeout is ~30s)
+const DATEWISE_REQUEST_BUDGET_MS = 25000;
+// Ranges longer than this go straight to a background job instead of waiting on the budget
+const DATEWISE_RANGE_INLINE_DAYS = 7;
+
 app.post('/api/attendance/datewise', authApiLimiter, requireAuth, asyncHandler(async (req, res) => {
   // Add early logging to verify route is hit
   logger.info('[datewise] Route handler invoked', { 
@@ -1245,7 +1192,7 @@ app.post('/api/attendance/datewise', authApiLimiter, requireAuth, asyncHandler(a
     hasBody: !!req.body,
     hasUser: !!req.user,
     username: req.user?.student_id 
-  })
+  });
   
   try {
     logger.info('[datewise] Route hit', { 
@@ -1253,59 +1200,68 @@ app.post('/api/attendance/datewise', authApiLimiter, requireAuth, asyncHandler(a
       path: req.path,
       hasBody: !!req.body,
       username: req.user?.student_id 
-    })
+    });
     
-    const { date, password } = req.body || {}
-    const username = req.user.student_id
+    const { date, password } = req.body || {};
+    const username = req.user.student_id;
+    // Stored days are served from the database; refresh=true (body or query) forces a re-scrape
+    const refresh = req.body?.refresh === true || req.query.refresh === 'true';
 
     if (!date || typeof date !== 'string') {
-      logger.warn('[datewise] Missing or invalid date', { date, type: typeof date })
-      return res.status(400).json({ error: 'Date is required (format: DD-MM-YYYY)' })
+      logger.warn('[datewise] Missing or invalid date', { date, type: typeof date });
+      return res.status(400).json({ error: 'Date is required (format: DD-MM-YYYY)' });
     }
 
-    if (!password || typeof password !== 'string') {
-      logger.warn('[datewise] Missing or invalid password', { hasPassword: !!password, type: typeof password })
-      return res.status(400).json({ error: 'Password is required' })
+    // password is optional - without it the scrape uses the credential vault
+    if (password !== undefined && typeof password !== 'string') {
+      logger.warn('[datewise] Invalid password', { type: typeof password });
+      return res.status(400).json({ error: 'Password must be a string' });
     }
 
     // Validate date format (DD-MM-YYYY)
-    const dateRegex = /^\d{2}-\d{2}-\d{4}$/
+    const dateRegex = /^\d{2}-\d{2}-\d{4}$/;
     if (!dateRegex.test(date)) {
-      logger.warn('[datewise] Invalid date format', { date })
-      return res.status(400).json({ error: 'Invalid date format. Use DD-MM-YYYY' })
+      logger.warn('[datewise] Invalid date format', { date });
+      return res.status(400).json({ error: 'Invalid date format. Use DD-MM-YYYY' });
     }
 
-    logger.info('[datewise] Fetching date-wise attendance', { username, date })
+    if (isFutureLmsDate(date)) {
+      logger.warn('[datewise] Future date requested', { date });
+      return res.status(400).json({ error: 'Date is in the future. The LMS has no attendance for it yet' });
+    }
+
+    logger.info('[datewise] Fetching date-wise attendance', { username, date, refresh });
 
     // Scrape using HTTP requests (no Puppeteer needed)
     // Set timeout to 25 seconds to avoid hitting Render's limit
-    const SCRAPE_TIMEOUT_MS = 25000 // 25 seconds (Render free tier timeout is ~30s)
+    const SCRAPE_TIMEOUT_MS = 25000; // 25 seconds (Render free tier timeout is ~30s)
     
     const scrapePromise = scrapeDatewiseAttendance({
       username,
       password,
-      dateToFetch: date
-    })
+      dateToFetch: date,
+      refresh
+    });
     
     const timeoutPromise = new Promise((_, reject) => {
       setTimeout(() => {
-        reject(new Error('Scraping timeout: Request took too long. Render free tier has a 30 second request limit.'))
-      }, SCRAPE_TIMEOUT_MS)
-    })
+        reject(new Error('Scraping timeout: Request took too long. Render free tier has a 30 second request limit.'));
+      }, SCRAPE_TIMEOUT_MS);
+    });
     
-    const result = await Promise.race([scrapePromise, timeoutPromise])
+    const result = await Promise.race([scrapePromise, timeoutPromise]);
 
     logger.info('[datewise] Successfully fetched attendance', { 
       username, 
       date, 
       rowCount: result.rows?.length || 0 
-    })
+    });
 
-    return res.json(result)
+    return res.json(result);
 
   } catch (err) {
     // Get date from request body (might not be in scope if error occurred early)
-    const requestDate = req.body?.date || 'unknown'
+    const requestDate = req.body?.date || 'unknown';
     
     logger.error('[datewise] Error fetching date-wise attendance', {
       error: err.message,
@@ -1314,28 +1270,23 @@ app.post('/api/attendance/datewise', authApiLimiter, requireAuth, asyncHandler(a
       name: err.name,
       code: err.code,
       date: requestDate
-    })
+    });
 
     // Return user-friendly error message
-    const errorMessage = err.message || 'Failed to fetch date-wise attendance'
+    const errorMessage = err.message || 'Failed to fetch date-wise attendance';
     
     // Determine status code based on error type
-    let statusCode = 500
-    if (errorMessage.includes('timeout') || errorMessage.includes('Scraping timeout')) {
-      statusCode = 504 // Gateway Timeout
-    } else if (errorMessage.includes('Login failed') || errorMessage.includes('Session invalid')) {
-      statusCode = 401 // Unauthorized
-    }
+    const statusCode = datewiseErrorStatus(errorMessage);
 
     logger.error('[datewise] Returning error response', {
       statusCode,
       errorMessage,
       username: req.user?.student_id,
       date: requestDate
-    })
+    });
 
     return res.status(statusCode).json({
-      error: 'Failed to fetch date-wise attendance',
+      error: statusCode === 400 ? 'password_required' : 'Failed to fetch date-wise attendance',
       message: errorMessage,
       // Include more details in development
       ...(process.env.NODE_ENV === 'development' && {
@@ -1345,9 +1296,241 @@ app.post('/api/attendance/datewise', authApiLimiter, requireAuth, asyncHandler(a
           stack: err.stack
         }
       })
-    })
+    });
   }
-}))
+}));
+
+// Shape a range job for the client; the calendar is only included once every day is in
+function serializeRangeJob(job) {
+  return {
+    jobId: job.id,
+    status: job.status,
+    from: job.from,
+    to: job.to,
+    progress: job.progress,
+    pollUrl: `/api/attendance/datewise/range/${job.id}`,
+    ...(job.status === 'succeeded' && { days: job.days }),
+    ...(job.status === 'failed' && { error: job.error, statusCode: datewiseErrorStatus(job.error || '') })
+  };
+}
+
+// Date-wise attendance for every day from `from` to `to` (DD-MM-YYYY) over one LMS session.
+// Short ranges answer inline; anything that can't finish within the request budget keeps
+// running in the background and the client polls pollUrl.
+app.post('/api/attendance/datewise/range', authApiLimiter, requireAuth, [
+  body('from').isString().matches(/^\d{2}-\d{2}-\d{4}$/).withMessage('from is required (format: DD-MM-YYYY)'),
+  body('to').isString().matches(/^\d{2}-\d{2}-\d{4}$/).withMessage('to is required (format: DD-MM-YYYY)'),
+  body('password').optional().isString(),
+  validateRequest
+], asyncHandler(async (req, res) => {
+  const { from, to, password } = req.body;
+  const username = req.user.student_id;
+  const refresh = req.body.refresh === true || req.query.refresh === 'true';
+
+  const dates = listDatesInRange(from, to);
+  if (dates.length === 0) {
+    return res.status(400).json({ error: 'Invalid date range. Use DD-MM-YYYY with from on or before to' });
+  }
+  if (dates.length > MAX_RANGE_DAYS) {
+    return res.status(400).json({ error: `Date range too long. At most ${MAX_RANGE_DAYS} days per request` });
+  }
+  if (isFutureLmsDate(to)) {
+    return res.status(400).json({ error: 'Date range ends in the future. The LMS has no attendance for those days yet' });
+  }
+
+  logger.info('[datewise] Fetching date-wise attendance range', { username, from, to, dayCount: dates.length, refresh });
+
+  const { job, promise } = await startDatewiseRangeJob({ username, password, from, to, refresh });
+
+  if (dates.length > DATEWISE_RANGE_INLINE_DAYS) {
+    logger.info('[datewise] Range too long for one request, running in background', { username, jobId: job.id });
+    return res.status(202).json(serializeRangeJob(job));
+  }
+
+  let budgetTimer;
+  const budget = new Promise(resolve => {
+    budgetTimer = setTimeout(resolve, DATEWISE_REQUEST_BUDGET_MS);
+  });
+
+  try {
+    await Promise.race([promise, budget]);
+  } catch (err) {
+    // Failure is recorded on the job and reported below
+  } finally {
+    clearTimeout(budgetTimer);
+  }
+
+  if (job.status === 'running') {
+    logger.info('[datewise] Range exceeded request budget, continuing in background', {
+      username,
+      jobId: job.id,
+      progress: job.progress
+    });
+    return res.status(202).json(serializeRangeJob(job));
+  }
+
+  const payload = serializeRangeJob(job);
+  if (job.status === 'failed') {
+    return res.status(payload.statusCode).json({
+      error: payload.statusCode === 400 ? 'password_required' : 'Failed to fetch date-wise attendance',
+      message: job.error
+    });
+  }
+  return res.json(payload);
+}));
+
+// Poll a background range job started by POST /api/attendance/datewise/range
+app.get('/api/attendance/datewise/range/:jobId', authApiLimiter, requireAuth, asyncHandler(async (req, res) => {
+  const job = await getDatewiseRangeJob(req.params.jobId);
+  // Other users' jobs are reported as missing rather than forbidden
+  if (!job || job.username !== req.user.student_id) {
+    return res.status(404).json({ error: 'Job not found' });
+  }
+  return res.json(serializeRangeJob(job));
+}));
+
+// Stored LMS credentials (credential vault) - status for the settings menu, and revocation
+app.get('/api/credentials', authApiLimiter, requireAuth, asyncHandler(async (req, res) => {
+  const [status, autoRefresh] = await Promise.all([
+    getCredentialStatus(req.user.student_id),
+    getAutoRefreshStatus(req.user.student_id)
+  ]);
+  return res.json({ ...status, autoRefresh });
+}));
+
+// Opt in or out of the scheduled background refresh (needs stored credentials to take effect)
+app.put('/api/credentials/auto-refresh', authApiLimiter, requireAuth, [
+  body('enabled').isBoolean().withMessage('enabled must be a boolean'),
+  validateRequest
+], asyncHandler(async (req, res) => {
+  await setAutoRefresh(req.user.student_id, req.body.enabled === true || req.body.enabled === 'true');
+  return res.json({ autoRefresh: await getAutoRefreshStatus(req.user.student_id) });
+}));
+
+app.delete('/api/credentials', authApiLimiter, requireAuth, asyncHandler(async (req, res) => {
+  const revoked = await revokeCredentials(req.user.student_id);
+  return res.json({ revoked });
+}));
+
+// Email address for low-attendance alerts; an empty email turns alerts off
+app.get('/api/notifications/email', authApiLimiter, requireAuth, asyncHandler(async (req, res) => {
+  const email = await getAlertEmail(req.user.student_id);
+  return res.json({ email, enabled: Boolean(email), smtpConfigured: isEmailConfigured() });
+}));
+
+app.put('/api/notifications/email', authApiLimiter, requireAuth, [
+  body('email').optional({ values: 'falsy' }).isString().trim().isEmail().withMessage('email must be a valid email address'),
+  validateRequest
+], asyncHandler(async (req, res) => {
+  const email = req.body.email || null;
+  await setAlertEmail(req.user.student_id, email);
+  logger.info('[alerts] Updated alert email', { username: req.user.student_id, enabled: Boolean(email) });
+  return res.json({ email, enabled: Boolean(email), smtpConfigured: isEmailConfigured() });
+}));
+
+// Web Push: VAPID public key for PushManager.subscribe(), and (un)registering a device
+app.get('/api/push/vapid-public-key', (req, res) => {
+  if (!isPushConfigured()) {
+    return res.status(503).json({ error: 'push_not_configured' });
+  }
+  return res.json({ publicKey: getVapidPublicKey() });
+});
+
+app.post('/api/push/subscribe', authApiLimiter, requireAuth, [
+  body('subscription.endpoint').custom(isAllowedPushEndpoint).withMessage('subscription.endpoint must be an https URL on a public push service host'),
+  body('subscription.keys.p256dh').isString().notEmpty().withMessage('subscription.keys.p256dh is required'),
+  body('subscription.keys.auth').isString().notEmpty().withMessage('subscription.keys.auth is required'),
+  validateRequest
+], asyncHandler(async (req, res) => {
+  if (!isPushConfigured()) {
+    return res.status(503).json({ error: 'push_not_configured' });
+  }
+  await saveSubscription(req.user.student_id, req.body.subscription, req.get('user-agent') || null);
+  return res.status(201).json({ subscribed: true });
+}));
+
+app.delete('/api/push/subscribe', authApiLimiter, requireAuth, [
+  body('endpoint').isString().notEmpty().withMessage('endpoint is required'),
+  validateRequest
+], asyncHandler(async (req, res) => {
+  const removed = await removeSubscription(req.user.student_id, req.body.endpoint);
+  return res.json({ removed });
+}));
+
+// Month calendar built from date-wise records stored in datewise_attendance: per-day present/absent counts and periods.
+// missingDates lists days up to today (IST) with no complete stored record - never fetched, or fetched
+// before the day was over - so the client can fetch them via /datewise/range.
+app.get('/api/attendance/calendar', authApiLimiter, requireAuth, [
+  query('month').matches(/^\d{4}-\d{2}$/).withMessage('month is required (format: YYYY-MM)'),
+  validateRequest
+], asyncHandler(async (req, res) => {
+  const username = req.user.student_id;
+  const [year, month] = req.query.month.split('-').map(Number);
+  if (month < 1 || month > 12) {
+    return res.status(400).json({ error: 'Invalid month' });
+  }
+
+  const first = new Date(year, month - 1, 1);
+  const last = new Date(year, month, 0);
+  const from = formatLmsDate(first);
+  const to = formatLmsDate(last);
+
+  const stored = await getStoredDatewiseDays({ username, from, to });
+  const completeDates = new Set(stored.filter(d => d.complete).map(d => d.date));
+  const missingDates = listDatesInRange(from, isFutureLmsDate(to) ? istToday() : to)
+    .filter(date => !completeDates.has(date));
+
+  const days = stored.map(day => ({
+    date: day.date,
+    complete: day.complete,
+    ...summariseDatewiseDay(day.rows),
+    periods: day.rows
+  }));
+
+  logger.info('[calendar] Returning month calendar', {
+    username,
+    month: req.query.month,
+    storedDays: days.length,
+    missingDays: missingDates.length
+  });
+
+  return res.json({ month: req.query.month, from, to, days, missingDates });
+}));
+
+// iCalendar feed of upcoming classes for calendar apps. The token in the URL is the only
+// credential, separate from the login JWT; a student can regenerate or revoke it.
+function calendarFeedUrl(req, token) {
+  const base = process.env.PUBLIC_API_URL || `${req.protocol}://${req.get('host')}`;
+  return `${base.replace(/\/$/, '')}/api/calendar/${token}.ics`;
+}
+
+app.get('/api/calendar/feed', authApiLimiter, requireAuth, asyncHandler(async (req, res) => {
+  return res.json(await getCalendarFeedStatus(req.user.student_id));
+}));
+
+// Issues a new URL; the previous one stops working
+app.post('/api/calendar/feed', authApiLimiter, requireAuth, asyncHandler(async (req, res) => {
+  const { token } = await createCalendarFeed(req.user.student_id);
+  const status = await getCalendarFeedStatus(req.user.student_id);
+  return res.status(201).json({ ...status, url: calendarFeedUrl(req, token) });
+}));
+
+app.delete('/api/calendar/feed', authApiLimiter, requireAuth, asyncHandler(async (req, res) => {
+  const revoked = await revokeCalendarFeed(req.user.student_id);
+  return res.json({ revoked });
+}));
+
+app.get('/api/calendar/:token.ics', asyncHandler(async (req, res) => {
+  const username = await findCalendarFeedUser(req.params.token);
+  if (!username) {
+    return res.status(404).json({ error: 'Not found' });
+  }
+
+  const classes = await getCalendarClasses(username);
+  logger.info('[calendar] Serving calendar feed', { username, events: classes.length });
+  res.set('Cache-Control', 'private, max-age=300');
+  return res.type('text/calendar; charset=utf-8').send(renderCalendar({ username, classes }));
+}));
 
 // Error handling middleware - MUST be after all routes but before 404
 app.use((err, req, res, _next) => {
@@ -1367,16 +1550,22 @@ app.use((req, res) => {
   res.status(404).json({ error: 'Not found' });
 });
 
-// Export app for testing
-export { app };
+// Export app (and schema setup, which only runs on boot outside tests) for testing
+export { app, ensureSchema };
 
 // Only start server if not in test environment
 if (process.env.NODE_ENV !== 'test') {
   // Note: Puppeteer no longer needed - datewise attendance uses HTTP + Cheerio
-  logger.info('[startup] Date-wise attendance now uses HTTP requests (no Puppeteer required)')
+  logger.info('[startup] Date-wise attendance now uses HTTP requests (no Puppeteer required)');
   
+  // Job events from workers on other instances (SSE, attendance cache)
+  startScrapeEventListener();
+
   // Ensure DB schema on boot (non-blocking)
-  ensureSchema().catch((e) => logger.error('ensureSchema boot error', { error: e.message }));
+  ensureSchema()
+    .then(() => backfillSubjectIds())
+    .then(() => startScrapeWorker())
+    .catch((e) => logger.error('ensureSchema boot error', { error: e.message }));
   
   // Initialize cron jobs if needed
   try {
@@ -1386,6 +1575,15 @@ if (process.env.NODE_ENV !== 'test') {
   } catch (err) {
     logger.warn('[cron] Failed to start subscription notifier', { error: err.message });
   }
+
+  try {
+    const { startAttendanceRefresher } = await import('./cron/attendanceRefresher.js');
+    if (startAttendanceRefresher()) {
+      logger.info('[cron] Attendance refresher cron job started');
+    }
+  } catch (err) {
+    logger.warn('[cron] Failed to start attendance refresher', { error: err.message });
+  }
   
   // Handle unhandled promise rejections to prevent crashes
   process.on('unhandledRejection', (reason, promise) => {
@@ -1431,6 +1629,9 @@ if (process.env.NODE_ENV !== 'test') {
   const shutdown = async (signal) => {
     logger.info(`Received ${signal}, shutting down gracefully...`);
     try {
+      // Unfinished scrapes are picked up again by another worker once their heartbeat goes stale
+      stopScrapeWorker();
+      await stopScrapeEventListener();
       await closeDbPool();
       logger.info('Graceful shutdown complete');
       process.exit(0);
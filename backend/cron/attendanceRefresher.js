@@ -0,0 +1,147 @@
+// backend/cron/attendanceRefresher.js
+// Cron job that re-scrapes attendance for users who opted in to background refresh,
+// so the dashboard stays current between logins. Every instance schedules it; a Postgres advisory
+// lock lets only one of them run each tick.
+
+import cron from 'node-cron'
+import logger from '../lib/logger.js'
+import { triggerScrape } from '../src/services/scraperService.js'
+import { MAX_CONCURRENT_SCRAPES } from '../src/lib/scrapeQueue.js'
+import { getClient } from '../src/sharedDb.js'
+import { isVaultConfigured } from '../src/services/credentialVault.js'
+import {
+  listUsersDueForRefresh,
+  recordRefreshSuccess,
+  recordRefreshFailure
+} from '../src/services/autoRefreshService.js'
+
+// Skip users whose latest snapshot is newer than this (e.g. they just logged in)
+const MIN_AGE_MINUTES = Number(process.env.AUTO_REFRESH_MIN_AGE_MINUTES) || 60
+// Each of the run's parallel lanes starts after a random delay up to this, so a run doesn't hit the LMS in one burst
+const JITTER_MS = (Number(process.env.AUTO_REFRESH_JITTER_SECONDS) || 300) * 1000
+// Stop waiting for one user's scrape after this long (the job itself carries on) and move to the next
+const SCRAPE_WAIT_MS = 10 * 60 * 1000
+const RUN_LOCK = 'attendance_refresher'
+
+let running = false
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms))
+}
+
+async function refreshUser(username) {
+  try {
+    // No password: triggerScrape falls back to the credential vault
+    const { attendanceCount } = await triggerScrape(username, null, null, null, {
+      trigger: 'scheduled',
+      timeoutMs: SCRAPE_WAIT_MS
+    })
+    await recordRefreshSuccess(username)
+    logger.info('[cron] Background refresh succeeded', { username, attendanceCount })
+  } catch (err) {
+    if (err.code === 'WAIT_TIMEOUT') {
+      logger.warn('[cron] Background refresh still running - not waiting for it', { username })
+      return
+    }
+    logger.warn('[cron] Background refresh failed', { username, error: err.message })
+    await recordRefreshFailure(username, err.message).catch(e => {
+      logger.error('[cron] Failed to record refresh failure', { username, error: e.message })
+    })
+  }
+}
+
+// Refresh users with at most `lanes` scrapes in flight; each lane takes the next user when its last one is done
+async function refreshUsers(usernames, lanes) {
+  const queue = [...usernames]
+  const lane = async () => {
+    await sleep(Math.floor(Math.random() * JITTER_MS))
+    while (queue.length > 0) {
+      await refreshUser(queue.shift())
+    }
+  }
+  await Promise.all(Array.from({ length: Math.min(lanes, queue.length) }, lane))
+}
+
+/**
+ * Refresh every opted-in user that is due.
+ * Runs on one instance at a time (advisory lock) and keeps at most MAX_CONCURRENT_SCRAPES of its
+ * scrapes queued at once, so a run doesn't fill the shared scrape queue ahead of login scrapes.
+ * A tick is skipped while the previous run is still going, here or on another instance.
+ */
+export async function refreshOptedInUsers() {
+  if (running) {
+    logger.warn('[cron] Previous attendance refresh still running - skipping this tick')
+    return
+  }
+  running = true
+  let client = null
+  let locked = false
+  try {
+    client = await getClient()
+    const { rows } = await client.query('SELECT pg_try_advisory_lock(hashtext($1)) AS locked', [RUN_LOCK])
+    locked = rows[0].locked
+    if (!locked) {
+      logger.info('[cron] Attendance refresh running on another instance - skipping this tick')
+      return
+    }
+
+    const usernames = await listUsersDueForRefresh(MIN_AGE_MINUTES)
+    if (usernames.length === 0) {
+      logger.debug('[cron] No users due for attendance refresh')
+      return
+    }
+
+    logger.info('[cron] Refreshing attendance for opted-in users', { count: usernames.length })
+    const started = Date.now()
+    await refreshUsers(usernames, MAX_CONCURRENT_SCRAPES)
+    logger.info('[cron] Attendance refresh run finished', {
+      count: usernames.length,
+      durationMs: Date.now() - started
+    })
+  } catch (err) {
+    logger.error('[cron] Error in refreshOptedInUsers', {
+      error: err.message,
+      stack: err.stack
+    })
+  } finally {
+    let unlockError
+    if (locked) {
+      await client.query('SELECT pg_advisory_unlock(hashtext($1))', [RUN_LOCK]).catch(err => {
+        unlockError = err
+        logger.warn('[cron] Failed to release attendance refresh lock', { error: err.message })
+      })
+    }
+    // A connection that couldn't unlock is closed, which drops the lock with it
+    client?.release(unlockError)
+    running = false
+  }
+}
+
+/**
+ * Start the cron job
+ * Defaults to every 3 hours at minute 15; override with AUTO_REFRESH_CRON_SCHEDULE
+ */
+export function startAttendanceRefresher() {
+  if (!isVaultConfigured()) {
+    logger.info('[cron] Credential vault not configured - attendance refresher disabled')
+    return false
+  }
+
+  const schedule = process.env.AUTO_REFRESH_CRON_SCHEDULE || '15 */3 * * *'
+
+  logger.info('[cron] Starting attendance refresher', {
+    schedule,
+    minAgeMinutes: MIN_AGE_MINUTES,
+    jitterMs: JITTER_MS
+  })
+
+  cron.schedule(schedule, async () => {
+    await refreshOptedInUsers()
+  })
+  return true
+}
+
+export default {
+  refreshOptedInUsers,
+  startAttendanceRefresher
+}
@@ -0,0 +1,245 @@
+// backend/fakeLms/app.js
+// Local stand-in for the SBMCH LMS, for development and integration tests. Serves the pages and the
+// attendance API that LmsClient uses, with the markup the parsers expect (see tests/fixtures/lms),
+// for the students in students.js. Point the backend at it with LMS_BASE_URL=http://localhost:4010/lms.
+
+import { randomUUID } from 'crypto'
+import express from 'express'
+import { SEEDED_STUDENTS, TIMETABLE, buildPeriods } from './students.js'
+
+const SESSION_COOKIE = 'ci_session'
+
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+}
+
+// DD-MM-YYYY -> Date at local midnight, or null
+function parseLmsDate(value) {
+  const match = /^(\d{2})-(\d{2})-(\d{4})$/.exec(value || '')
+  return match ? new Date(Number(match[3]), Number(match[2]) - 1, Number(match[1])) : null
+}
+
+function readCookie(req, name) {
+  const cookies = (req.headers.cookie || '').split(';').map(c => c.trim())
+  const found = cookies.find(c => c.startsWith(`${name}=`))
+  return found ? decodeURIComponent(found.slice(name.length + 1)) : null
+}
+
+function layout(title, body) {
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <title>${escapeHtml(title)} | SBMCH LMS</title>
+</head>
+<body class="hold-transition skin-blue">
+${body}
+</body>
+</html>`
+}
+
+function loginPage(basePath, csrfToken, error) {
+  return layout('Login', `  <div class="login-box">
+    <h3>Student Login</h3>
+    ${error ? `<div class="alert alert-danger">${escapeHtml(error)}</div>` : ''}
+    <form action="${basePath}/site/userlogin" method="post">
+      <input type="hidden" name="ci_csrf_token" value="${csrfToken}">
+      <label for="username">Username</label>
+      <input type="text" name="username" id="username">
+      <label for="password">Password</label>
+      <input type="password" name="password" id="password">
+      <button type="submit">Sign In</button>
+    </form>
+  </div>`)
+}
+
+function dashboardPage(student) {
+  const classes = student.withClasses === false ? [] : TIMETABLE
+  const items = classes.map(slot => `          <li class="lecture-list d-flex">
+            <img src="/uploads/staff_images/default.png" class="avatar" alt="">
+            <div class="ms-2">
+              <h6 class="media-title">${escapeHtml(slot.subject)}</h6>
+              <small class="text-muted">${escapeHtml(slot.staff)}</small>
+            </div>
+            <div class="ms-auto text-end">
+              <p class="bmedium mb-0">${escapeHtml(slot.location)}</p>
+              <small class="text-muted">${slot.time_from} - ${slot.time_to}</small>
+            </div>
+          </li>`).join('\n')
+  return layout('Dashboard', `  <div class="content-wrapper">
+    <h4 class="mt0">Welcome, ${escapeHtml(student.name)}</h4>
+    <div class="card user-progress">
+      <div class="card-header"><h5>Upcoming Classes</h5></div>
+      ${items ? `<ul class="list-unstyled">\n${items}\n        </ul>` : '<p class="text-muted">No classes scheduled</p>'}
+    </div>
+  </div>`)
+}
+
+function subjectAttendancePage(csrfToken) {
+  const options = TIMETABLE.map((slot, i) => `<option value="${i + 1}">${escapeHtml(slot.subject)}</option>`).join('')
+  return layout('Subject Attendance', `  <form id="subject_attendance" method="post">
+    <input type="hidden" name="ci_csrf_token" value="${csrfToken}">
+    <input type="text" name="date" class="date">
+    <input type="text" name="end_date" class="date">
+    <select name="subject"><option value="">All</option>${options}</select>
+  </form>
+  <div class="attendance_result"></div>`)
+}
+
+function datewisePage(csrfToken) {
+  return layout('Attendance', `  <form id="datewise_attendance" method="post">
+    <input type="hidden" name="ci_csrf_token" value="${csrfToken}">
+    <input type="text" name="dob" id="dob" class="date">
+    <input type="text" name="end_dob" id="end_dob" class="date">
+  </form>
+  <div class="attendance_result"></div>`)
+}
+
+const NO_RECORDS = '<div class="attendance_result"><div class="alert alert-info">No records found</div></div>'
+
+// Subject-wise report: one row per subject with percentage and present/total
+function subjectResultPage(periods, markup) {
+  const bySubject = new Map()
+  for (const period of periods) {
+    const counts = bySubject.get(period.subject) || { present: 0, total: 0 }
+    counts.total++
+    if (period.present) counts.present++
+    bySubject.set(period.subject, counts)
+  }
+  if (bySubject.size === 0) return NO_RECORDS
+
+  if (markup === 'drifted') {
+    // A redesign the parser doesn't know: the same data without a table
+    return `<div class="attendance-report">${[...bySubject].map(([subject, { present, total }]) =>
+      `<div class="report-row"><span>${escapeHtml(subject)}</span><span>${present}/${total}</span></div>`).join('')}</div>`
+  }
+
+  const rows = [...bySubject].map(([subject, { present, total }]) => `<tr>
+  <td>${escapeHtml(subject)}</td>
+  <td>${((present / total) * 100).toFixed(2)}%</td>
+  <td>No of session Completed<br>${present}/${total}</td>
+</tr>`).join('\n')
+  return `<div class="attendance_result"><table class="table table-striped">
+<thead><tr><th>Subject</th><th>Percentage</th><th>No of session Completed</th></tr></thead>
+<tbody>
+${rows}
+</tbody>
+</table></div>`
+}
+
+// Date-wise report: one row per period with a P/A label
+function datewiseResultPage(periods, markup) {
+  if (periods.length === 0) return NO_RECORDS
+
+  // Drifted: attendance as icons without a label
+  const status = period => markup === 'drifted'
+    ? `<i class="status-icon" data-state="${period.present ? 1 : 0}"></i>`
+    : period.present ? '<span class="label label-success">P</span>' : '<span class="label label-danger">A</span>'
+  const rows = periods.map(period => `<tr>
+  <td>${escapeHtml(period.subject)}</td>
+  <td>${period.time_from}</td>
+  <td>${period.time_to}</td>
+  <td>${status(period)}</td>
+</tr>`).join('\n')
+  return `<div class="attendance_result"><table class="table table-hover">
+<thead><tr><th>Subject</th><th>Time From</th><th>Time To</th><th>Attendance</th></tr></thead>
+<tbody>
+${rows}
+</tbody>
+</table></div>`
+}
+
+/**
+ * Build the fake LMS app
+ * @param {Object} [options]
+ * @param {Array} [options.students] - Accepted students (defaults to SEEDED_STUDENTS)
+ * @param {string} [options.basePath] - Mount path, matching the path of LMS_BASE_URL
+ * @returns {express.Express} app; app.locals.sessions maps session ids to usernames
+ *   (clear it to simulate an expired LMS session); set app.locals.markup = 'drifted' to serve the
+ *   subject-wise and date-wise reports in layouts the parser doesn't know
+ */
+export function createFakeLms({ students = SEEDED_STUDENTS, basePath = '/lms' } = {}) {
+  const app = express()
+  const router = express.Router()
+  const csrfToken = randomUUID().replace(/-/g, '')
+  const sessions = new Map()
+  app.locals.sessions = sessions
+  app.locals.markup = 'default'
+
+  const findStudent = username => students.find(s => s.username === username)
+
+  function sessionStudent(req) {
+    const username = sessions.get(readCookie(req, SESSION_COOKIE))
+    return username ? findStudent(username) : null
+  }
+
+  // Like the real LMS, pages and the API answer with the login form when the session is missing
+  function requireSession(req, res, next) {
+    const student = sessionStudent(req)
+    if (!student) return res.type('html').send(loginPage(basePath, csrfToken))
+    req.student = student
+    next()
+  }
+
+  router.use(express.urlencoded({ extended: false }))
+
+  router.get('/site/userlogin', (req, res) => {
+    res.type('html').send(loginPage(basePath, csrfToken))
+  })
+
+  router.post('/site/userlogin', (req, res) => {
+    const { username, password } = req.body || {}
+    if (req.body?.ci_csrf_token !== csrfToken) {
+      return res.status(403).type('html').send(layout('Error', '<p>The action you have requested is not allowed.</p>'))
+    }
+    const student = findStudent(username)
+    if (!student || student.password !== password) {
+      return res.type('html').send(loginPage(basePath, csrfToken, 'Invalid Username or Password'))
+    }
+    const sessionId = randomUUID()
+    sessions.set(sessionId, student.username)
+    res.setHeader('Set-Cookie', `${SESSION_COOKIE}=${sessionId}; Path=/; HttpOnly`)
+    res.redirect(302, `${basePath}/user/user/dashboard`)
+  })
+
+  router.get('/user/user/dashboard', requireSession, (req, res) => {
+    res.type('html').send(dashboardPage(req.student))
+  })
+
+  router.get('/user/attendence/subjectbyattendance', requireSession, (req, res) => {
+    res.type('html').send(subjectAttendancePage(csrfToken))
+  })
+
+  router.get('/user/attendence', requireSession, (req, res) => {
+    res.type('html').send(datewisePage(csrfToken))
+  })
+
+  // Subject-wise report for date..end_date; the date-wise form (dob/end_dob) gets the per-period table
+  router.post('/user/attendence/subjectgetdaysubattendence', requireSession, (req, res) => {
+    const { date, end_date: endDate, subject, dob } = req.body || {}
+    const from = parseLmsDate(dob || date)
+    const to = parseLmsDate(dob ? req.body.end_dob || dob : endDate)
+    if (!from || !to) {
+      return res.json({ status: '0', error: 'Invalid date' })
+    }
+
+    const subjectName = subject ? TIMETABLE[Number(subject) - 1]?.subject : null
+    const periods = buildPeriods(req.student)
+      .filter(p => p.day >= from && p.day <= to)
+      .filter(p => !subjectName || p.subject === subjectName)
+
+    res.json({
+      status: '1',
+      result_page: dob !== undefined ? datewiseResultPage(periods, app.locals.markup) : subjectResultPage(periods, app.locals.markup)
+    })
+  })
+
+  app.use(basePath, router)
+  return app
+}
+
+export default createFakeLms
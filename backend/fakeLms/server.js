@@ -0,0 +1,15 @@
+// backend/fakeLms/server.js
+// Run the fake LMS on its own: `npm run lms:fake`, then start the backend with
+// LMS_BASE_URL=http://localhost:4010/lms and log in as one of the seeded students (students.js).
+
+import logger from '../lib/logger.js'
+import { createFakeLms } from './app.js'
+import { SEEDED_STUDENTS } from './students.js'
+
+const PORT = Number(process.env.FAKE_LMS_PORT) || 4010
+
+createFakeLms().listen(PORT, () => {
+  logger.info(`[fakeLms] Fake LMS running on http://localhost:${PORT}/lms`, {
+    students: SEEDED_STUDENTS.map(s => `${s.username} / ${s.password}`)
+  })
+})
@@ -0,0 +1,57 @@
+// backend/fakeLms/students.js
+// Seeded students for the fake LMS. Each has the same weekday timetable; absences follow a fixed
+// pattern so a given day always gives the same attendance.
+
+// Days of classes generated back from today
+const HISTORY_DAYS = 60
+
+export const TIMETABLE = [
+  { subject: 'Anatomy', time_from: '09:00 AM', time_to: '10:00 AM', location: 'Lecture Hall 2', staff: 'Dr. Priya Natarajan' },
+  { subject: 'Physiology', time_from: '10:00 AM', time_to: '11:00 AM', location: 'Lecture Hall 1', staff: 'Dr. Karthik S' },
+  { subject: 'Biochemistry', time_from: '11:15 AM', time_to: '12:15 PM', location: 'Biochemistry Lab', staff: 'Dr. Meena Raghavan' },
+  { subject: 'Community Medicine', time_from: '02:00 PM', time_to: '03:00 PM', location: 'Lecture Hall 3', staff: 'Dr. Arun Kumar' }
+]
+
+/**
+ * username/password pairs accepted by the fake LMS.
+ * absentEvery: every Nth period is missed (0 = never); withClasses: false gives a student with no records.
+ */
+export const SEEDED_STUDENTS = [
+  { username: 'FAKE001', password: 'password1', name: 'ANANYA RAMESH', absentEvery: 9 },
+  { username: 'FAKE002', password: 'password2', name: 'VIKRAM SUNDAR', absentEvery: 3 },
+  { username: 'FAKE003', password: 'password3', name: 'NEW ADMISSION', absentEvery: 0, withClasses: false }
+]
+
+function toLmsDate(date) {
+  const pad = n => String(n).padStart(2, '0')
+  return `${pad(date.getDate())}-${pad(date.getMonth() + 1)}-${date.getFullYear()}`
+}
+
+/**
+ * Every period the student attended or missed, oldest first
+ * @returns {Array<{date: string, day: Date, subject: string, time_from: string, time_to: string, present: boolean}>}
+ */
+export function buildPeriods(student, today = new Date()) {
+  if (student.withClasses === false) return []
+
+  const periods = []
+  let index = 0
+  for (let offset = HISTORY_DAYS; offset >= 0; offset--) {
+    const day = new Date(today.getFullYear(), today.getMonth(), today.getDate() - offset)
+    if (day.getDay() === 0 || day.getDay() === 6) continue
+    for (const slot of TIMETABLE) {
+      index++
+      periods.push({
+        date: toLmsDate(day),
+        day,
+        subject: slot.subject,
+        time_from: slot.time_from,
+        time_to: slot.time_to,
+        present: !(student.absentEvery && index % student.absentEvery === 0)
+      })
+    }
+  }
+  return periods
+}
+
+export default { TIMETABLE, SEEDED_STUDENTS, buildPeriods }
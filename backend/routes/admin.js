@@ -1,23 +1,32 @@
 import express from 'express'
 import { query } from '../src/db.js'
+import { compilePattern, invalidateThresholdRules } from '../src/services/thresholdService.js'
+import { invalidateSubjectGroupRules } from '../src/services/subjectGroupService.js'
+import { SUBJECT_COMPONENTS, invalidateSubjectCatalogue, mergeSubjects } from '../src/services/subjectCatalogService.js'
+import { listParseReports, getParseReport } from '../src/services/parseReportService.js'
 
 const router = express.Router()
 
 const ADMIN_API_KEY = process.env.ADMIN_API_KEY || ''
 
-router.get('/unverified', async (req, res) => {
+// All admin routes require the x-admin-key header to match ADMIN_API_KEY
+function requireAdminKey(req, res, next) {
   const suppliedKey = req.headers['x-admin-key']
 
   if (!ADMIN_API_KEY) {
-    console.warn('[admin/unverified] ADMIN_API_KEY not configured')
+    console.warn(`[admin${req.path}] ADMIN_API_KEY not configured`)
     return res.status(500).json({ error: 'admin_disabled' })
   }
 
   if (typeof suppliedKey !== 'string' || suppliedKey !== ADMIN_API_KEY) {
-    console.warn('[admin/unverified] unauthorized access attempt', { ip: req.ip })
+    console.warn(`[admin${req.path}] unauthorized access attempt`, { ip: req.ip })
     return res.status(401).json({ error: 'unauthorized' })
   }
 
+  next()
+}
+
+router.get('/unverified', requireAdminKey, async (req, res) => {
   try {
     const { rows } = await query(
       `SELECT id, student_id, name, scraper_checked_at, trial_expires_at, needs_verification, created_at
@@ -33,18 +42,352 @@ router.get('/unverified', async (req, res) => {
   }
 })
 
-export default router
+// Validate a threshold rule body; returns an error code or null.
+// A rule needs a name pattern, a catalogue subject_id, or both.
+function validateThresholdRule({ pattern, subject_id, threshold, priority }) {
+  const hasPattern = typeof pattern === 'string' && pattern.trim() !== ''
+  if (subject_id != null && !(Number.isInteger(Number(subject_id)) && Number(subject_id) > 0)) return 'invalid_subject_id'
+  if (!hasPattern && subject_id == null) return 'pattern_required'
+  if (hasPattern && !compilePattern(pattern.trim())) return 'invalid_pattern'
+  const value = Number(threshold)
+  if (!Number.isFinite(value) || value <= 0 || value > 100) return 'invalid_threshold'
+  if (priority !== undefined && !Number.isInteger(Number(priority))) return 'invalid_priority'
+  return null
+}
 
+router.get('/thresholds', requireAdminKey, async (req, res) => {
+  try {
+    const { rows } = await query(
+      `SELECT id, pattern, subject_id, threshold, priority, description, created_at, updated_at
+       FROM attendance_thresholds
+       ORDER BY priority DESC, id ASC`
+    )
+    return res.json({ rules: rows })
+  } catch (err) {
+    console.error('[admin/thresholds] failed to load rules', err.message)
+    return res.status(500).json({ error: 'internal_error' })
+  }
+})
 
+router.post('/thresholds', requireAdminKey, async (req, res) => {
+  const { pattern, subject_id, threshold, priority, description } = req.body || {}
+  const validationError = validateThresholdRule({ pattern, subject_id, threshold, priority })
+  if (validationError) {
+    return res.status(400).json({ error: validationError })
+  }
 
+  try {
+    const { rows } = await query(
+      `INSERT INTO attendance_thresholds (pattern, subject_id, threshold, priority, description)
+       VALUES ($1, $2, $3, $4, $5)
+       RETURNING id, pattern, subject_id, threshold, priority, description, created_at, updated_at`,
+      [pattern?.trim() || null, subject_id ?? null, Number(threshold), Number(priority) || 0, description || null]
+    )
+    invalidateThresholdRules()
+    console.log('[admin/thresholds] created rule', { id: rows[0].id, pattern: rows[0].pattern })
+    return res.status(201).json({ rule: rows[0] })
+  } catch (err) {
+    if (err.code === '23503') {
+      return res.status(400).json({ error: 'unknown_subject' })
+    }
+    console.error('[admin/thresholds] failed to create rule', err.message)
+    return res.status(500).json({ error: 'internal_error' })
+  }
+})
 
+router.put('/thresholds/:id', requireAdminKey, async (req, res) => {
+  const { pattern, subject_id, threshold, priority, description } = req.body || {}
+  const validationError = validateThresholdRule({ pattern, subject_id, threshold, priority })
+  if (validationError) {
+    return res.status(400).json({ error: validationError })
+  }
 
+  try {
+    const { rows } = await query(
+      `UPDATE attendance_thresholds
+       SET pattern = $2, subject_id = $3, threshold = $4, priority = $5, description = $6, updated_at = now()
+       WHERE id = $1
+       RETURNING id, pattern, subject_id, threshold, priority, description, created_at, updated_at`,
+      [req.params.id, pattern?.trim() || null, subject_id ?? null, Number(threshold), Number(priority) || 0, description || null]
+    )
+    if (rows.length === 0) {
+      return res.status(404).json({ error: 'not_found' })
+    }
+    invalidateThresholdRules()
+    console.log('[admin/thresholds] updated rule', { id: rows[0].id, pattern: rows[0].pattern })
+    return res.json({ rule: rows[0] })
+  } catch (err) {
+    if (err.code === '23503') {
+      return res.status(400).json({ error: 'unknown_subject' })
+    }
+    console.error('[admin/thresholds] failed to update rule', err.message)
+    return res.status(500).json({ error: 'internal_error' })
+  }
+})
 
+router.delete('/thresholds/:id', requireAdminKey, async (req, res) => {
+  try {
+    const { rowCount } = await query('DELETE FROM attendance_thresholds WHERE id = $1', [req.params.id])
+    if (rowCount === 0) {
+      return res.status(404).json({ error: 'not_found' })
+    }
+    invalidateThresholdRules()
+    console.log('[admin/thresholds] deleted rule', { id: req.params.id })
+    return res.status(204).end()
+  } catch (err) {
+    console.error('[admin/thresholds] failed to delete rule', err.message)
+    return res.status(500).json({ error: 'internal_error' })
+  }
+})
 
+// Validate a subject grouping rule body; returns an error code or null
+function validateSubjectGroupRule({ pattern, group_name, priority }) {
+  if (typeof pattern !== 'string' || !pattern.trim()) return 'pattern_required'
+  if (!compilePattern(pattern.trim())) return 'invalid_pattern'
+  if (typeof group_name !== 'string' || !group_name.trim()) return 'group_name_required'
+  if (priority !== undefined && !Number.isInteger(Number(priority))) return 'invalid_priority'
+  return null
+}
 
+router.get('/subject-groups', requireAdminKey, async (req, res) => {
+  try {
+    const { rows } = await query(
+      `SELECT id, pattern, group_name, component, priority, created_at, updated_at
+       FROM subject_group_rules
+       ORDER BY priority DESC, id ASC`
+    )
+    return res.json({ rules: rows })
+  } catch (err) {
+    console.error('[admin/subject-groups] failed to load rules', err.message)
+    return res.status(500).json({ error: 'internal_error' })
+  }
+})
 
+router.post('/subject-groups', requireAdminKey, async (req, res) => {
+  const { pattern, group_name, component, priority } = req.body || {}
+  const validationError = validateSubjectGroupRule({ pattern, group_name, priority })
+  if (validationError) {
+    return res.status(400).json({ error: validationError })
+  }
 
+  try {
+    const { rows } = await query(
+      `INSERT INTO subject_group_rules (pattern, group_name, component, priority)
+       VALUES ($1, $2, $3, $4)
+       RETURNING id, pattern, group_name, component, priority, created_at, updated_at`,
+      [pattern.trim(), group_name.trim(), component || null, Number(priority) || 0]
+    )
+    invalidateSubjectGroupRules()
+    console.log('[admin/subject-groups] created rule', { id: rows[0].id, pattern: rows[0].pattern })
+    return res.status(201).json({ rule: rows[0] })
+  } catch (err) {
+    console.error('[admin/subject-groups] failed to create rule', err.message)
+    return res.status(500).json({ error: 'internal_error' })
+  }
+})
 
+router.put('/subject-groups/:id', requireAdminKey, async (req, res) => {
+  const { pattern, group_name, component, priority } = req.body || {}
+  const validationError = validateSubjectGroupRule({ pattern, group_name, priority })
+  if (validationError) {
+    return res.status(400).json({ error: validationError })
+  }
+
+  try {
+    const { rows } = await query(
+      `UPDATE subject_group_rules
+       SET pattern = $2, group_name = $3, component = $4, priority = $5, updated_at = now()
+       WHERE id = $1
+       RETURNING id, pattern, group_name, component, priority, created_at, updated_at`,
+      [req.params.id, pattern.trim(), group_name.trim(), component || null, Number(priority) || 0]
+    )
+    if (rows.length === 0) {
+      return res.status(404).json({ error: 'not_found' })
+    }
+    invalidateSubjectGroupRules()
+    console.log('[admin/subject-groups] updated rule', { id: rows[0].id, pattern: rows[0].pattern })
+    return res.json({ rule: rows[0] })
+  } catch (err) {
+    console.error('[admin/subject-groups] failed to update rule', err.message)
+    return res.status(500).json({ error: 'internal_error' })
+  }
+})
 
+router.delete('/subject-groups/:id', requireAdminKey, async (req, res) => {
+  try {
+    const { rowCount } = await query('DELETE FROM subject_group_rules WHERE id = $1', [req.params.id])
+    if (rowCount === 0) {
+      return res.status(404).json({ error: 'not_found' })
+    }
+    invalidateSubjectGroupRules()
+    console.log('[admin/subject-groups] deleted rule', { id: req.params.id })
+    return res.status(204).end()
+  } catch (err) {
+    console.error('[admin/subject-groups] failed to delete rule', err.message)
+    return res.status(500).json({ error: 'internal_error' })
+  }
+})
 
+// Canonical subject catalogue (see src/services/subjectCatalogService.js)
+const SUBJECT_COLUMNS = 'id, name, code, department, component, aliases, auto_created, created_at, updated_at'
 
+// Validate a catalogue subject body; returns an error code or null
+function validateSubject({ name, code, component, aliases }) {
+  if (typeof name !== 'string' || !name.trim()) return 'name_required'
+  if (code != null && typeof code !== 'string') return 'invalid_code'
+  if (component != null && !SUBJECT_COMPONENTS.includes(component)) return 'invalid_component'
+  if (aliases !== undefined && (!Array.isArray(aliases) || aliases.some(a => typeof a !== 'string' || !a.trim()))) {
+    return 'invalid_aliases'
+  }
+  return null
+}
+
+function subjectParams({ name, code, department, component, aliases }) {
+  return [
+    name.trim(),
+    code?.trim() || null,
+    department?.trim() || null,
+    component || null,
+    [...new Set((aliases || []).map(a => a.trim()))]
+  ]
+}
+
+// ?auto=true lists only the entries registered automatically from unknown LMS names
+router.get('/subjects', requireAdminKey, async (req, res) => {
+  try {
+    const { rows } = await query(
+      `SELECT ${SUBJECT_COLUMNS}
+       FROM subjects
+       WHERE $1::boolean IS NULL OR auto_created = $1
+       ORDER BY name ASC, component ASC NULLS FIRST`,
+      [req.query.auto === undefined ? null : req.query.auto === 'true']
+    )
+    return res.json({ subjects: rows })
+  } catch (err) {
+    console.error('[admin/subjects] failed to load subjects', err.message)
+    return res.status(500).json({ error: 'internal_error' })
+  }
+})
+
+router.post('/subjects', requireAdminKey, async (req, res) => {
+  const validationError = validateSubject(req.body || {})
+  if (validationError) {
+    return res.status(400).json({ error: validationError })
+  }
+
+  try {
+    const { rows } = await query(
+      `INSERT INTO subjects (name, code, department, component, aliases)
+       VALUES ($1, $2, $3, $4, $5)
+       RETURNING ${SUBJECT_COLUMNS}`,
+      subjectParams(req.body)
+    )
+    invalidateSubjectCatalogue()
+    console.log('[admin/subjects] created subject', { id: rows[0].id, name: rows[0].name })
+    return res.status(201).json({ subject: rows[0] })
+  } catch (err) {
+    if (err.code === '23505') {
+      return res.status(409).json({ error: 'duplicate_subject' })
+    }
+    console.error('[admin/subjects] failed to create subject', err.message)
+    return res.status(500).json({ error: 'internal_error' })
+  }
+})
+
+// Editing an entry marks it as curated (auto_created = false)
+router.put('/subjects/:id', requireAdminKey, async (req, res) => {
+  const validationError = validateSubject(req.body || {})
+  if (validationError) {
+    return res.status(400).json({ error: validationError })
+  }
+
+  try {
+    const { rows } = await query(
+      `UPDATE subjects
+       SET name = $2, code = $3, department = $4, component = $5, aliases = $6, auto_created = false, updated_at = now()
+       WHERE id = $1
+       RETURNING ${SUBJECT_COLUMNS}`,
+      [req.params.id, ...subjectParams(req.body)]
+    )
+    if (rows.length === 0) {
+      return res.status(404).json({ error: 'not_found' })
+    }
+    invalidateSubjectCatalogue()
+    console.log('[admin/subjects] updated subject', { id: rows[0].id, name: rows[0].name })
+    return res.json({ subject: rows[0] })
+  } catch (err) {
+    if (err.code === '23505') {
+      return res.status(409).json({ error: 'duplicate_subject' })
+    }
+    console.error('[admin/subjects] failed to update subject', err.message)
+    return res.status(500).json({ error: 'internal_error' })
+  }
+})
+
+// Fold a duplicate entry (usually auto-created) into another; its stored rows and aliases move over
+router.post('/subjects/:id/merge', requireAdminKey, async (req, res) => {
+  const fromId = Number(req.params.id)
+  const intoId = Number(req.body?.into)
+  if (!Number.isInteger(fromId) || !Number.isInteger(intoId) || intoId <= 0) {
+    return res.status(400).json({ error: 'invalid_subject_id' })
+  }
+  if (fromId === intoId) {
+    return res.status(400).json({ error: 'same_subject' })
+  }
+
+  try {
+    const subject = await mergeSubjects(fromId, intoId)
+    if (!subject) {
+      return res.status(404).json({ error: 'not_found' })
+    }
+    // Threshold rules may have moved to the surviving subject
+    invalidateThresholdRules()
+    console.log('[admin/subjects] merged subjects', { fromId, intoId })
+    return res.json({ subject })
+  } catch (err) {
+    console.error('[admin/subjects] failed to merge subjects', err.message)
+    return res.status(500).json({ error: 'internal_error' })
+  }
+})
+
+// LMS pages flagged by the parser health check (see src/lib/parserHealth.js)
+const PARSE_REPORT_STATUSES = ['suspicious', 'parse_error']
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i
+
+router.get('/parse-reports', requireAdminKey, async (req, res) => {
+  const { status, page, limit } = req.query
+  if (status && !PARSE_REPORT_STATUSES.includes(status)) {
+    return res.status(400).json({ error: 'invalid_status' })
+  }
+
+  try {
+    const reports = await listParseReports({ status: status || null, page: page || null, limit })
+    return res.json({ reports })
+  } catch (err) {
+    console.error('[admin/parse-reports] failed to load reports', err.message)
+    return res.status(500).json({ error: 'internal_error' })
+  }
+})
+
+// ?format=html returns only the sanitized page, as text so it is never rendered
+router.get('/parse-reports/:id', requireAdminKey, async (req, res) => {
+  if (!UUID_PATTERN.test(req.params.id)) {
+    return res.status(404).json({ error: 'not_found' })
+  }
+
+  try {
+    const report = await getParseReport(req.params.id)
+    if (!report) {
+      return res.status(404).json({ error: 'not_found' })
+    }
+    if (req.query.format === 'html') {
+      return res.type('text/plain').send(report.html || '')
+    }
+    return res.json({ report })
+  } catch (err) {
+    console.error('[admin/parse-reports] failed to load report', err.message)
+    return res.status(500).json({ error: 'internal_error' })
+  }
+})
+
+export default router
@@ -12,7 +12,8 @@ import bcrypt from 'bcryptjs'
 import jwt from 'jsonwebtoken'
 import { query } from '../src/db.js'
 import logger from '../lib/logger.js'
-import { triggerScrape } from '../src/services/scraperService.js'
+import { enqueueScrape } from '../src/services/scraperService.js'
+import { isVaultConfigured, revokeCredentials } from '../src/services/credentialVault.js'
 
 const router = express.Router()
 
@@ -80,6 +81,35 @@ const loginLimiter = rateLimit({
   message: 'Too many login attempts; try again in a minute.'
 })
 
+// remember_credentials: true opts in to the credential vault, false opts out (and revokes).
+// The password is only vaulted by the login scrape once the LMS has accepted it (see
+// enqueueScrape rememberPassword); background refresh is a separate opt-in
+// (PUT /api/credentials/auto-refresh). Vault errors never fail the login.
+async function queueLoginScrape(studentId, password, rememberCredentials) {
+  const rememberPassword = rememberCredentials === true && isVaultConfigured()
+  if (rememberCredentials === false) {
+    await revokeCredentials(studentId).catch(err => {
+      logger.error('[auth/login] Failed to revoke stored credentials', { username: studentId, error: err.message })
+    })
+  }
+
+  // Queued for the scrape worker - don't block response (the worker logs scrape failures)
+  try {
+    const { existing } = await enqueueScrape(studentId, password, undefined, undefined, { rememberPassword })
+    // A shared job runs with the password it was queued with, so this one can't be vaulted
+    return rememberPassword && !existing
+  } catch (err) {
+    logger.error('[auth/login] [scrape_error] Could not queue scrape', {
+      username: studentId,
+      error: err.message,
+      stack: err.stack,
+      errorCode: err.code,
+      errorName: err.name
+    })
+    return false
+  }
+}
+
 function signJwt(payload) {
   if (!JWT_SECRET) throw new Error('server_misconfigured')
   return jwt.sign(payload, JWT_SECRET, { expiresIn: '7d' })
@@ -87,7 +117,7 @@ function signJwt(payload) {
 
 router.post('/login', loginLimiter, async (req, res) => {
   try {
-    const { student_id, password } = req.body || {}
+    const { student_id, password, remember_credentials } = req.body || {}
     if (!student_id || typeof student_id !== 'string' || !password || typeof password !== 'string') {
       return res.status(400).json({ error: 'invalid_body' })
     }
@@ -138,20 +168,12 @@ router.post('/login', loginLimiter, async (req, res) => {
       })
       
       // CRITICAL: Always trigger scraping for existing users
-      // Run in background - don't block response
       logger.info('[auth/login] Triggering attendance scrape for existing user', { username: updatedUser.student_id })
-      triggerScrape(updatedUser.student_id, password).catch(err => {
-        logger.error('[auth/login] [scrape_error] Background scrape failed for existing user', { 
-          username: updatedUser.student_id, 
-          error: err.message, 
-          stack: err.stack,
-          errorCode: err.code,
-          errorName: err.name
-        })
-      })
-      
+      const credentialsPending = await queueLoginScrape(updatedUser.student_id, password, remember_credentials)
+
       return res.json({
         token,
+        credentials_pending: credentialsPending,
         user: {
           id: updatedUser.id,
           student_id: updatedUser.student_id,
@@ -239,20 +261,12 @@ router.post('/login', loginLimiter, async (req, res) => {
     const token = signJwt({ userId: user.id, student_id: user.student_id })
     
     // CRITICAL: Always trigger scraping after user creation/login
-    // Run in background - don't block response
     logger.info('[auth/login] Triggering attendance scrape for new user', { username: student_id })
-    triggerScrape(student_id, password).catch(err => {
-      logger.error('[auth/login] [scrape_error] Background scrape failed for new user', { 
-        username: student_id, 
-        error: err.message, 
-        stack: err.stack,
-        errorCode: err.code,
-        errorName: err.name
-      })
-    })
-    
+    const credentialsPending = await queueLoginScrape(user.student_id, password, remember_credentials)
+
     return res.json({ 
       token, 
+      credentials_pending: credentialsPending,
       user: {
         id: user.id,
         student_id: user.student_id,
@@ -0,0 +1,69 @@
+// backend/src/lib/classTimes.js
+// The LMS dashboard lists today's classes with times as text ("09:00 AM - 10:00 AM") and no date
+// or timezone. Classes are held in India, so the text is read as IST on the day of the scrape.
+
+const IST_OFFSET_MS = 330 * 60 * 1000 // UTC+05:30, no daylight saving
+
+// "09:00 AM - 10:00 AM", "9.00-10.00 am", "11:00 AM to 1:00 PM", "14:00 - 15:00"
+const TIME_RANGE = /(\d{1,2})(?:[:.](\d{2}))?\s*([ap])?\.?\s*m?\.?\s*(?:-|–|—|to)\s*(\d{1,2})(?:[:.](\d{2}))?\s*([ap])?\.?\s*m?\.?/i
+
+/**
+ * Calendar date in IST as YYYY-MM-DD
+ */
+export function istDateString(date = new Date()) {
+  return new Date(date.getTime() + IST_OFFSET_MS).toISOString().slice(0, 10)
+}
+
+/**
+ * The instant of hh:mm IST on an IST calendar date (YYYY-MM-DD)
+ */
+export function istTimestamp(dateString, hours, minutes = 0) {
+  const [year, month, day] = dateString.split('-').map(Number)
+  return new Date(Date.UTC(year, month - 1, day, hours, minutes) - IST_OFFSET_MS)
+}
+
+function toHours(hours, meridiem) {
+  if (!meridiem) return hours
+  return (hours % 12) + (meridiem.toLowerCase() === 'p' ? 12 : 0)
+}
+
+/**
+ * Read a class time range on the IST day of `day`.
+ * When only one side has AM/PM the other follows it (an end before the start flips to PM);
+ * with neither, times are 24-hour, except 1-7 which a college timetable means as PM.
+ *
+ * @param {string} text - Time text from the dashboard
+ * @param {Date} [day] - When the dashboard was fetched
+ * @returns {{start: Date, end: Date}|null} null when the text has no recognisable range
+ */
+export function parseClassTimeRange(text, day = new Date()) {
+  const match = TIME_RANGE.exec(text || '')
+  if (!match) return null
+
+  const [, startH, startM = '0', startMer, endH, endM = '0', endMer] = match
+  let start = toHours(Number(startH), startMer || endMer)
+  let end = toHours(Number(endH), endMer || startMer)
+  if (!startMer && !endMer) {
+    if (start >= 1 && start <= 7) start += 12
+    if (end >= 1 && end <= 7) end += 12
+  } else if (!startMer && start > end) {
+    // "11:00 - 1:00 PM"
+    start = toHours(Number(startH), 'a')
+  } else if (!endMer && end <= start && end < 12) {
+    // "11:00 AM - 1:00"
+    end += 12
+  }
+
+  const startMinutes = Number(startM)
+  const endMinutes = Number(endM)
+  if (start > 23 || end > 23 || startMinutes > 59 || endMinutes > 59) return null
+  if (end * 60 + endMinutes <= start * 60 + startMinutes) return null
+
+  const date = istDateString(day)
+  return {
+    start: istTimestamp(date, start, startMinutes),
+    end: istTimestamp(date, end, endMinutes)
+  }
+}
+
+export default { istDateString, istTimestamp, parseClassTimeRange }
@@ -1,63 +1,145 @@
 // backend/src/lib/email.js
-// Email notification functions for subscription and trial expiration
+// SMTP mailer (nodemailer) plus the notification emails built on it.
+// Configure with SMTP_HOST/SMTP_PORT/SMTP_SECURE/SMTP_USER/SMTP_PASS/MAIL_FROM; without SMTP_HOST
+// emails are only logged. For local testing point SMTP_HOST/SMTP_PORT at a capture server
+// such as MailHog or smtp4dev (e.g. localhost:1025, no auth).
 
+import nodemailer from 'nodemailer'
 import logger from '../../lib/logger.js'
 
+let transporter = null
+
 /**
- * Send email notification when subscription expires
- * @param {Object} user - User object with email, student_id, name, etc.
- * @returns {Promise<boolean>} - Returns true if email was sent successfully
+ * Whether an SMTP server is configured
  */
-export async function sendSubscriptionExpiredEmail(user) {
+export function isEmailConfigured() {
+  return Boolean(process.env.SMTP_HOST)
+}
+
+function getTransporter() {
+  if (transporter) return transporter
+
+  const port = Number(process.env.SMTP_PORT) || 587
+  transporter = nodemailer.createTransport({
+    host: process.env.SMTP_HOST,
+    port,
+    // Implicit TLS on 465, STARTTLS (when offered) everywhere else unless overridden
+    secure: process.env.SMTP_SECURE ? process.env.SMTP_SECURE === 'true' : port === 465,
+    auth: process.env.SMTP_USER
+      ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS || '' }
+      : undefined,
+    connectionTimeout: 10000,
+    greetingTimeout: 10000,
+    socketTimeout: 20000
+  })
+  return transporter
+}
+
+/**
+ * Send an email
+ * @param {Object} message
+ * @param {string} message.to - Recipient address
+ * @param {string} message.subject
+ * @param {string} message.text - Plain-text body
+ * @param {string} [message.html] - Optional HTML body
+ * @returns {Promise<boolean>} - Returns true if the SMTP server accepted the message
+ */
+export async function sendEmail({ to, subject, text, html }) {
+  if (!to) {
+    logger.warn('[email] No recipient address - not sending', { subject })
+    return false
+  }
+  if (!isEmailConfigured()) {
+    logger.info('[email] SMTP not configured - email logged only', { to, subject })
+    return false
+  }
+
   try {
-    // TODO: Implement email sending using nodemailer or email service
-    // For now, just log the event
-    logger.info('[email] Subscription expired notification', {
-      userId: user.id,
-      email: user.email || user.student_id,
-      studentId: user.student_id,
-      name: user.name
+    const info = await getTransporter().sendMail({
+      from: process.env.MAIL_FROM || 'SBMCH Attendance <no-reply@localhost>',
+      to,
+      subject,
+      text,
+      html
     })
-    
-    // If nodemailer is configured, implement actual email sending here
-    // Example:
-    // const transporter = nodemailer.createTransport({...})
-    // await transporter.sendMail({...})
-    
-    return true // Return true to indicate "sent" (even if just logged)
+    logger.info('[email] Sent', { to, subject, messageId: info.messageId })
+    return true
   } catch (err) {
-    logger.error('[email] Failed to send subscription expired email', {
-      userId: user.id,
-      error: err.message
-    })
+    logger.error('[email] Failed to send', { to, subject, error: err.message })
     return false
   }
 }
 
+/**
+ * Send email notification when subscription expires
+ * @param {Object} user - User object with email, student_id, name, etc.
+ * @returns {Promise<boolean>} - Returns true if email was sent successfully
+ */
+export async function sendSubscriptionExpiredEmail(user) {
+  logger.info('[email] Subscription expired notification', {
+    userId: user.id,
+    email: user.email || user.student_id,
+    studentId: user.student_id,
+    name: user.name
+  })
+
+  return sendEmail({
+    to: user.email,
+    subject: 'Your SBMCH Attendance subscription has expired',
+    text: `Hi ${user.name || user.student_id},\n\nYour subscription has expired. Renew it to keep tracking your attendance.\n`
+  })
+}
+
 /**
  * Send email notification when trial expires
  * @param {Object} user - User object with email, student_id, name, etc.
  * @returns {Promise<boolean>} - Returns true if email was sent successfully
  */
 export async function sendTrialExpiredEmail(user) {
-  try {
-    // TODO: Implement email sending using nodemailer or email service
-    // For now, just log the event
-    logger.info('[email] Trial expired notification', {
-      userId: user.id,
-      email: user.email || user.student_id,
-      studentId: user.student_id,
-      name: user.name
-    })
-    
-    // If nodemailer is configured, implement actual email sending here
-    
-    return true // Return true to indicate "sent" (even if just logged)
-  } catch (err) {
-    logger.error('[email] Failed to send trial expired email', {
-      userId: user.id,
-      error: err.message
-    })
-    return false
-  }
+  logger.info('[email] Trial expired notification', {
+    userId: user.id,
+    email: user.email || user.student_id,
+    studentId: user.student_id,
+    name: user.name
+  })
+
+  return sendEmail({
+    to: user.email,
+    subject: 'Your SBMCH Attendance trial has ended',
+    text: `Hi ${user.name || user.student_id},\n\nYour free trial has ended. Subscribe to keep tracking your attendance.\n`
+  })
+}
+
+/**
+ * Send a low-attendance alert
+ * @param {Object} user - { email, name, student_id }
+ * @param {Array<{subject: string, condition: 'below_threshold'|'no_margin', percent: number, threshold: number, required: number|null}>} alerts - required is null when the threshold is out of reach
+ * @returns {Promise<boolean>}
+ */
+export async function sendAttendanceAlertEmail(user, alerts) {
+  const lines = alerts.map(a => {
+    if (a.condition === 'below_threshold' && a.required === null) {
+      return `- ${a.subject}: ${a.percent}% is below the ${a.threshold}% requirement, and attending more classes can no longer bring it back up.`
+    }
+    if (a.condition === 'below_threshold') {
+      return `- ${a.subject}: ${a.percent}% is below the ${a.threshold}% requirement. Attend the next ${a.required} class(es) to recover.`
+    }
+    return `- ${a.subject}: ${a.percent}% - you can't miss any more classes without dropping below ${a.threshold}%.`
+  })
+
+  return sendEmail({
+    to: user.email,
+    subject: alerts.some(a => a.condition === 'below_threshold')
+      ? 'Attendance alert: below the required percentage'
+      : 'Attendance alert: no more classes to miss',
+    text: `Hi ${user.name || user.student_id},\n\n${lines.join('\n')}\n\nYou won't get another alert for these subjects until they recover and drop again.\n`
+  })
+}
+
+export default {
+  isEmailConfigured,
+  sendEmail,
+  sendSubscriptionExpiredEmail,
+  sendTrialExpiredEmail,
+  sendAttendanceAlertEmail
 }
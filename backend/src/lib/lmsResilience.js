@@ -0,0 +1,197 @@
+// backend/src/lib/lmsResilience.js
+// Resilience for every request to the LMS: a per-attempt timeout, retries with exponential backoff
+// on network errors, 5xx and 429 (GET/HEAD, or requests marked idempotent), and a circuit breaker
+// that fails fast while the LMS is down instead of queueing more logins against it. The breaker is
+// per process; its state is on GET /health.
+
+import { Response } from 'node-fetch'
+import logger from '../../lib/logger.js'
+
+const REQUEST_TIMEOUT_MS = Number(process.env.LMS_REQUEST_TIMEOUT_MS) || 15000
+const MAX_RETRIES = Number(process.env.LMS_MAX_RETRIES ?? 2) // attempts = retries + 1
+const RETRY_BASE_MS = Number(process.env.LMS_RETRY_BASE_MS) || 500
+const BREAKER_FAILURE_THRESHOLD = Number(process.env.LMS_BREAKER_FAILURE_THRESHOLD) || 5
+const BREAKER_COOLDOWN_MS = (Number(process.env.LMS_BREAKER_COOLDOWN_SECONDS) || 30) * 1000
+
+// Retried unless the caller says otherwise; a login or form POST must not be sent twice
+const IDEMPOTENT_METHODS = ['GET', 'HEAD']
+
+// Statuses the HTTP spec forbids a body for - the buffered copy must not get one
+const NULL_BODY_STATUSES = [101, 204, 205, 304]
+
+/**
+ * Thrown instead of calling the LMS while the breaker is open.
+ * The message says "not reachable" so scrape jobs classify it as lms_down.
+ */
+export class CircuitOpenError extends Error {
+  constructor(retryAt) {
+    super(retryAt
+      ? `LMS not reachable: circuit breaker open until ${new Date(retryAt).toISOString()}`
+      : 'LMS not reachable: circuit breaker is testing the connection')
+    this.name = 'CircuitOpenError'
+    this.code = 'LMS_CIRCUIT_OPEN'
+    this.retryAt = retryAt
+  }
+}
+
+/**
+ * closed    - requests flow; consecutive failures are counted
+ * open      - requests fail fast with CircuitOpenError until the cooldown has passed
+ * half_open - one probe request is let through; success closes the breaker, failure reopens it
+ */
+export class CircuitBreaker {
+  constructor({ name, failureThreshold = BREAKER_FAILURE_THRESHOLD, cooldownMs = BREAKER_COOLDOWN_MS }) {
+    this.name = name
+    this.failureThreshold = failureThreshold
+    this.cooldownMs = cooldownMs
+    this.state = 'closed'
+    this.failures = 0
+    this.openedAt = null
+    this.probing = false
+    this.lastFailure = null
+  }
+
+  /**
+   * Call before each request; throws CircuitOpenError when it must not go out
+   */
+  acquire() {
+    if (this.state === 'open') {
+      if (Date.now() - this.openedAt < this.cooldownMs) {
+        throw new CircuitOpenError(this.openedAt + this.cooldownMs)
+      }
+      this.state = 'half_open'
+      logger.info('[lmsBreaker] Cooldown over - probing the LMS', { breaker: this.name })
+    }
+    if (this.state === 'half_open') {
+      if (this.probing) throw new CircuitOpenError(null)
+      this.probing = true
+    }
+  }
+
+  recordSuccess() {
+    if (this.state !== 'closed') {
+      logger.info('[lmsBreaker] LMS responded - circuit closed', { breaker: this.name })
+    }
+    this.state = 'closed'
+    this.failures = 0
+    this.openedAt = null
+    this.probing = false
+  }
+
+  recordFailure(err) {
+    this.failures++
+    this.probing = false
+    this.lastFailure = { message: err.message, at: new Date().toISOString() }
+    if (this.state === 'half_open' || (this.state === 'closed' && this.failures >= this.failureThreshold)) {
+      this.state = 'open'
+      this.openedAt = Date.now()
+      logger.warn('[lmsBreaker] Circuit opened - failing LMS requests fast', {
+        breaker: this.name,
+        consecutiveFailures: this.failures,
+        cooldownMs: this.cooldownMs,
+        lastError: err.message
+      })
+    }
+  }
+
+  /**
+   * Snapshot for health checks
+   */
+  getState() {
+    return {
+      state: this.state,
+      consecutiveFailures: this.failures,
+      openedAt: this.openedAt ? new Date(this.openedAt).toISOString() : null,
+      retryAt: this.state === 'open' ? new Date(this.openedAt + this.cooldownMs).toISOString() : null,
+      lastFailure: this.lastFailure
+    }
+  }
+}
+
+export const lmsBreaker = new CircuitBreaker({ name: 'lms' })
+
+export function getLmsBreakerState() {
+  return lmsBreaker.getState()
+}
+
+function isRetryableStatus(status) {
+  return status >= 500 || status === 429
+}
+
+// RETRY_BASE_MS * 2^attempt with +-20% jitter
+function retryDelay(attempt) {
+  return Math.round(RETRY_BASE_MS * 2 ** attempt * (0.8 + Math.random() * 0.4))
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms))
+}
+
+/**
+ * fetch() with a timeout per attempt, retries of idempotent requests and the circuit breaker.
+ * The body is read within the timeout and returned as a buffered Response, so a stalled
+ * download fails (and is retried) like a stalled connect. After the last attempt a 5xx/429
+ * response is returned as-is and a network error is rethrown, so callers handle them as before.
+ *
+ * @param {Function} doFetch - fetch implementation, e.g. a cookie-jar fetch
+ * @param {string} url
+ * @param {Object} [options] - fetch options
+ * @param {Object} [resilience]
+ * @param {CircuitBreaker|null} [resilience.breaker] - null leaves the request out of the breaker
+ * @param {number} [resilience.retries]
+ * @param {number} [resilience.timeoutMs]
+ * @param {boolean} [resilience.idempotent] - Safe to send again; defaults to true for GET/HEAD only
+ * @returns {Promise<Response>}
+ */
+export async function fetchWithResilience(doFetch, url, options = {}, {
+  breaker = lmsBreaker,
+  retries = MAX_RETRIES,
+  timeoutMs = REQUEST_TIMEOUT_MS,
+  idempotent = IDEMPOTENT_METHODS.includes((options.method || 'GET').toUpperCase())
+} = {}) {
+  const maxRetries = idempotent ? retries : 0
+  for (let attempt = 0; ; attempt++) {
+    breaker?.acquire()
+
+    let response = null
+    let error = null
+    const controller = new AbortController()
+    const timer = setTimeout(() => controller.abort(), timeoutMs)
+    try {
+      const res = await doFetch(url, { ...options, signal: controller.signal })
+      const body = NULL_BODY_STATUSES.includes(res.status) ? null : Buffer.from(await res.arrayBuffer())
+      response = new Response(body, { status: res.status, statusText: res.statusText, headers: res.headers })
+    } catch (err) {
+      error = controller.signal.aborted
+        ? Object.assign(new Error(`LMS request timed out after ${timeoutMs}ms`), { code: 'ETIMEDOUT' })
+        : err
+    } finally {
+      clearTimeout(timer)
+    }
+
+    const failed = error || isRetryableStatus(response.status)
+    if (!failed) {
+      breaker?.recordSuccess()
+      return response
+    }
+    breaker?.recordFailure(error || new Error(`LMS responded ${response.status}`))
+
+    if (attempt >= maxRetries || breaker?.state === 'open') {
+      if (error) throw error
+      return response
+    }
+
+    const delayMs = retryDelay(attempt)
+    logger.warn('[lmsClient] LMS request failed - retrying', {
+      path: new URL(url).pathname,
+      attempt: attempt + 1,
+      status: response?.status,
+      error: error?.message,
+      code: error?.code,
+      delayMs
+    })
+    await sleep(delayMs)
+  }
+}
+
+export default { CircuitBreaker, CircuitOpenError, lmsBreaker, getLmsBreakerState, fetchWithResilience }
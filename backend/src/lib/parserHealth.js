@@ -0,0 +1,194 @@
+// backend/src/lib/parserHealth.js
+// Structure checks for the LMS pages we parse. The parsers return [] both for "no records" and for
+// markup they no longer understand; these checks tell the two apart so markup drift fails the scrape
+// (ParseHealthError -> job error parse_failure) instead of saving an empty snapshot as a success.
+// Flagged pages are kept, sanitized, in lms_parse_reports (see services/parseReportService.js).
+
+import * as cheerio from 'cheerio'
+
+// What the LMS shows instead of a table when the range has no classes
+const NO_RECORDS_PATTERN = /no (attendance )?records?|no data/i
+// Sanitized copies are cut off after this many characters
+const MAX_SAVED_HTML = 200 * 1024
+
+/**
+ * Verdicts:
+ *   ok          - structure as expected
+ *   empty       - the page says there is nothing to show ("no records")
+ *   suspicious  - parsed, but some of it looks off; the scrape goes ahead and the page is kept
+ *   parse_error - markup not recognised; the scrape fails
+ */
+export class ParseHealthError extends Error {
+  constructor(report) {
+    super(`LMS markup not recognised (${report.page}): ${report.issues.join('; ')}`)
+    this.name = 'ParseHealthError'
+    this.code = 'LMS_PARSE_ERROR'
+    this.report = report
+  }
+}
+
+// Per-page counters since startup, for GET /health
+const health = new Map()
+
+/**
+ * Count a check result
+ */
+export function recordParseHealth(report) {
+  const entry = health.get(report.page) || { checked: 0, empty: 0, suspicious: 0, parseErrors: 0, lastStatus: null, lastParseErrorAt: null }
+  entry.checked++
+  entry.lastStatus = report.status
+  if (report.status === 'empty') entry.empty++
+  if (report.status === 'suspicious') entry.suspicious++
+  if (report.status === 'parse_error') {
+    entry.parseErrors++
+    entry.lastParseErrorAt = new Date().toISOString()
+  }
+  health.set(report.page, entry)
+}
+
+export function getParserHealth() {
+  return Object.fromEntries(health)
+}
+
+function loadHtml(html) {
+  // Result pages are fragments; keep them that way in the sanitized copy
+  return cheerio.load(html || '', null, /<html[\s>]/i.test(html || ''))
+}
+
+// Data rows of a table (cells, no header cells) and their distinct cell counts
+function describeTable($, table) {
+  const dataRows = table.find('tr').filter((_, tr) => $(tr).find('th').length === 0 && $(tr).find('td').length > 0)
+  const columnCounts = [...new Set(dataRows.toArray().map(tr => $(tr).find('td').length))].sort((a, b) => a - b)
+  return { dataRows: dataRows.length, columnCounts }
+}
+
+function verdict(page, issues, stats, { empty = false, error = false } = {}) {
+  let status = 'ok'
+  if (error) status = 'parse_error'
+  else if (empty) status = 'empty'
+  else if (issues.length) status = 'suspicious'
+  return { page, status, issues, stats }
+}
+
+// Shared by both attendance reports: is there a table, and did its rows parse?
+function checkResultTable(page, html, rows, { minColumns, rowIssue }) {
+  const $ = loadHtml(html)
+  const resultBox = $('.attendance_result')
+  const table = (resultBox.length ? resultBox.find('table') : $('table')).first()
+  const noRecords = NO_RECORDS_PATTERN.test($.root().text())
+  const issues = []
+
+  if (!table.length) {
+    const stats = { tables: $('table').length, dataRows: 0, parsedRows: rows.length, columnCounts: [] }
+    if (noRecords) return verdict(page, [], stats, { empty: true })
+    issues.push(resultBox.length ? 'no table inside .attendance_result' : 'no .attendance_result and no table')
+    return verdict(page, issues, stats, { error: true })
+  }
+
+  const { dataRows, columnCounts } = describeTable($, table)
+  const stats = { tables: $('table').length, dataRows, parsedRows: rows.length, columnCounts }
+
+  if (dataRows === 0) return verdict(page, [], stats, { empty: true })
+  if (rows.length === 0) {
+    issues.push(`${dataRows} table rows but none parsed (cells per row: ${columnCounts.join(', ')})`)
+    return verdict(page, issues, stats, { error: true })
+  }
+  if (Math.max(...columnCounts) < minColumns) {
+    issues.push(`expected at least ${minColumns} columns, found ${Math.max(...columnCounts)}`)
+  }
+
+  const badRows = rows.map(rowIssue).filter(Boolean)
+  if (badRows.length === rows.length) {
+    issues.push(`no row has the expected shape (${badRows[0]})`)
+    return verdict(page, issues, stats, { error: true })
+  }
+  if (badRows.length) {
+    issues.push(`${badRows.length} of ${rows.length} rows look wrong (${badRows[0]})`)
+  }
+  return verdict(page, issues, stats)
+}
+
+/**
+ * Check the subject-wise report (`result_page` of the attendance API) against its parsed rows
+ */
+export function checkAttendanceResult(html, rows) {
+  return checkResultTable('subject_attendance', html, rows, {
+    minColumns: 3,
+    rowIssue: row => {
+      if (!row.subject || /^[\d.%/\s-]+$/.test(row.subject)) return `subject "${row.subject}"`
+      if (row.total === 0 && row.present === 0 && row.percent > 0) return `${row.subject}: no present/total`
+      if (row.present > row.total) return `${row.subject}: present ${row.present} > total ${row.total}`
+      if (row.percent < 0 || row.percent > 100) return `${row.subject}: percent ${row.percent}`
+      return null
+    }
+  })
+}
+
+/**
+ * Check one day of the date-wise report against its parsed rows
+ */
+export function checkDatewiseResult(html, rows) {
+  return checkResultTable('datewise_attendance', html, rows, {
+    minColumns: 2,
+    rowIssue: row => {
+      if (!row.subject) return 'empty subject'
+      if (!row.attendance || row.attendance === 'Unknown') return `${row.subject}: attendance not recognised`
+      return null
+    }
+  })
+}
+
+/**
+ * Check the dashboard. Never a parse_error: the name and upcoming classes are extras, so a
+ * changed dashboard is reported without failing the scrape.
+ */
+export function checkDashboard(html, upcomingClasses) {
+  const $ = loadHtml(html)
+  const issues = []
+  const stats = {
+    hasWelcome: $('h4.mt0').length > 0,
+    hasUpcomingList: $('.user-progress').length > 0,
+    lectureItems: upcomingClasses.length
+  }
+  if (!stats.hasWelcome) issues.push('no h4.mt0 welcome heading')
+  if (!stats.hasUpcomingList) issues.push('no .user-progress upcoming classes list')
+  const untitled = upcomingClasses.filter(c => !c.title).length
+  if (untitled) issues.push(`${untitled} upcoming classes without a title`)
+  return verdict('dashboard', issues, stats)
+}
+
+/**
+ * Copy of an LMS page that is safe to keep for review: scripts, styles, form values, event
+ * handlers and the student's ID and name are removed, and it is cut to MAX_SAVED_HTML.
+ */
+export function sanitizeLmsHtml(html, { username, studentName } = {}) {
+  const $ = loadHtml(html)
+  $('script, style, noscript, iframe, object, embed, link, meta').remove()
+  $('input, textarea').removeAttr('value')
+  $('textarea').text('')
+  $('h4.mt0').text('Welcome, [student]')
+  $('*').each((_, el) => {
+    for (const name of Object.keys(el.attribs || {})) {
+      const value = el.attribs[name] || ''
+      if (/^on/i.test(name) || /^\s*javascript:/i.test(value)) $(el).removeAttr(name)
+    }
+  })
+
+  let out = $.html()
+  for (const secret of [username, studentName]) {
+    if (secret && secret.trim().length > 2) {
+      out = out.replace(new RegExp(secret.trim().replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'gi'), '[student]')
+    }
+  }
+  return out.length > MAX_SAVED_HTML ? `${out.slice(0, MAX_SAVED_HTML)}\n<!-- truncated -->` : out
+}
+
+export default {
+  ParseHealthError,
+  recordParseHealth,
+  getParserHealth,
+  checkAttendanceResult,
+  checkDatewiseResult,
+  checkDashboard,
+  sanitizeLmsHtml
+}
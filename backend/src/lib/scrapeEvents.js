@@ -0,0 +1,124 @@
+// backend/src/lib/scrapeEvents.js
+// Notifications about scrape jobs, across instances. scrapeJobService publishes every status change;
+// GET /api/attendance/stream, waitForScrapeJob and the attendance cache subscribe.
+// Events reach local subscribers straight away and go out over Postgres NOTIFY on the scrape_jobs
+// channel; each instance LISTENs (startScrapeEventListener) and passes on events from the others,
+// so a job run by any worker reaches SSE clients and caches on every instance.
+
+import { EventEmitter } from 'events'
+import { randomUUID } from 'crypto'
+import logger from '../../lib/logger.js'
+import { query, createDedicatedClient } from '../sharedDb.js'
+
+export const SCRAPE_EVENTS_CHANNEL = 'scrape_jobs'
+const RECONNECT_MS = 5000
+
+// Tags this process's notifications so it doesn't deliver its own events twice
+const INSTANCE_ID = randomUUID()
+
+const emitter = new EventEmitter()
+// One listener per open SSE connection
+emitter.setMaxListeners(0)
+
+let listener = null
+let listening = false
+let reconnectTimer = null
+
+/**
+ * @param {string} username - Student ID the job belongs to
+ * @param {Object} job - serializeScrapeJob() output
+ */
+export function publishScrapeJob(username, job) {
+  emitter.emit('job', { username, job })
+  const payload = JSON.stringify({ origin: INSTANCE_ID, username, job })
+  query('SELECT pg_notify($1, $2)', [SCRAPE_EVENTS_CHANNEL, payload]).catch(err => {
+    logger.warn('[scrapeEvents] Failed to notify other instances', { jobId: job?.id, error: err.message })
+  })
+}
+
+/**
+ * Listen for job updates of every user
+ * @param {(event: {username: string, job: Object}) => void} listener
+ * @returns {Function} Unsubscribe
+ */
+export function subscribeScrapeJobs(listener) {
+  emitter.on('job', listener)
+  return () => emitter.off('job', listener)
+}
+
+function onNotification(msg) {
+  if (msg.channel !== SCRAPE_EVENTS_CHANNEL) return
+  let event
+  try {
+    event = JSON.parse(msg.payload)
+  } catch {
+    return
+  }
+  if (event.origin === INSTANCE_ID || !event.username || !event.job) return
+  emitter.emit('job', { username: event.username, job: event.job })
+}
+
+function scheduleReconnect() {
+  if (!listening || reconnectTimer) return
+  reconnectTimer = setTimeout(() => {
+    reconnectTimer = null
+    connectListener()
+  }, RECONNECT_MS)
+  reconnectTimer.unref()
+}
+
+async function connectListener() {
+  let client
+  try {
+    client = createDedicatedClient()
+    client.on('notification', onNotification)
+    client.on('error', err => logger.warn('[scrapeEvents] Listener connection error', { error: err.message }))
+    client.on('end', () => {
+      if (listener !== client) return
+      listener = null
+      logger.warn('[scrapeEvents] Listener connection closed - reconnecting')
+      scheduleReconnect()
+    })
+    await client.connect()
+    await client.query(`LISTEN ${SCRAPE_EVENTS_CHANNEL}`)
+    if (!listening) {
+      await client.end()
+      return
+    }
+    listener = client
+    logger.info('[scrapeEvents] Listening for scrape job events from other instances')
+  } catch (err) {
+    logger.warn('[scrapeEvents] Could not listen for scrape job events', { error: err.message })
+    client?.end().catch(() => {})
+    scheduleReconnect()
+  }
+}
+
+/**
+ * Start passing on scrape job events from other instances. Events sent while the connection
+ * is down are lost; waitForScrapeJob also polls, and SSE clients get the latest job on reconnect.
+ * @returns {Promise<boolean>} false if already started
+ */
+export async function startScrapeEventListener() {
+  if (listening) return false
+  listening = true
+  await connectListener()
+  return true
+}
+
+export async function stopScrapeEventListener() {
+  listening = false
+  clearTimeout(reconnectTimer)
+  reconnectTimer = null
+  const client = listener
+  listener = null
+  if (client) await client.end().catch(() => {})
+}
+
+export default {
+  SCRAPE_EVENTS_CHANNEL,
+  publishScrapeJob,
+  subscribeScrapeJobs,
+  startScrapeEventListener,
+  stopScrapeEventListener
+}
@@ -0,0 +1,176 @@
+// backend/src/lib/scrapeQueue.js
+// Worker loop for the Postgres-backed scrape queue (the scrape_jobs table). Every instance runs one;
+// jobs are claimed with FOR UPDATE SKIP LOCKED while at most MAX_CONCURRENT_SCRAPES run across all
+// instances, so the LMS never sees more sessions from us than that however many instances are up.
+// Failed attempts are retried with backoff and dead-lettered once out of attempts (see
+// scrapeJobService.markScrapeJobFailed); jobs of a worker that stops heartbeating are recovered.
+
+import os from 'os'
+import { randomUUID } from 'crypto'
+import logger from '../../lib/logger.js'
+import {
+  claimScrapeJobs,
+  heartbeatScrapeJobs,
+  markScrapeJobFailed,
+  recoverStaleScrapeJobs
+} from '../services/scrapeJobService.js'
+
+export const MAX_CONCURRENT_SCRAPES = Number(process.env.SCRAPE_MAX_CONCURRENT) || 3 // across all instances
+const POLL_MS = (Number(process.env.SCRAPE_WORKER_POLL_SECONDS) || 2) * 1000
+const HEARTBEAT_MS = 15000
+const RECOVER_MS = 60000
+
+export const WORKER_ID = `${os.hostname()}:${process.pid}:${randomUUID().slice(0, 8)}`
+
+const activeJobs = new Set()
+// LMS passwords given at login, by job id: { password, remember }. Never written to the database
+// (until the LMS accepts one the user asked to remember), so those jobs are pinned to this worker
+// (createScrapeJob pinnedTo) and the password is dropped once the job is done.
+const heldPasswords = new Map()
+let runJob = null
+let timers = []
+let polling = false
+let pollAgain = false
+
+/**
+ * Keep a session password for a job this worker will run
+ * @param {Object} [options]
+ * @param {boolean} [options.remember] - Save it to the credential vault once the LMS accepts it
+ */
+export function holdPassword(jobId, password, { remember = false } = {}) {
+  heldPasswords.set(jobId, { password, remember })
+}
+
+export function releasePassword(jobId) {
+  heldPasswords.delete(jobId)
+}
+
+async function runClaimedJob(job) {
+  activeJobs.add(job.id)
+  logger.info('[scrape] Starting scrape', {
+    username: job.username,
+    jobId: job.id,
+    attempt: job.attempts,
+    activeScrapes: activeJobs.size
+  })
+  let finalStatus = 'succeeded'
+  try {
+    const held = heldPasswords.get(job.id)
+    await runJob(job, held?.password || null, { rememberPassword: Boolean(held?.remember) })
+  } catch (err) {
+    const { errorCode, status } = await markScrapeJobFailed(job.id, err).catch(e => {
+      logger.error('[scrapeJobs] Failed to record job failure', { jobId: job.id, error: e.message })
+      return { errorCode: null, status: 'failed' }
+    })
+    finalStatus = status
+    logger.error('[scrape_error]', {
+      username: job.username,
+      jobId: job.id,
+      attempt: job.attempts,
+      errorCode,
+      outcome: status === 'queued' ? 'retry scheduled' : status,
+      error: err.stack || err.message
+    })
+  } finally {
+    activeJobs.delete(job.id)
+    if (finalStatus !== 'queued') releasePassword(job.id)
+    logger.info('[scrape] Scrape completed', { username: job.username, jobId: job.id, activeScrapes: activeJobs.size })
+    // A slot just freed up
+    pollQueue()
+  }
+}
+
+async function pollQueue() {
+  if (!runJob) return
+  if (polling) {
+    pollAgain = true
+    return
+  }
+  polling = true
+  try {
+    do {
+      pollAgain = false
+      const free = MAX_CONCURRENT_SCRAPES - activeJobs.size
+      if (free <= 0) break
+      const jobs = await claimScrapeJobs(WORKER_ID, { limit: free, maxRunning: MAX_CONCURRENT_SCRAPES })
+      jobs.forEach(runClaimedJob)
+    } while (pollAgain)
+  } catch (err) {
+    logger.error('[scrapeQueue] Failed to claim scrape jobs', { error: err.message })
+  } finally {
+    polling = false
+  }
+}
+
+/**
+ * Check for claimable jobs now instead of at the next poll (e.g. right after queueing one)
+ */
+export function wakeScrapeWorker() {
+  pollQueue()
+}
+
+/**
+ * Start claiming and running jobs on this instance
+ * @param {(job: Object, password: string|null, options: {rememberPassword: boolean}) => Promise<any>} handler -
+ *   Runs one claimed job and marks it succeeded; throwing records a failed attempt
+ * @returns {boolean} false if already started
+ */
+export function startScrapeWorker(handler) {
+  if (runJob) return false
+  runJob = handler
+
+  const recover = () => recoverStaleScrapeJobs()
+    .then(() => pollQueue())
+    .catch(err => logger.error('[scrapeQueue] Failed to recover stale scrape jobs', { error: err.message }))
+  const heartbeat = () => heartbeatScrapeJobs(WORKER_ID, [...activeJobs])
+    .catch(err => logger.warn('[scrapeQueue] Heartbeat failed', { error: err.message }))
+
+  timers = [
+    setInterval(pollQueue, POLL_MS),
+    setInterval(heartbeat, HEARTBEAT_MS),
+    setInterval(recover, RECOVER_MS)
+  ]
+  timers.forEach(t => t.unref())
+  // Register this worker before recovering, so its own pinned jobs aren't taken for orphans
+  heartbeat().then(recover)
+
+  logger.info('[scrapeQueue] Scrape worker started', {
+    workerId: WORKER_ID,
+    maxConcurrent: MAX_CONCURRENT_SCRAPES,
+    pollMs: POLL_MS
+  })
+  return true
+}
+
+/**
+ * Stop claiming new jobs (graceful shutdown). Jobs still running are recovered by another worker
+ * once their heartbeat goes stale.
+ */
+export function stopScrapeWorker() {
+  timers.forEach(clearInterval)
+  timers = []
+  runJob = null
+}
+
+/**
+ * Current worker load, for logging and health checks
+ */
+export function getScrapeQueueStats() {
+  return {
+    workerId: WORKER_ID,
+    activeScrapes: activeJobs.size,
+    maxConcurrent: MAX_CONCURRENT_SCRAPES,
+    heldPasswords: heldPasswords.size
+  }
+}
+
+export default {
+  MAX_CONCURRENT_SCRAPES,
+  WORKER_ID,
+  holdPassword,
+  releasePassword,
+  wakeScrapeWorker,
+  startScrapeWorker,
+  stopScrapeWorker,
+  getScrapeQueueStats
+}
@@ -0,0 +1,204 @@
+// backend/src/services/attendanceAlertService.js
+// Low-attendance alerts. After each scrape every subject is checked for two conditions:
+//   below_threshold - percent is under the subject's threshold
+//   no_margin       - still at/above the threshold but no classes left to miss (margin 0)
+// State per (user, subject, condition) lives in attendance_alerts; an alert is emailed only when a
+// condition turns active, and re-arms once it clears, so each crossing notifies exactly once.
+// An active alert whose email hasn't been sent (notified_at NULL) is retried after every scrape.
+// notifyAttendanceChanges() also pushes those crossings, plus absences new since the previous
+// scrape, to the user's subscribed devices.
+
+import logger from '../../lib/logger.js'
+import { query } from '../sharedDb.js'
+import { sendAttendanceAlertEmail } from '../lib/email.js'
+import { sendPushToUser } from './pushService.js'
+
+export const ALERT_CONDITIONS = ['below_threshold', 'no_margin']
+
+/**
+ * Conditions currently true for one processed attendance row (see applyThresholds)
+ */
+export function activeConditions(row) {
+  const total = Number(row.total) || 0
+  if (total === 0) return []
+  const percent = Number(row.percent) || 0
+  if (percent < row.threshold) return ['below_threshold']
+  if (Number(row.margin) === 0) return ['no_margin']
+  return []
+}
+
+/**
+ * Update alert state for a user's latest attendance and email any newly crossed conditions,
+ * plus active ones whose email failed earlier. `crossed` marks the conditions new in this run.
+ *
+ * @param {Object} options
+ * @param {string} options.username - Student ID
+ * @param {Array<{subject: string, present: number, total: number, percent: number, threshold: number, required: number, margin: number}>} options.attendance
+ * @returns {Promise<{triggered: Array, cleared: number, emailed: boolean}>}
+ */
+export async function evaluateAttendanceAlerts({ username, attendance }) {
+  const triggered = []
+  let cleared = 0
+
+  for (const row of attendance) {
+    const active = new Set(activeConditions(row))
+    for (const condition of ALERT_CONDITIONS) {
+      if (active.has(condition)) {
+        // Returns a row on the crossing, and again on later runs while the alert is active but
+        // its email hasn't gone out yet (SMTP failure, no address on file)
+        const { rows } = await query(
+          `INSERT INTO attendance_alerts (username, subject, condition, active, triggered_at, percent)
+           VALUES ($1, $2, $3, true, now(), $4)
+           ON CONFLICT (username, subject, condition) DO UPDATE SET
+             active = true,
+             triggered_at = CASE WHEN attendance_alerts.active THEN attendance_alerts.triggered_at ELSE now() END,
+             notified_at = NULL,
+             percent = EXCLUDED.percent
+           WHERE NOT attendance_alerts.active OR attendance_alerts.notified_at IS NULL
+           RETURNING triggered_at = now() AS crossed`,
+          [username, row.subject, condition, row.percent]
+        )
+        if (rows.length > 0) {
+          triggered.push({
+            subject: row.subject,
+            condition,
+            crossed: rows[0].crossed,
+            percent: row.percent,
+            threshold: row.threshold,
+            required: row.required
+          })
+        }
+      } else {
+        const { rowCount } = await query(
+          `UPDATE attendance_alerts SET active = false, cleared_at = now()
+           WHERE username = $1 AND subject = $2 AND condition = $3 AND active`,
+          [username, row.subject, condition]
+        )
+        cleared += rowCount
+      }
+    }
+  }
+
+  if (triggered.length === 0) {
+    return { triggered, cleared, emailed: false }
+  }
+
+  const { rows: users } = await query(
+    'SELECT student_id, name, email FROM users WHERE student_id = $1',
+    [username]
+  )
+  const user = users[0]
+  if (!user || !user.email) {
+    logger.info('[alerts] Attendance alert triggered but no email address on file', {
+      username,
+      alerts: triggered.map(a => `${a.subject}:${a.condition}`)
+    })
+    return { triggered, cleared, emailed: false }
+  }
+
+  const emailed = await sendAttendanceAlertEmail(user, triggered)
+  if (emailed) {
+    await query(
+      `UPDATE attendance_alerts SET notified_at = now()
+       WHERE username = $1 AND active AND (subject, condition) IN (SELECT * FROM unnest($2::text[], $3::text[]))`,
+      [username, triggered.map(a => a.subject), triggered.map(a => a.condition)]
+    )
+  }
+  logger.info('[alerts] Attendance alert triggered', { username, count: triggered.length, emailed })
+  return { triggered, cleared, emailed }
+}
+
+/**
+ * Subjects whose absent count went up compared with the user's previous scrape run.
+ * Returns nothing for the first run, so a new user isn't told about the whole semester at once.
+ *
+ * @returns {Promise<Array<{subject: string, newAbsences: number}>>}
+ */
+export async function findFreshAbsences(username, scrapeRunId, attendance) {
+  const { rows } = await query(
+    `SELECT a.subject, a.absent
+     FROM attendance a
+     WHERE a.scrape_run_id = (
+       SELECT r.id FROM scrape_runs r
+       WHERE r.username = $1
+         AND r.id <> $2
+         AND r.fetched_at <= (SELECT fetched_at FROM scrape_runs WHERE id = $2)
+       ORDER BY r.fetched_at DESC
+       LIMIT 1
+     )`,
+    [username, scrapeRunId]
+  )
+  if (rows.length === 0) return []
+
+  const previous = new Map(rows.map(r => [r.subject, Number(r.absent) || 0]))
+  const fresh = []
+  for (const row of attendance) {
+    if (!previous.has(row.subject)) continue
+    const newAbsences = (Number(row.absent) || 0) - previous.get(row.subject)
+    if (newAbsences > 0) {
+      fresh.push({ subject: row.subject, newAbsences })
+    }
+  }
+  return fresh
+}
+
+/**
+ * Post-scrape hook: update alert state (emailing new crossings) and push new crossings
+ * and fresh absences to the user's devices.
+ *
+ * @param {Object} options
+ * @param {string} options.username - Student ID
+ * @param {Array} options.attendance - Rows after applyThresholds()
+ * @param {string} options.scrapeRunId - Run the rows were saved under
+ */
+export async function notifyAttendanceChanges({ username, attendance, scrapeRunId }) {
+  const { triggered } = await evaluateAttendanceAlerts({ username, attendance })
+  const freshAbsences = scrapeRunId ? await findFreshAbsences(username, scrapeRunId, attendance) : []
+
+  if (freshAbsences.length > 0) {
+    await sendPushToUser(username, {
+      title: 'New absence recorded',
+      body: freshAbsences
+        .map(a => `${a.subject}${a.newAbsences > 1 ? ` (${a.newAbsences})` : ''}`)
+        .join(', '),
+      tag: 'fresh-absence',
+      url: '/'
+    })
+  }
+
+  // Pushes only go out on the crossing, not on each email retry
+  const below = triggered.filter(a => a.crossed && a.condition === 'below_threshold')
+  if (below.length > 0) {
+    await sendPushToUser(username, {
+      title: 'Attendance below requirement',
+      body: below.map(a => `${a.subject}: ${a.percent}% (needs ${a.threshold}%)`).join(', '),
+      tag: 'below-threshold',
+      url: '/'
+    })
+  }
+}
+
+/**
+ * Email address used for alerts, or null
+ */
+export async function getAlertEmail(username) {
+  const { rows } = await query('SELECT email FROM users WHERE student_id = $1', [username])
+  return rows[0]?.email || null
+}
+
+/**
+ * Set (or clear with null) the email address alerts are sent to
+ */
+export async function setAlertEmail(username, email) {
+  await query('UPDATE users SET email = $2 WHERE student_id = $1', [username, email || null])
+}
+
+export default {
+  ALERT_CONDITIONS,
+  activeConditions,
+  evaluateAttendanceAlerts,
+  findFreshAbsences,
+  notifyAttendanceChanges,
+  getAlertEmail,
+  setAlertEmail
+}
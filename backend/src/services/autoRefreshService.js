@@ -0,0 +1,102 @@
+// backend/src/services/autoRefreshService.js
+// Per-user opt-in and outcome tracking for the scheduled background refresh.
+// A user is refreshed only when auto_refresh.enabled is set and a password is in the credential vault.
+
+import { query } from '../sharedDb.js'
+
+// Stop retrying after this many failures in a row (usually a changed LMS password) until the next login
+export const MAX_CONSECUTIVE_FAILURES = Number(process.env.AUTO_REFRESH_MAX_FAILURES) || 5
+
+/**
+ * Opt a user in or out. Opting in also clears the failure streak so a fresh login re-arms the refresh.
+ */
+export async function setAutoRefresh(username, enabled) {
+  await query(
+    `INSERT INTO auto_refresh (username, enabled)
+     VALUES ($1, $2)
+     ON CONFLICT (username) DO UPDATE SET
+       enabled = EXCLUDED.enabled,
+       consecutive_failures = CASE WHEN EXCLUDED.enabled THEN 0 ELSE auto_refresh.consecutive_failures END,
+       updated_at = now()`,
+    [username, enabled]
+  )
+}
+
+/**
+ * Refresh settings and last outcome for a user (defaults when no row exists yet)
+ */
+export async function getAutoRefreshStatus(username) {
+  const { rows } = await query(
+    `SELECT enabled, last_attempt_at, last_success_at, last_failure_at, last_error, consecutive_failures
+     FROM auto_refresh WHERE username = $1`,
+    [username]
+  )
+  const row = rows[0]
+  if (!row) {
+    return { enabled: false, lastAttemptAt: null, lastSuccessAt: null, lastFailureAt: null, lastError: null, paused: false }
+  }
+  return {
+    enabled: row.enabled,
+    lastAttemptAt: row.last_attempt_at,
+    lastSuccessAt: row.last_success_at,
+    lastFailureAt: row.last_failure_at,
+    lastError: row.last_error,
+    paused: row.consecutive_failures >= MAX_CONSECUTIVE_FAILURES
+  }
+}
+
+/**
+ * Users due for a refresh: opted in, with stored credentials, not paused after repeated failures,
+ * and without a snapshot newer than minAgeMinutes (e.g. from a recent login).
+ *
+ * @returns {Promise<string[]>} Student IDs
+ */
+export async function listUsersDueForRefresh(minAgeMinutes) {
+  const { rows } = await query(
+    `SELECT r.username
+     FROM auto_refresh r
+     JOIN credential_vault v ON v.username = r.username
+     LEFT JOIN latest_snapshot s ON s.username = r.username
+     WHERE r.enabled
+       AND r.consecutive_failures < $1
+       AND (s.fetched_at IS NULL OR s.fetched_at < now() - make_interval(mins => $2))
+     ORDER BY s.fetched_at ASC NULLS FIRST`,
+    [MAX_CONSECUTIVE_FAILURES, minAgeMinutes]
+  )
+  return rows.map(r => r.username)
+}
+
+export async function recordRefreshSuccess(username) {
+  await query(
+    `UPDATE auto_refresh SET
+       last_attempt_at = now(),
+       last_success_at = now(),
+       last_error = NULL,
+       consecutive_failures = 0,
+       updated_at = now()
+     WHERE username = $1`,
+    [username]
+  )
+}
+
+export async function recordRefreshFailure(username, error) {
+  await query(
+    `UPDATE auto_refresh SET
+       last_attempt_at = now(),
+       last_failure_at = now(),
+       last_error = $2,
+       consecutive_failures = consecutive_failures + 1,
+       updated_at = now()
+     WHERE username = $1`,
+    [username, String(error).slice(0, 500)]
+  )
+}
+
+export default {
+  MAX_CONSECUTIVE_FAILURES,
+  setAutoRefresh,
+  getAutoRefreshStatus,
+  listUsersDueForRefresh,
+  recordRefreshSuccess,
+  recordRefreshFailure
+}
@@ -0,0 +1,210 @@
+// backend/src/services/calendarFeedService.js
+// iCalendar subscription feed of a student's upcoming classes (GET /api/calendar/:token.ics).
+// Calendar apps can't send a login JWT, so each student gets one random feed token. Only its
+// SHA-256 hash is stored (calendar_feeds), and revoking or regenerating it cuts off old URLs.
+
+import { createHash, randomBytes } from 'crypto'
+import logger from '../../lib/logger.js'
+import { query, getClient } from '../sharedDb.js'
+import { subjectLabel } from './subjectCatalogService.js'
+
+// 24 random bytes as base64url
+export const FEED_TOKEN_PATTERN = /^[A-Za-z0-9_-]{32}$/
+
+const PRODID = '-//SBMCH Attendance//Upcoming classes//EN'
+// How often subscribed calendars should re-fetch; classes change with each scrape
+const REFRESH_INTERVAL = 'PT1H'
+
+function hashToken(token) {
+  return createHash('sha256').update(token).digest('hex')
+}
+
+/**
+ * Issue a new feed token for a user, revoking the previous one.
+ * The token is only returned here; afterwards just its hash exists.
+ *
+ * @returns {Promise<{token: string, createdAt: Date}>}
+ */
+export async function createCalendarFeed(username) {
+  const token = randomBytes(24).toString('base64url')
+  const client = await getClient()
+  try {
+    await client.query('BEGIN')
+    // Concurrent calls for one user take turns, else both would insert an active token
+    await client.query(`SELECT pg_advisory_xact_lock(hashtext('calendar_feed:' || $1))`, [username])
+    await client.query(`UPDATE calendar_feeds SET revoked_at = now() WHERE username = $1 AND revoked_at IS NULL`, [username])
+    const { rows } = await client.query(
+      `INSERT INTO calendar_feeds (username, token_hash) VALUES ($1, $2) RETURNING created_at`,
+      [username, hashToken(token)]
+    )
+    await client.query('COMMIT')
+    logger.info('[calendarFeed] Issued feed token', { username })
+    return { token, createdAt: rows[0].created_at }
+  } catch (err) {
+    await client.query('ROLLBACK').catch(() => {})
+    throw err
+  } finally {
+    client.release()
+  }
+}
+
+/**
+ * Revoke the user's feed token
+ * @returns {Promise<boolean>} whether there was one
+ */
+export async function revokeCalendarFeed(username) {
+  const { rowCount } = await query(
+    `UPDATE calendar_feeds SET revoked_at = now() WHERE username = $1 AND revoked_at IS NULL`,
+    [username]
+  )
+  if (rowCount > 0) {
+    logger.info('[calendarFeed] Revoked feed token', { username })
+  }
+  return rowCount > 0
+}
+
+/**
+ * @returns {Promise<{active: boolean, createdAt: string|null, lastAccessedAt: string|null}>}
+ */
+export async function getCalendarFeedStatus(username) {
+  const { rows } = await query(
+    `SELECT created_at, last_accessed_at FROM calendar_feeds WHERE username = $1 AND revoked_at IS NULL`,
+    [username]
+  )
+  const feed = rows[0]
+  return {
+    active: Boolean(feed),
+    createdAt: feed?.created_at?.toISOString() || null,
+    lastAccessedAt: feed?.last_accessed_at?.toISOString() || null
+  }
+}
+
+/**
+ * Owner of an active feed token, or null. Records the access.
+ */
+export async function findCalendarFeedUser(token) {
+  if (!FEED_TOKEN_PATTERN.test(token || '')) return null
+  const { rows } = await query(
+    `UPDATE calendar_feeds SET last_accessed_at = now()
+     WHERE token_hash = $1 AND revoked_at IS NULL
+     RETURNING username`,
+    [hashToken(token)]
+  )
+  return rows[0]?.username || null
+}
+
+/**
+ * Stored upcoming classes that have start and end times, with their catalogue subject
+ */
+export async function getCalendarClasses(username) {
+  const { rows } = await query(
+    `SELECT u.class_name, u.start_time, u.end_time, u.metadata,
+            s.name AS subject_name, s.code AS subject_code, s.component AS subject_component
+     FROM upcoming_classes u
+     LEFT JOIN subjects s ON s.id = u.subject_id
+     WHERE u.username = $1 AND u.start_time IS NOT NULL AND u.end_time IS NOT NULL
+     ORDER BY u.start_time ASC`,
+    [username]
+  )
+  return rows.map(row => {
+    const metadata = (typeof row.metadata === 'string' ? JSON.parse(row.metadata) : row.metadata) || {}
+    return {
+      title: row.class_name || metadata.title || 'Class',
+      subject: row.subject_name ? subjectLabel({ name: row.subject_name, component: row.subject_component }) : null,
+      subjectCode: row.subject_code || null,
+      location: metadata.location || '',
+      description: metadata.subtitle || '',
+      start: row.start_time,
+      end: row.end_time
+    }
+  })
+}
+
+// RFC 5545 TEXT escaping
+function escapeText(value) {
+  return String(value)
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n')
+}
+
+// 20250310T033000Z
+function formatUtc(date) {
+  return new Date(date).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '')
+}
+
+// Lines longer than 75 octets continue on the next line after a space
+function foldLine(line) {
+  if (Buffer.byteLength(line) <= 75) return line
+  const parts = []
+  let current = ''
+  for (const char of line) {
+    // Continuation lines start with a space, which counts toward their 75 octets
+    const limit = parts.length === 0 ? 75 : 74
+    if (Buffer.byteLength(current + char) > limit) {
+      parts.push(current)
+      current = ''
+    }
+    current += char
+  }
+  parts.push(current)
+  return parts.join('\r\n ')
+}
+
+/**
+ * Render classes (from getCalendarClasses) as an iCalendar document.
+ * UIDs depend only on the class and its start, so a calendar updates events in place across scrapes.
+ *
+ * @param {Object} options
+ * @param {string} options.username - Student ID, only used (hashed) in UIDs
+ * @param {Array} options.classes
+ * @param {Date} [options.now] - DTSTAMP
+ * @returns {string}
+ */
+export function renderCalendar({ username, classes, now = new Date() }) {
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODID}`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    'X-WR-CALNAME:SBMCH classes',
+    'X-WR-TIMEZONE:Asia/Kolkata',
+    `REFRESH-INTERVAL;VALUE=DURATION:${REFRESH_INTERVAL}`,
+    `X-PUBLISHED-TTL:${REFRESH_INTERVAL}`
+  ]
+
+  for (const cls of classes) {
+    const uid = createHash('sha256')
+      .update(`${username}|${new Date(cls.start).toISOString()}|${cls.title}`)
+      .digest('hex')
+      .slice(0, 32)
+    lines.push(
+      'BEGIN:VEVENT',
+      `UID:${uid}@sbmch-attendance`,
+      `DTSTAMP:${formatUtc(now)}`,
+      `DTSTART:${formatUtc(cls.start)}`,
+      `DTEND:${formatUtc(cls.end)}`,
+      `SUMMARY:${escapeText(cls.title)}`
+    )
+    if (cls.location) lines.push(`LOCATION:${escapeText(cls.location)}`)
+    if (cls.description) lines.push(`DESCRIPTION:${escapeText(cls.description)}`)
+    const categories = [cls.subject, cls.subjectCode].filter(Boolean)
+    if (categories.length) lines.push(`CATEGORIES:${categories.map(escapeText).join(',')}`)
+    lines.push('END:VEVENT')
+  }
+
+  lines.push('END:VCALENDAR')
+  return lines.map(foldLine).join('\r\n') + '\r\n'
+}
+
+export default {
+  FEED_TOKEN_PATTERN,
+  createCalendarFeed,
+  revokeCalendarFeed,
+  getCalendarFeedStatus,
+  findCalendarFeedUser,
+  getCalendarClasses,
+  renderCalendar
+}
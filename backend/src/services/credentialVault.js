@@ -0,0 +1,180 @@
+// backend/src/services/credentialVault.js
+// Opt-in server-side storage of LMS passwords so background scrapes and date-wise lookups
+// don't need the user to type the password again. Passwords are sealed with AES-256-GCM
+// under CREDENTIAL_VAULT_KEY (32 bytes, base64 or hex); the student ID is bound in as AAD
+// so a ciphertext can't be replayed under another account.
+
+import crypto from 'crypto'
+import logger from '../../lib/logger.js'
+import { query } from '../sharedDb.js'
+
+const ALGORITHM = 'aes-256-gcm'
+const IV_BYTES = 12
+
+let cachedKey = null
+
+/**
+ * Vault key from env, or null when the vault is not configured
+ */
+function getVaultKey() {
+  if (cachedKey) return cachedKey
+
+  const raw = (process.env.CREDENTIAL_VAULT_KEY || '').trim()
+  if (!raw) return null
+
+  const key = /^[0-9a-f]{64}$/i.test(raw) ? Buffer.from(raw, 'hex') : Buffer.from(raw, 'base64')
+  if (key.length !== 32) {
+    logger.error('[vault] CREDENTIAL_VAULT_KEY must decode to 32 bytes - vault disabled', { length: key.length })
+    return null
+  }
+  cachedKey = key
+  return cachedKey
+}
+
+// Short fingerprint of the key, stored with each row so a rotated key is detected instead of failing decryption
+function keyId(key) {
+  return crypto.createHash('sha256').update(key).digest('hex').slice(0, 16)
+}
+
+export function isVaultConfigured() {
+  return getVaultKey() !== null
+}
+
+export function encryptSecret(plaintext, username) {
+  const key = getVaultKey()
+  if (!key) throw new Error('Credential vault not configured')
+
+  const iv = crypto.randomBytes(IV_BYTES)
+  const cipher = crypto.createCipheriv(ALGORITHM, key, iv)
+  cipher.setAAD(Buffer.from(username, 'utf8'))
+  const ciphertext = Buffer.concat([cipher.update(plaintext, 'utf8'), cipher.final()])
+  return {
+    ciphertext: ciphertext.toString('base64'),
+    iv: iv.toString('base64'),
+    authTag: cipher.getAuthTag().toString('base64'),
+    keyId: keyId(key)
+  }
+}
+
+export function decryptSecret({ ciphertext, iv, authTag }, username) {
+  const key = getVaultKey()
+  if (!key) throw new Error('Credential vault not configured')
+
+  const decipher = crypto.createDecipheriv(ALGORITHM, key, Buffer.from(iv, 'base64'))
+  decipher.setAAD(Buffer.from(username, 'utf8'))
+  decipher.setAuthTag(Buffer.from(authTag, 'base64'))
+  return Buffer.concat([
+    decipher.update(Buffer.from(ciphertext, 'base64')),
+    decipher.final()
+  ]).toString('utf8')
+}
+
+/**
+ * Store (or replace) a user's LMS password.
+ * @returns {Promise<boolean>} false when the vault is not configured
+ */
+export async function storeCredentials(username, password) {
+  if (!isVaultConfigured()) {
+    logger.warn('[vault] CREDENTIAL_VAULT_KEY not set - not storing credentials', { username })
+    return false
+  }
+
+  const sealed = encryptSecret(password, username)
+  await query(
+    `INSERT INTO credential_vault (username, ciphertext, iv, auth_tag, key_id)
+     VALUES ($1, $2, $3, $4, $5)
+     ON CONFLICT (username) DO UPDATE SET
+       ciphertext = EXCLUDED.ciphertext,
+       iv = EXCLUDED.iv,
+       auth_tag = EXCLUDED.auth_tag,
+       key_id = EXCLUDED.key_id,
+       updated_at = now()`,
+    [username, sealed.ciphertext, sealed.iv, sealed.authTag, sealed.keyId]
+  )
+  logger.info('[vault] Stored credentials', { username })
+  return true
+}
+
+/**
+ * Decrypted LMS password for a user, or null if none is stored (or it can't be decrypted)
+ */
+export async function getCredentials(username) {
+  if (!isVaultConfigured()) return null
+
+  const { rows } = await query(
+    `UPDATE credential_vault SET last_used_at = now()
+     WHERE username = $1
+     RETURNING ciphertext, iv, auth_tag, key_id`,
+    [username]
+  )
+  if (rows.length === 0) return null
+
+  const row = rows[0]
+  if (row.key_id !== keyId(getVaultKey())) {
+    logger.warn('[vault] Stored credentials were sealed with a different key', { username })
+    return null
+  }
+
+  try {
+    return decryptSecret({ ciphertext: row.ciphertext, iv: row.iv, authTag: row.auth_tag }, username)
+  } catch (err) {
+    logger.error('[vault] Failed to decrypt stored credentials', { username, error: err.message })
+    return null
+  }
+}
+
+/**
+ * Whether a user has credentials stored, with timestamps for the settings UI
+ */
+export async function getCredentialStatus(username) {
+  const { rows } = await query(
+    `SELECT created_at, updated_at, last_used_at FROM credential_vault WHERE username = $1`,
+    [username]
+  )
+  return {
+    vaultEnabled: isVaultConfigured(),
+    stored: rows.length > 0,
+    ...(rows[0] && {
+      storedAt: rows[0].updated_at,
+      lastUsedAt: rows[0].last_used_at
+    })
+  }
+}
+
+/**
+ * Delete a user's stored credentials
+ * @returns {Promise<boolean>} whether anything was deleted
+ */
+export async function revokeCredentials(username) {
+  const { rowCount } = await query('DELETE FROM credential_vault WHERE username = $1', [username])
+  if (rowCount > 0) {
+    logger.info('[vault] Revoked credentials', { username })
+  }
+  return rowCount > 0
+}
+
+/**
+ * Use the given password, or fall back to the vault.
+ * Throws an error with code CREDENTIALS_REQUIRED when neither is available.
+ */
+export async function resolvePassword(username, password) {
+  if (password) return password
+
+  const stored = await getCredentials(username)
+  if (stored) return stored
+
+  const err = new Error('LMS password required: no stored credentials for this user')
+  err.code = 'CREDENTIALS_REQUIRED'
+  throw err
+}
+
+export default {
+  isVaultConfigured,
+  encryptSecret,
+  decryptSecret,
+  storeCredentials,
+  getCredentials,
+  getCredentialStatus,
+  revokeCredentials,
+  resolvePassword
+}
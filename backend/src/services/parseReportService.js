@@ -0,0 +1,70 @@
+// backend/src/services/parseReportService.js
+// Stores the LMS pages that failed their parser health check (lms_parse_reports), so an admin can
+// see what the markup looked like when a scrape was flagged. The HTML is already sanitized.
+
+import logger from '../../lib/logger.js'
+import { query } from '../sharedDb.js'
+
+// Reports older than this are deleted when new ones are saved
+const RETENTION_DAYS = Number(process.env.PARSE_REPORT_RETENTION_DAYS) || 30
+
+/**
+ * Save the reports collected by an LmsClient (lms.parseReports). Never throws - losing a
+ * report must not fail the scrape it belongs to.
+ *
+ * @param {string} username - Student ID
+ * @param {Array} reports - { page, status, issues, stats, html }
+ * @param {Object} [options]
+ * @param {string} [options.jobId] - scrape_jobs row the pages were fetched for
+ */
+export async function saveParseReports(username, reports, { jobId = null } = {}) {
+  if (!reports?.length) return
+  try {
+    for (const report of reports) {
+      await query(
+        `INSERT INTO lms_parse_reports (username, job_id, page, status, issues, stats, html)
+         VALUES ($1, $2, $3, $4, $5, $6, $7)`,
+        [username, jobId, report.page, report.status, JSON.stringify(report.issues), JSON.stringify(report.stats), report.html]
+      )
+    }
+    await query(`DELETE FROM lms_parse_reports WHERE created_at < now() - make_interval(days => $1)`, [RETENTION_DAYS])
+    logger.info('[parseReports] Saved LMS parse reports', {
+      username,
+      jobId,
+      reports: reports.map(r => `${r.page}:${r.status}`)
+    })
+  } catch (err) {
+    logger.error('[parseReports] Failed to save LMS parse reports', { username, jobId, error: err.message })
+  }
+}
+
+/**
+ * Most recent reports, without the HTML
+ * @param {Object} [options]
+ * @param {string} [options.status] - 'suspicious' or 'parse_error'
+ * @param {string} [options.page] - 'subject_attendance', 'datewise_attendance' or 'dashboard'
+ * @param {number} [options.limit]
+ */
+export async function listParseReports({ status = null, page = null, limit = 50 } = {}) {
+  const { rows } = await query(
+    `SELECT id, username, job_id, page, status, issues, stats, length(html) AS html_length, created_at
+     FROM lms_parse_reports
+     WHERE ($1::text IS NULL OR status = $1) AND ($2::text IS NULL OR page = $2)
+     ORDER BY created_at DESC
+     LIMIT $3`,
+    [status, page, Math.min(Math.max(Number(limit) || 50, 1), 200)]
+  )
+  return rows
+}
+
+export async function getParseReport(id) {
+  const { rows } = await query(
+    `SELECT id, username, job_id, page, status, issues, stats, html, created_at
+     FROM lms_parse_reports
+     WHERE id = $1`,
+    [id]
+  )
+  return rows[0] || null
+}
+
+export default { saveParseReports, listParseReports, getParseReport }
@@ -0,0 +1,145 @@
+// backend/src/services/pushService.js
+// VAPID Web Push: browser subscriptions live in push_subscriptions and are pruned when the push
+// service reports them gone (404/410). Configure with VAPID_PUBLIC_KEY, VAPID_PRIVATE_KEY and
+// VAPID_SUBJECT (generate a key pair with `npx web-push generate-vapid-keys`).
+
+import webpush from 'web-push'
+import logger from '../../lib/logger.js'
+import { query } from '../sharedDb.js'
+
+const PUSH_TTL_SECONDS = 24 * 60 * 60 // drop undelivered notifications after a day
+// Host suffixes that only resolve on a private network
+const LOCAL_HOST_SUFFIX = /(^|\.)(localhost|local|localdomain|internal|intranet|lan|home\.arpa)$/
+
+let vapidApplied = false
+
+export function isPushConfigured() {
+  return Boolean(process.env.VAPID_PUBLIC_KEY && process.env.VAPID_PRIVATE_KEY)
+}
+
+export function getVapidPublicKey() {
+  return process.env.VAPID_PUBLIC_KEY || null
+}
+
+function ensureVapidDetails() {
+  if (vapidApplied) return
+  webpush.setVapidDetails(
+    process.env.VAPID_SUBJECT || 'mailto:admin@localhost',
+    process.env.VAPID_PUBLIC_KEY,
+    process.env.VAPID_PRIVATE_KEY
+  )
+  vapidApplied = true
+}
+
+/**
+ * Whether the server may POST to a subscription endpoint: https on a public hostname. Push
+ * services (FCM, Mozilla, Apple, WNS) all use public names, so IP literals and local names are
+ * refused rather than letting a subscription point the server at internal hosts.
+ */
+export function isAllowedPushEndpoint(endpoint) {
+  if (typeof endpoint !== 'string') return false
+  let url
+  try {
+    url = new URL(endpoint)
+  } catch {
+    return false
+  }
+  if (url.protocol !== 'https:' || url.username || url.password) return false
+  const host = url.hostname.toLowerCase().replace(/\.$/, '')
+  // A public name ends in an alphabetic TLD, which also rules out IPv4 (normalised by new URL()) and [IPv6]
+  return /\.[a-z]{2,63}$/.test(host) && !LOCAL_HOST_SUFFIX.test(host)
+}
+
+/**
+ * Store a browser PushSubscription for a user. Re-subscribing the same endpoint moves it to this user.
+ *
+ * @param {string} username - Student ID
+ * @param {{endpoint: string, keys: {p256dh: string, auth: string}}} subscription - PushSubscription.toJSON()
+ * @param {string} [userAgent]
+ */
+export async function saveSubscription(username, subscription, userAgent = null) {
+  await query(
+    `INSERT INTO push_subscriptions (username, endpoint, p256dh, auth, user_agent)
+     VALUES ($1, $2, $3, $4, $5)
+     ON CONFLICT (endpoint) DO UPDATE SET
+       username = EXCLUDED.username,
+       p256dh = EXCLUDED.p256dh,
+       auth = EXCLUDED.auth,
+       user_agent = EXCLUDED.user_agent,
+       failure_count = 0`,
+    [username, subscription.endpoint, subscription.keys.p256dh, subscription.keys.auth, userAgent]
+  )
+  logger.info('[push] Saved subscription', { username })
+}
+
+/**
+ * Remove one of a user's subscriptions
+ * @returns {Promise<boolean>} whether anything was deleted
+ */
+export async function removeSubscription(username, endpoint) {
+  const { rowCount } = await query(
+    'DELETE FROM push_subscriptions WHERE username = $1 AND endpoint = $2',
+    [username, endpoint]
+  )
+  return rowCount > 0
+}
+
+/**
+ * Send a notification to every subscribed device of a user.
+ *
+ * @param {string} username - Student ID
+ * @param {{title: string, body: string, tag?: string, url?: string}} notification - Shown by the service worker
+ * @returns {Promise<number>} Number of devices the push service accepted it for
+ */
+export async function sendPushToUser(username, notification) {
+  if (!isPushConfigured()) return 0
+  ensureVapidDetails()
+
+  const { rows } = await query(
+    'SELECT id, endpoint, p256dh, auth FROM push_subscriptions WHERE username = $1',
+    [username]
+  )
+  const payload = JSON.stringify(notification)
+
+  let delivered = 0
+  for (const row of rows) {
+    // Stored before endpoints were checked on subscribe
+    if (!isAllowedPushEndpoint(row.endpoint)) {
+      await query('DELETE FROM push_subscriptions WHERE id = $1', [row.id])
+      logger.warn('[push] Removed subscription with a disallowed endpoint', { username })
+      continue
+    }
+    try {
+      await webpush.sendNotification(
+        { endpoint: row.endpoint, keys: { p256dh: row.p256dh, auth: row.auth } },
+        payload,
+        { TTL: PUSH_TTL_SECONDS }
+      )
+      delivered++
+      await query('UPDATE push_subscriptions SET last_success_at = now(), failure_count = 0 WHERE id = $1', [row.id])
+    } catch (err) {
+      if (err.statusCode === 404 || err.statusCode === 410) {
+        // Browser unsubscribed or the subscription expired
+        await query('DELETE FROM push_subscriptions WHERE id = $1', [row.id])
+        logger.info('[push] Removed expired subscription', { username, statusCode: err.statusCode })
+      } else {
+        await query('UPDATE push_subscriptions SET failure_count = failure_count + 1 WHERE id = $1', [row.id])
+        logger.warn('[push] Failed to send notification', { username, statusCode: err.statusCode, error: err.message })
+      }
+    }
+  }
+
+  if (rows.length > 0) {
+    logger.info('[push] Sent notification', { username, tag: notification.tag, devices: rows.length, delivered })
+  }
+  return delivered
+}
+
+export default {
+  isPushConfigured,
+  getVapidPublicKey,
+  isAllowedPushEndpoint,
+  saveSubscription,
+  removeSubscription,
+  sendPushToUser
+}
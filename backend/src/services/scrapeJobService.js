@@ -0,0 +1,403 @@
+// backend/src/services/scrapeJobService.js
+// One scrape_jobs row per attendance scrape so the client can tell "still running" from "failed".
+// Jobs move queued -> running -> succeeded | failed | dead; while running, `stage` says which LMS step is in flight.
+// The table is also the scrape queue: workers (src/lib/scrapeQueue.js) claim queued rows, and a
+// retryable failure puts the job back to queued with a backoff until it runs out of attempts ('dead').
+// Every change is also published on the scrape event bus, which reaches every instance
+// (GET /api/attendance/stream, see src/lib/scrapeEvents.js).
+
+import { randomUUID } from 'crypto'
+import logger from '../../lib/logger.js'
+import { query, getClient } from '../sharedDb.js'
+import { publishScrapeJob, subscribeScrapeJobs } from '../lib/scrapeEvents.js'
+import { isVaultConfigured } from './credentialVault.js'
+
+const JOB_COLUMNS = `id, username, trigger, status, stage, created_at, started_at, finished_at,
+  scrape_run_id, attendance_count, error_code, error_message, from_date, to_date,
+  attempts, max_attempts, run_after, pinned_to,
+  CASE WHEN status = 'queued' THEN 1 + (
+    SELECT count(*)::int FROM scrape_jobs q
+    WHERE q.status = 'queued' AND (q.run_after, q.created_at) < (scrape_jobs.run_after, scrape_jobs.created_at)
+  ) END AS queue_position`
+
+// Worth another attempt - the LMS or our side may recover. Bad credentials or an unreadable page won't.
+const RETRYABLE_ERRORS = ['lms_down', 'internal', 'unknown']
+const MAX_ATTEMPTS = Number(process.env.SCRAPE_MAX_ATTEMPTS) || 3
+// Backoff before retry n is RETRY_BASE_SECONDS * 2^(n-1), capped, with +-20% jitter
+const RETRY_BASE_SECONDS = Number(process.env.SCRAPE_RETRY_BASE_SECONDS) || 30
+const RETRY_MAX_SECONDS = 15 * 60
+// A running job, or a worker, that hasn't heartbeated for this long is assumed dead
+const LOCK_TIMEOUT_SECONDS = 90
+// Rows of workers gone this long are dropped from scrape_workers
+const WORKER_RETENTION_SECONDS = 24 * 60 * 60
+// How often waitForScrapeJob() rechecks the row, in case an event from another instance was missed
+const WAIT_POLL_MS = 5000
+// Default for waitForScrapeJob(): the request budget of the routes that wait (Render cuts off at ~30s)
+const WAIT_TIMEOUT_MS = 25000
+
+// Rough share of the work done once a stage starts, for the client's progress bar
+const STAGE_PROGRESS = {
+  queued: 0,
+  login: 15,
+  dashboard: 35,
+  attendance: 55,
+  saving: 85
+}
+
+/**
+ * Map a scrape error to a code the client can act on:
+ *   bad_credentials      - LMS rejected the student ID/password
+ *   credentials_required - no password given and none in the credential vault
+ *   lms_down             - LMS unreachable, erroring or dropping the session
+ *   parse_failure        - LMS answered but the page/API wasn't in the expected shape (including
+ *                          pages the parser health check rejected - see lib/parserHealth.js)
+ *   internal             - our side (database, configuration)
+ *   unknown              - anything else
+ */
+export function classifyScrapeError(err) {
+  const message = String(err?.message || '')
+  if (err?.code === 'CREDENTIALS_REQUIRED') return 'credentials_required'
+  if (/^Login failed/i.test(message)) return 'bad_credentials'
+  if (err?.code === 'LMS_PARSE_ERROR') return 'parse_failure'
+  if (
+    ['ENOTFOUND', 'EAI_AGAIN', 'ECONNREFUSED', 'ECONNRESET', 'ETIMEDOUT'].includes(err?.code) ||
+    /not reachable|timed? ?out|Session invalid|request failed \(5\d\d\)/i.test(message)
+  ) {
+    return 'lms_down'
+  }
+  if (/empty response|Cannot determine|unexpected|parse|request failed \(\d+\)/i.test(message)) return 'parse_failure'
+  if (/DATABASE_URL|database|relation .* does not exist/i.test(message)) return 'internal'
+  return 'unknown'
+}
+
+/**
+ * Queue a scrape job. A user has at most one queued/running job; if there already is one, it's
+ * returned instead (existing: true) and the new request shares it.
+ *
+ * @param {string} username - Student ID
+ * @param {string} trigger - What started it ('login', 'scheduled', ...)
+ * @param {Object} [options]
+ * @param {string} [options.id] - Job id to use (lets the caller register per-job state before any worker can claim it)
+ * @param {string} [options.fromDate] - LMS date range, DD-MM-YYYY
+ * @param {string} [options.toDate]
+ * @param {string} [options.pinnedTo] - Only this worker may claim the job (it holds the session password)
+ * @returns {Promise<{jobId: string, existing: boolean}>}
+ */
+export async function createScrapeJob(username, trigger, { id = randomUUID(), fromDate = null, toDate = null, pinnedTo = null } = {}) {
+  // Twice: the active job may finish between the insert conflicting and the lookup
+  for (let i = 0; i < 2; i++) {
+    const { rows } = await query(
+      `INSERT INTO scrape_jobs (id, username, trigger, status, stage, from_date, to_date, max_attempts, pinned_to)
+       VALUES ($1, $2, $3, 'queued', 'queued', $4, $5, $6, $7)
+       ON CONFLICT DO NOTHING
+       RETURNING ${JOB_COLUMNS}`,
+      [id, username, trigger, fromDate, toDate, MAX_ATTEMPTS, pinnedTo]
+    )
+    if (rows[0]) {
+      publish(rows[0])
+      return { jobId: rows[0].id, existing: false }
+    }
+
+    const { rows: active } = await query(
+      `SELECT id FROM scrape_jobs
+       WHERE username = $1 AND status IN ('queued', 'running')
+       ORDER BY created_at DESC
+       LIMIT 1`,
+      [username]
+    )
+    if (active[0]) {
+      return { jobId: active[0].id, existing: true }
+    }
+  }
+  throw new Error('Could not queue scrape job')
+}
+
+/**
+ * Claim up to `limit` due jobs for a worker, keeping the number of running jobs across all
+ * instances at or below `maxRunning`. Claimed jobs are marked running (stage 'login').
+ *
+ * @param {string} workerId
+ * @param {{limit: number, maxRunning: number}} options
+ * @returns {Promise<Array<Object>>} Claimed job rows
+ */
+export async function claimScrapeJobs(workerId, { limit, maxRunning }) {
+  const client = await getClient()
+  try {
+    await client.query('BEGIN')
+    // Claimers take turns, so two instances can't both see a free slot and overshoot maxRunning
+    await client.query(`SELECT pg_advisory_xact_lock(hashtext('scrape_jobs_claim'))`)
+    const { rows: [{ running }] } = await client.query(
+      `SELECT count(*)::int AS running FROM scrape_jobs WHERE status = 'running'`
+    )
+    const slots = Math.min(limit, maxRunning - running)
+    if (slots <= 0) {
+      await client.query('COMMIT')
+      return []
+    }
+
+    const { rows } = await client.query(
+      `UPDATE scrape_jobs SET
+         status = 'running', stage = 'login', started_at = now(), attempts = attempts + 1,
+         locked_by = $1, heartbeat_at = now()
+       WHERE id IN (
+         SELECT id FROM scrape_jobs
+         WHERE status = 'queued' AND run_after <= now() AND (pinned_to IS NULL OR pinned_to = $1)
+         ORDER BY run_after, created_at
+         LIMIT $2
+         FOR UPDATE SKIP LOCKED
+       )
+       RETURNING ${JOB_COLUMNS}`,
+      [workerId, slots]
+    )
+    await client.query('COMMIT')
+    rows.forEach(publish)
+    return rows
+  } catch (err) {
+    await client.query('ROLLBACK').catch(() => {})
+    throw err
+  } finally {
+    client.release()
+  }
+}
+
+/**
+ * Mark a worker, and its running jobs, as still alive
+ */
+export async function heartbeatScrapeJobs(workerId, jobIds) {
+  await query(
+    `INSERT INTO scrape_workers (worker_id) VALUES ($1)
+     ON CONFLICT (worker_id) DO UPDATE SET heartbeat_at = now()`,
+    [workerId]
+  )
+  if (jobIds.length === 0) return
+  await query(
+    `UPDATE scrape_jobs SET heartbeat_at = now()
+     WHERE locked_by = $1 AND status = 'running' AND id = ANY($2::uuid[])`,
+    [workerId, jobIds]
+  )
+}
+
+export async function updateScrapeJobStage(jobId, stage) {
+  const { rows } = await query(
+    `UPDATE scrape_jobs SET stage = $2 WHERE id = $1 RETURNING ${JOB_COLUMNS}`,
+    [jobId, stage]
+  )
+  publish(rows[0])
+}
+
+export async function markScrapeJobSucceeded(jobId, { scrapeRunId, attendanceCount }) {
+  const { rows } = await query(
+    `UPDATE scrape_jobs SET
+       status = 'succeeded', stage = NULL, finished_at = now(),
+       scrape_run_id = $2, attendance_count = $3,
+       error_code = NULL, error_message = NULL, locked_by = NULL
+     WHERE id = $1
+     RETURNING ${JOB_COLUMNS}`,
+    [jobId, scrapeRunId, attendanceCount]
+  )
+  publish(rows[0])
+}
+
+/**
+ * Record a failed attempt. Retryable errors put the job back in the queue with a backoff while
+ * attempts remain, otherwise it ends as 'dead'; other errors fail it straight away.
+ *
+ * @returns {Promise<{errorCode: string, status: string}>} status is 'queued' (retry), 'failed' or 'dead'
+ */
+export async function markScrapeJobFailed(jobId, err) {
+  const errorCode = classifyScrapeError(err)
+  const retryable = RETRYABLE_ERRORS.includes(errorCode)
+  const { rows } = await query(
+    `UPDATE scrape_jobs SET
+       status = CASE WHEN NOT $3 THEN 'failed' WHEN attempts < max_attempts THEN 'queued' ELSE 'dead' END,
+       stage = CASE WHEN $3 AND attempts < max_attempts THEN 'retrying' ELSE stage END,
+       finished_at = CASE WHEN $3 AND attempts < max_attempts THEN NULL ELSE now() END,
+       run_after = now() + make_interval(secs => least($4 * power(2, greatest(attempts - 1, 0)), $5) * (0.8 + random() * 0.4)),
+       locked_by = NULL, heartbeat_at = NULL,
+       error_code = $2, error_message = $6
+     WHERE id = $1
+     RETURNING ${JOB_COLUMNS}`,
+    [jobId, errorCode, retryable, RETRY_BASE_SECONDS, RETRY_MAX_SECONDS, String(err?.message || err).slice(0, 500)]
+  )
+  publish(rows[0])
+  return { errorCode, status: rows[0]?.status || 'failed' }
+}
+
+/**
+ * Client-facing view of a job row. Dead-lettered jobs are reported as failed (with deadLettered set),
+ * so clients only need to know one terminal failure state.
+ */
+export function serializeScrapeJob(row) {
+  if (!row) return null
+  const finished = ['succeeded', 'failed', 'dead'].includes(row.status)
+  const retrying = row.status === 'queued' && row.stage === 'retrying'
+  return {
+    id: row.id,
+    status: row.status === 'dead' ? 'failed' : row.status,
+    stage: row.stage,
+    progress: finished ? 100 : (STAGE_PROGRESS[row.stage] ?? 0),
+    queuePosition: row.status === 'queued' ? (row.queue_position ?? null) : null,
+    trigger: row.trigger,
+    createdAt: row.created_at,
+    startedAt: row.started_at,
+    finishedAt: row.finished_at,
+    attendanceCount: row.attendance_count,
+    scrapeRunId: row.scrape_run_id,
+    attempts: row.attempts ?? null,
+    maxAttempts: row.max_attempts ?? null,
+    nextAttemptAt: retrying ? row.run_after : null,
+    deadLettered: row.status === 'dead',
+    error: row.status === 'failed' || row.status === 'dead' ? { code: row.error_code, message: row.error_message } : null
+  }
+}
+
+function publish(row) {
+  if (row) publishScrapeJob(row.username, serializeScrapeJob(row))
+}
+
+export async function getScrapeJob(jobId) {
+  const { rows } = await query(`SELECT ${JOB_COLUMNS} FROM scrape_jobs WHERE id = $1`, [jobId])
+  return rows[0] || null
+}
+
+/**
+ * Most recent scrape job for a user, or null
+ */
+export async function getLatestScrapeJob(username) {
+  const { rows } = await query(
+    `SELECT ${JOB_COLUMNS}
+     FROM scrape_jobs
+     WHERE username = $1
+     ORDER BY created_at DESC
+     LIMIT 1`,
+    [username]
+  )
+  return rows[0] || null
+}
+
+/**
+ * Resolve with the scrape result once a job succeeds; reject once it fails or is dead-lettered.
+ * Retries in between keep waiting. Works for jobs run by any instance.
+ * Gives up after timeoutMs with an error coded WAIT_TIMEOUT; the job itself carries on.
+ *
+ * @returns {Promise<{success: boolean, attendanceCount: number, scrapeRunId: string, jobId: string}>}
+ */
+export function waitForScrapeJob(jobId, { timeoutMs = WAIT_TIMEOUT_MS } = {}) {
+  return new Promise((resolve, reject) => {
+    let settled = false
+    const cleanup = () => {
+      settled = true
+      unsubscribe()
+      clearInterval(poll)
+      clearTimeout(timer)
+    }
+    const check = (job) => {
+      if (settled || !job || (job.status !== 'succeeded' && job.status !== 'failed')) return
+      cleanup()
+      if (job.status === 'succeeded') {
+        resolve({ success: true, attendanceCount: job.attendanceCount, scrapeRunId: job.scrapeRunId, jobId })
+      } else {
+        const err = new Error(job.error?.message || 'Scrape failed')
+        err.code = job.error?.code
+        err.deadLettered = job.deadLettered
+        reject(err)
+      }
+    }
+
+    const unsubscribe = subscribeScrapeJobs(({ job }) => {
+      if (job.id === jobId) check(job)
+    })
+    const poll = setInterval(() => {
+      getScrapeJob(jobId)
+        .then(row => check(serializeScrapeJob(row)))
+        .catch(e => logger.warn('[scrapeJobs] Failed to poll job', { jobId, error: e.message }))
+    }, WAIT_POLL_MS)
+    const timer = setTimeout(() => {
+      if (settled) return
+      cleanup()
+      reject(Object.assign(new Error('Timed out waiting for scrape job'), { code: 'WAIT_TIMEOUT' }))
+    }, timeoutMs)
+  })
+}
+
+/**
+ * Put jobs of workers that went away back in circulation:
+ * - running jobs without a recent heartbeat (crash, restart, deploy) are retried or dead-lettered;
+ *   they lose their pin since the session password died with that worker (the vault may still have one)
+ * - queued jobs pinned to a worker that is gone (no recent scrape_workers heartbeat) are released
+ *   to any worker. Jobs pinned to a live worker stay put however long they wait for a free slot.
+ * A pinned job whose user has no vaulted password can't run anywhere else, so it fails straight
+ * away as credentials_required instead of being retried without a password.
+ */
+export async function recoverStaleScrapeJobs() {
+  const workerGone = `NOT EXISTS (
+    SELECT 1 FROM scrape_workers w
+    WHERE w.worker_id = scrape_jobs.pinned_to AND w.heartbeat_at >= now() - make_interval(secs => $1)
+  )`
+  const { rows: orphaned } = await query(
+    `UPDATE scrape_jobs SET
+       status = 'failed', stage = NULL, finished_at = now(),
+       pinned_to = NULL, locked_by = NULL, heartbeat_at = NULL,
+       error_code = 'credentials_required',
+       error_message = 'The server that had your LMS password for this scrape went offline before finishing it - log in again'
+     WHERE pinned_to IS NOT NULL
+       AND (
+         (status = 'running' AND (heartbeat_at IS NULL OR heartbeat_at < now() - make_interval(secs => $1)))
+         OR (status = 'queued' AND ${workerGone})
+       )
+       AND NOT ($2 AND EXISTS (SELECT 1 FROM credential_vault v WHERE v.username = scrape_jobs.username))
+     RETURNING ${JOB_COLUMNS}`,
+    [LOCK_TIMEOUT_SECONDS, isVaultConfigured()]
+  )
+  orphaned.forEach(publish)
+
+  const { rows } = await query(
+    `UPDATE scrape_jobs SET
+       status = CASE WHEN attempts < max_attempts THEN 'queued' ELSE 'dead' END,
+       stage = CASE WHEN attempts < max_attempts THEN 'retrying' ELSE stage END,
+       finished_at = CASE WHEN attempts < max_attempts THEN NULL ELSE now() END,
+       run_after = now(), pinned_to = NULL, locked_by = NULL, heartbeat_at = NULL,
+       error_code = 'internal', error_message = 'Worker stopped before the scrape finished'
+     WHERE status = 'running'
+       AND (heartbeat_at IS NULL OR heartbeat_at < now() - make_interval(secs => $1))
+     RETURNING ${JOB_COLUMNS}`,
+    [LOCK_TIMEOUT_SECONDS]
+  )
+  rows.forEach(publish)
+
+  const { rowCount: unpinned } = await query(
+    `UPDATE scrape_jobs SET pinned_to = NULL
+     WHERE status = 'queued' AND pinned_to IS NOT NULL AND ${workerGone}`,
+    [LOCK_TIMEOUT_SECONDS]
+  )
+
+  await query(
+    `DELETE FROM scrape_workers WHERE heartbeat_at < now() - make_interval(secs => $1)`,
+    [WORKER_RETENTION_SECONDS]
+  )
+
+  if (rows.length > 0 || unpinned > 0 || orphaned.length > 0) {
+    logger.warn('[scrapeJobs] Recovered scrape jobs from stopped workers', {
+      requeued: rows.filter(r => r.status === 'queued').length,
+      deadLettered: rows.filter(r => r.status === 'dead').length,
+      unpinned,
+      credentialsRequired: orphaned.length
+    })
+  }
+  return rows.length + unpinned + orphaned.length
+}
+
+export default {
+  classifyScrapeError,
+  createScrapeJob,
+  claimScrapeJobs,
+  heartbeatScrapeJobs,
+  updateScrapeJobStage,
+  markScrapeJobSucceeded,
+  markScrapeJobFailed,
+  serializeScrapeJob,
+  getScrapeJob,
+  getLatestScrapeJob,
+  waitForScrapeJob,
+  recoverStaleScrapeJobs
+}
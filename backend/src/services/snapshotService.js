@@ -0,0 +1,223 @@
+// backend/src/services/snapshotService.js
+// Versioned attendance snapshots: every scrape is kept as a scrape_runs row plus its per-subject attendance rows.
+// History only needs one run per IST day, so once runs are older than SNAPSHOT_FULL_HISTORY_DAYS
+// the ones superseded later that day are deleted (pruneSupersededRuns, after each save).
+
+import logger from '../../lib/logger.js'
+import { getSharedPool } from '../sharedDb.js'
+
+// Every run is kept for this long; older days keep only their last run
+const FULL_HISTORY_DAYS = Number(process.env.SNAPSHOT_FULL_HISTORY_DAYS) || 7
+
+/**
+ * Persist one scrape as a new snapshot and point latest_snapshot at it.
+ * Older runs are kept so per-subject history can be charted over the semester.
+ * Upcoming classes only describe the current timetable, so they are still replaced.
+ *
+ * @param {Object} snapshot
+ * @param {string} snapshot.username - Student ID
+ * @param {string} snapshot.studentName - Name shown on the LMS dashboard
+ * @param {Array} snapshot.attendance - Processed rows ({ subject, subject_id, present, absent, total, percent, margin, required })
+ * @param {Array} [snapshot.upcomingClasses] - Rows from parseUpcomingClasses, with subject_id
+ * @param {string} [snapshot.fromDate] - Report start date (DD-MM-YYYY)
+ * @param {string} [snapshot.toDate] - Report end date (DD-MM-YYYY)
+ * @param {string} [snapshot.source] - Who produced the snapshot (defaults to 'scraper')
+ * @returns {Promise<{scrapeRunId: string, attendanceCount: number, fetchedAt: Date}>}
+ */
+export async function saveScrapeSnapshot({
+  username,
+  studentName,
+  attendance = [],
+  upcomingClasses = [],
+  fromDate = null,
+  toDate = null,
+  source = 'scraper'
+}) {
+  const client = await getSharedPool().connect()
+  try {
+    await client.query('BEGIN')
+
+    const { rows: runRows } = await client.query(
+      `INSERT INTO scrape_runs (username, student_name, source, from_date, to_date, subject_count)
+       VALUES ($1, $2, $3, $4, $5, $6)
+       RETURNING id, fetched_at`,
+      [username, studentName, source, fromDate, toDate, attendance.length]
+    )
+    const run = runRows[0]
+
+    let firstAttendanceId = null
+    for (const row of attendance) {
+      const { rows: inserted } = await client.query(
+        `INSERT INTO attendance (scrape_run_id, username, student_name, subject, subject_id, present, absent, total, percent, margin, required, recorded_at, source)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13)
+         RETURNING id`,
+        [
+          run.id,
+          username,
+          studentName,
+          row.subject,
+          row.subject_id ?? null,
+          row.present,
+          row.absent,
+          row.total,
+          row.percent,
+          row.margin,
+          row.required,
+          run.fetched_at,
+          source
+        ]
+      )
+      if (!firstAttendanceId) {
+        firstAttendanceId = inserted[0].id
+      }
+    }
+
+    await client.query('DELETE FROM upcoming_classes WHERE username = $1', [username])
+    for (const cls of upcomingClasses) {
+      await client.query(
+        `INSERT INTO upcoming_classes (username, class_id, class_name, subject_id, start_time, end_time, metadata)
+         VALUES ($1, $2, $3, $4, $5, $6, $7)`,
+        [
+          username,
+          cls.id || cls.class_id || null,
+          cls.name || cls.class_name || cls.title || null,
+          cls.subject_id ?? null,
+          cls.start_time ? new Date(cls.start_time) : null,
+          cls.end_time ? new Date(cls.end_time) : null,
+          JSON.stringify(cls.metadata || cls)
+        ]
+      )
+    }
+
+    // attendance_id stays NULL for an empty run so GET /api/attendance can report "completed with no data"
+    await client.query(
+      `INSERT INTO latest_snapshot (username, scrape_run_id, attendance_id, fetched_at)
+       VALUES ($1, $2, $3, $4)
+       ON CONFLICT (username) DO UPDATE SET
+         scrape_run_id = EXCLUDED.scrape_run_id,
+         attendance_id = EXCLUDED.attendance_id,
+         fetched_at = EXCLUDED.fetched_at`,
+      [username, run.id, firstAttendanceId, run.fetched_at]
+    )
+
+    await client.query('COMMIT')
+
+    logger.info('[snapshot] Saved scrape run', {
+      username,
+      scrapeRunId: run.id,
+      attendanceCount: attendance.length,
+      upcomingClassesCount: upcomingClasses.length
+    })
+
+    await pruneSupersededRuns(username)
+
+    return { scrapeRunId: run.id, attendanceCount: attendance.length, fetchedAt: run.fetched_at }
+  } catch (err) {
+    await client.query('ROLLBACK')
+    logger.error('[snapshot] Failed to save scrape run, rolled back', {
+      username,
+      error: err.message,
+      stack: err.stack
+    })
+    throw err
+  } finally {
+    client.release()
+  }
+}
+
+/**
+ * Delete a user's runs older than FULL_HISTORY_DAYS that a later non-empty run on the same IST day
+ * supersedes (their attendance rows go with them). The newest run is never touched, and history
+ * still has its one point per day. Never throws - pruning must not fail the scrape.
+ *
+ * @returns {Promise<number>} Runs deleted
+ */
+export async function pruneSupersededRuns(username) {
+  try {
+    const { rowCount } = await getSharedPool().query(
+      `DELETE FROM scrape_runs r
+       WHERE r.username = $1
+         AND r.fetched_at < now() - make_interval(days => $2)
+         AND EXISTS (
+           SELECT 1 FROM scrape_runs later
+           WHERE later.username = r.username
+             AND later.fetched_at > r.fetched_at
+             AND later.subject_count > 0
+             AND (later.fetched_at AT TIME ZONE 'Asia/Kolkata')::date = (r.fetched_at AT TIME ZONE 'Asia/Kolkata')::date
+         )`,
+      [username, FULL_HISTORY_DAYS]
+    )
+    if (rowCount > 0) {
+      logger.info('[snapshot] Pruned superseded scrape runs', { username, deleted: rowCount })
+    }
+    return rowCount
+  } catch (err) {
+    logger.error('[snapshot] Failed to prune scrape runs', { username, error: err.message })
+    return 0
+  }
+}
+
+/**
+ * Per-subject attendance series built from stored scrape runs.
+ * Rows are grouped by catalogue subject, so a subject keeps one series when the LMS renames it;
+ * each series is labelled with its most recent LMS name. Rows without a subject_id are grouped by name.
+ * Downsampled to one point per IST calendar day (the last run of that day wins).
+ *
+ * @param {Object} options
+ * @param {string} options.username - Student ID
+ * @param {string} [options.from] - First day to include (YYYY-MM-DD, IST)
+ * @param {string} [options.to] - Last day to include (YYYY-MM-DD, IST)
+ * @param {string} [options.subject] - Only return this subject (any of its LMS names, case-insensitive)
+ * @returns {Promise<Array<{subject: string, subjectId: number|null, points: Array<{fetchedAt: string, present: number, total: number, percent: number}>}>>}
+ */
+export async function getAttendanceHistory({ username, from = null, to = null, subject = null }) {
+  const params = [username]
+  const filters = []
+  if (from) {
+    params.push(from)
+    filters.push(`(r.fetched_at AT TIME ZONE 'Asia/Kolkata')::date >= $${params.length}::date`)
+  }
+  if (to) {
+    params.push(to)
+    filters.push(`(r.fetched_at AT TIME ZONE 'Asia/Kolkata')::date <= $${params.length}::date`)
+  }
+  if (subject) {
+    params.push(subject)
+    filters.push(`(lower(a.subject) = lower($${params.length}) OR a.subject_id IN (
+       SELECT subject_id FROM attendance WHERE username = $1 AND lower(subject) = lower($${params.length})
+     ))`)
+  }
+
+  const { rows } = await getSharedPool().query(
+    `SELECT DISTINCT ON (series, day)
+       COALESCE(a.subject_id::text, a.subject) AS series,
+       a.subject, a.subject_id, a.present, a.total, a.percent, r.fetched_at,
+       (r.fetched_at AT TIME ZONE 'Asia/Kolkata')::date AS day
+     FROM attendance a
+     JOIN scrape_runs r ON r.id = a.scrape_run_id
+     WHERE r.username = $1
+     ${filters.map(f => `AND ${f}`).join('\n     ')}
+     ORDER BY series ASC, day ASC, r.fetched_at DESC`,
+    params
+  )
+
+  const bySeries = new Map()
+  for (const row of rows) {
+    if (!bySeries.has(row.series)) {
+      bySeries.set(row.series, { subject: row.subject, subjectId: row.subject_id, points: [] })
+    }
+    const series = bySeries.get(row.series)
+    // Rows come oldest day first, so the last one seen carries the current LMS name
+    series.subject = row.subject
+    series.points.push({
+      fetchedAt: row.fetched_at.toISOString(),
+      present: row.present,
+      total: row.total,
+      percent: parseFloat(row.percent) || 0
+    })
+  }
+
+  return Array.from(bySeries.values()).sort((a, b) => a.subject.localeCompare(b.subject))
+}
+
+export default { saveScrapeSnapshot, pruneSupersededRuns, getAttendanceHistory }
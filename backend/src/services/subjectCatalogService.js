@@ -0,0 +1,306 @@
+// backend/src/services/subjectCatalogService.js
+// Canonical subject catalogue (subjects). The LMS names subjects inconsistently - "Community
+// Medicine(II) Theory", "CP_OBG" - so every raw name seen by a scrape is resolved to a catalogue
+// row, and attendance, upcoming classes, date-wise periods and threshold rules join on its id.
+// Attendance subject names that match nothing are registered automatically (auto_created) for an
+// admin to curate; upcoming class titles are free text and only ever matched (matchSubjects).
+
+import logger from '../../lib/logger.js'
+import { query, getClient } from '../sharedDb.js'
+
+export const SUBJECT_COMPONENTS = ['theory', 'practical', 'clinical_posting']
+
+const COMPONENT_SUFFIX = /[\s_-]*\b(theory|practicals?|clinical postings?|clinicals?|postings?)\s*$/i
+// "CP_OBG", "CP-Medicine": clinical posting in the department after the prefix
+const CLINICAL_POSTING_PREFIX = /^CP[\s_-]+/i
+// Phase/year markers such as "(II)" or "(2)"
+const PHASE_MARKER = /\s*\((?:[ivx]+|\d+)\)\s*/gi
+
+const SUBJECT_COLUMNS = 'id, name, code, department, component, aliases, auto_created'
+
+const CATALOGUE_CACHE_TTL = 60 * 1000 // 1 minute
+let catalogueCache = null // { subjects, expiresAt }
+
+/**
+ * Comparison key for subject names, codes and aliases: case, spacing and punctuation are ignored
+ * and "&" reads as "and".
+ */
+export function subjectKey(value) {
+  return String(value || '')
+    .toLowerCase()
+    .replace(/&/g, ' and ')
+    .replace(/[^a-z0-9]/g, '')
+}
+
+/**
+ * Split a raw LMS subject name into a base name and a component.
+ * "Community Medicine(II) Theory" -> { name: 'Community Medicine', component: 'theory' },
+ * "CP_OBG" -> { name: 'OBG', component: 'clinical_posting' }. component is null when the name
+ * doesn't say.
+ *
+ * @returns {{name: string, component: string|null}}
+ */
+export function parseSubjectName(raw) {
+  let name = String(raw || '').trim().replace(/\s+/g, ' ')
+  let component = null
+
+  if (CLINICAL_POSTING_PREFIX.test(name)) {
+    component = 'clinical_posting'
+    name = name.replace(CLINICAL_POSTING_PREFIX, '')
+  }
+
+  const suffix = name.match(COMPONENT_SUFFIX)
+  if (suffix) {
+    const word = suffix[1].toLowerCase()
+    component = word === 'theory' ? 'theory' : word.startsWith('practical') ? 'practical' : 'clinical_posting'
+    name = name.slice(0, suffix.index)
+  }
+
+  name = name.replace(PHASE_MARKER, ' ').replace(/_+/g, ' ').replace(/\s+/g, ' ').trim()
+  return { name: name || String(raw || '').trim(), component }
+}
+
+/**
+ * Find the catalogue entry for a raw LMS name. An alias matching the whole name wins; otherwise the
+ * base name must match an entry's name, code or alias with the same component. When only another
+ * component of the subject is catalogued, that entry is returned as `template` so the new component
+ * can inherit its name, code and department.
+ *
+ * @param {string} raw - Subject name as scraped
+ * @param {Array} catalogue - From loadSubjectCatalogue()
+ * @returns {{subject: Object|null, template: Object|null, parsed: {name: string, component: string|null}}}
+ */
+export function matchSubject(raw, catalogue = []) {
+  const parsed = parseSubjectName(raw)
+  const rawKey = subjectKey(raw)
+  const byAlias = catalogue.find(s => (s.aliases || []).some(alias => subjectKey(alias) === rawKey))
+  if (byAlias) {
+    return { subject: byAlias, template: null, parsed }
+  }
+
+  const baseKey = subjectKey(parsed.name)
+  const sameBase = catalogue.filter(s =>
+    [s.name, s.code, ...(s.aliases || [])].some(value => value && subjectKey(value) === baseKey)
+  )
+  const subject = sameBase.find(s => (s.component || null) === parsed.component) || null
+  return { subject, template: subject ? null : sameBase[0] || null, parsed }
+}
+
+/**
+ * Display name of a catalogue entry, e.g. "Community Medicine Theory"
+ */
+export function subjectLabel(subject) {
+  if (!subject) return null
+  const component = subject.component ? subject.component.replace('_', ' ') : ''
+  return component
+    ? `${subject.name} ${component.replace(/\b\w/g, c => c.toUpperCase())}`
+    : subject.name
+}
+
+/**
+ * Load the catalogue. Falls back to an empty catalogue if the table can't be read.
+ *
+ * @returns {Promise<Array<{id: number, name: string, code: string|null, department: string|null, component: string|null, aliases: string[], auto_created: boolean}>>}
+ */
+export async function loadSubjectCatalogue() {
+  if (catalogueCache && catalogueCache.expiresAt > Date.now()) {
+    return catalogueCache.subjects
+  }
+
+  try {
+    const { rows } = await query(`SELECT ${SUBJECT_COLUMNS} FROM subjects ORDER BY name ASC, id ASC`)
+    catalogueCache = { subjects: rows, expiresAt: Date.now() + CATALOGUE_CACHE_TTL }
+    return rows
+  } catch (err) {
+    logger.error('[subjects] Failed to load subject catalogue', { error: err.message })
+    return []
+  }
+}
+
+/**
+ * Drop the cached catalogue so the next lookup sees admin changes immediately.
+ */
+export function invalidateSubjectCatalogue() {
+  catalogueCache = null
+}
+
+// Add an auto_created entry for a name nothing matched; a concurrent insert of the same
+// subject just gains the alias
+async function registerSubject(raw, { parsed, template }) {
+  const { rows } = await query(
+    `INSERT INTO subjects (name, code, department, component, aliases, auto_created)
+     VALUES ($1, $2, $3, $4, ARRAY[$5::text], true)
+     ON CONFLICT ((lower(name)), (COALESCE(component, ''))) DO UPDATE SET
+       aliases = CASE WHEN $5::text = ANY(subjects.aliases) THEN subjects.aliases ELSE array_append(subjects.aliases, $5::text) END,
+       updated_at = now()
+     RETURNING ${SUBJECT_COLUMNS}`,
+    [
+      template?.name || parsed.name,
+      template?.code || null,
+      template?.department || null,
+      parsed.component,
+      raw
+    ]
+  )
+  logger.info('[subjects] Registered LMS subject name', { raw, subjectId: rows[0].id, name: rows[0].name })
+  return rows[0]
+}
+
+/**
+ * Resolve raw LMS subject names to catalogue entries, registering unknown names.
+ * Never throws - a name that can't be resolved is left out and its rows keep a NULL subject_id.
+ *
+ * @param {string[]} names - Raw names (duplicates and blanks are ignored)
+ * @returns {Promise<Map<string, Object>>} raw name -> catalogue entry
+ */
+export async function resolveSubjects(names = []) {
+  const resolved = new Map()
+  const unique = [...new Set(names.filter(name => typeof name === 'string' && name.trim()))]
+  if (unique.length === 0) return resolved
+
+  let catalogue = await loadSubjectCatalogue()
+  let registered = false
+  for (const raw of unique) {
+    const match = matchSubject(raw, catalogue)
+    if (match.subject) {
+      resolved.set(raw, match.subject)
+      continue
+    }
+    try {
+      const subject = await registerSubject(raw, match)
+      resolved.set(raw, subject)
+      // Later names in this batch (e.g. the practical of the same subject) can match it
+      catalogue = [...catalogue.filter(s => s.id !== subject.id), subject]
+      registered = true
+    } catch (err) {
+      logger.error('[subjects] Failed to register LMS subject name', { raw, error: err.message })
+    }
+  }
+  if (registered) invalidateSubjectCatalogue()
+  return resolved
+}
+
+/**
+ * Catalogue subjects for raw names, without registering the ones nothing matches.
+ * For free-text names such as dashboard class titles ("Anatomy - Upper Limb"), which would
+ * otherwise fill the catalogue with one-off entries.
+ *
+ * @param {string[]} names
+ * @returns {Promise<Map<string, Object>>} Matched names only
+ */
+export async function matchSubjects(names = []) {
+  const matched = new Map()
+  const unique = [...new Set(names.filter(name => typeof name === 'string' && name.trim()))]
+  if (unique.length === 0) return matched
+
+  const catalogue = await loadSubjectCatalogue()
+  for (const raw of unique) {
+    const { subject } = matchSubject(raw, catalogue)
+    if (subject) matched.set(raw, subject)
+  }
+  return matched
+}
+
+/**
+ * Copies of rows with subject_id set from resolveSubjects() output
+ *
+ * @param {Array} rows
+ * @param {Map<string, Object>} subjects - From resolveSubjects() or matchSubjects()
+ * @param {string} [field] - Property holding the raw subject name
+ */
+export function withSubjectIds(rows, subjects, field = 'subject') {
+  return rows.map(row => ({ ...row, subject_id: subjects.get(row[field])?.id ?? null }))
+}
+
+/**
+ * Resolve subject_id for rows stored before the catalogue existed. Never throws.
+ */
+export async function backfillSubjectIds() {
+  try {
+    const { rows } = await query(
+      `SELECT subject AS name FROM attendance WHERE subject_id IS NULL AND subject IS NOT NULL
+       UNION
+       SELECT subject FROM datewise_attendance WHERE subject_id IS NULL`
+    )
+    // Class titles are free text - only matched, never registered
+    const { rows: classes } = await query(
+      `SELECT DISTINCT class_name AS name FROM upcoming_classes WHERE subject_id IS NULL AND class_name IS NOT NULL`
+    )
+    if (rows.length === 0 && classes.length === 0) return
+
+    const subjects = await resolveSubjects(rows.map(r => r.name))
+    for (const [raw, subject] of subjects) {
+      await query(`UPDATE attendance SET subject_id = $2 WHERE subject = $1 AND subject_id IS NULL`, [raw, subject.id])
+      await query(`UPDATE datewise_attendance SET subject_id = $2 WHERE subject = $1 AND subject_id IS NULL`, [raw, subject.id])
+    }
+    const classSubjects = await matchSubjects(classes.map(r => r.name))
+    for (const [raw, subject] of classSubjects) {
+      await query(`UPDATE upcoming_classes SET subject_id = $2 WHERE class_name = $1 AND subject_id IS NULL`, [raw, subject.id])
+    }
+    logger.info('[subjects] Backfilled subject ids', {
+      names: rows.length + classes.length,
+      resolved: subjects.size + classSubjects.size
+    })
+  } catch (err) {
+    logger.error('[subjects] Failed to backfill subject ids', { error: err.message })
+  }
+}
+
+/**
+ * Fold one catalogue entry into another: stored rows and threshold rules move to `intoId`, the
+ * aliases are combined and `fromId` is deleted.
+ *
+ * @returns {Promise<Object|null>} The merged entry, or null if either id doesn't exist
+ */
+export async function mergeSubjects(fromId, intoId) {
+  const client = await getClient()
+  try {
+    await client.query('BEGIN')
+    const { rows } = await client.query(
+      `SELECT id FROM subjects WHERE id = ANY($1::int[]) FOR UPDATE`,
+      [[fromId, intoId]]
+    )
+    if (rows.length !== 2) {
+      await client.query('ROLLBACK')
+      return null
+    }
+
+    for (const table of ['attendance', 'datewise_attendance', 'upcoming_classes', 'attendance_thresholds']) {
+      await client.query(`UPDATE ${table} SET subject_id = $2 WHERE subject_id = $1`, [fromId, intoId])
+    }
+    const { rows: merged } = await client.query(
+      `UPDATE subjects s
+       SET aliases = ARRAY(SELECT DISTINCT unnest(s.aliases || f.aliases)), updated_at = now()
+       FROM subjects f
+       WHERE s.id = $2 AND f.id = $1
+       RETURNING ${SUBJECT_COLUMNS.split(', ').map(c => `s.${c}`).join(', ')}`,
+      [fromId, intoId]
+    )
+    await client.query('DELETE FROM subjects WHERE id = $1', [fromId])
+    await client.query('COMMIT')
+    invalidateSubjectCatalogue()
+    logger.info('[subjects] Merged subjects', { fromId, intoId })
+    return merged[0]
+  } catch (err) {
+    await client.query('ROLLBACK')
+    logger.error('[subjects] Failed to merge subjects, rolled back', { fromId, intoId, error: err.message })
+    throw err
+  } finally {
+    client.release()
+  }
+}
+
+export default {
+  SUBJECT_COMPONENTS,
+  subjectKey,
+  parseSubjectName,
+  matchSubject,
+  subjectLabel,
+  loadSubjectCatalogue,
+  invalidateSubjectCatalogue,
+  resolveSubjects,
+  matchSubjects,
+  withSubjectIds,
+  backfillSubjectIds,
+  mergeSubjects
+}
@@ -0,0 +1,135 @@
+// backend/src/services/subjectGroupService.js
+// Groups LMS rows ("Pathology Theory", "Pathology Practical") under their parent subject so
+// exam eligibility can be judged per subject. Names that don't follow the "<Subject> <Component>"
+// convention (e.g. "CP_OBG") are mapped through rules in subject_group_rules.
+
+import logger from '../../lib/logger.js'
+import { query } from '../sharedDb.js'
+import { compilePattern, resolveThreshold, computeRequired, computeCanMiss } from './thresholdService.js'
+
+const COMPONENT_SUFFIX = /[\s_-]*\b(theory|practicals?|clinical posting|clinicals?|posting)\s*$/i
+
+const RULES_CACHE_TTL = 60 * 1000 // 1 minute
+let rulesCache = null // { rules, expiresAt }
+
+/**
+ * Load grouping overrides, highest priority first.
+ * Falls back to automatic grouping only if the table can't be read.
+ *
+ * @returns {Promise<Array<{id: number, pattern: string, group_name: string, component: string|null, priority: number, matcher: RegExp}>>}
+ */
+export async function loadSubjectGroupRules() {
+  if (rulesCache && rulesCache.expiresAt > Date.now()) {
+    return rulesCache.rules
+  }
+
+  try {
+    const { rows } = await query(
+      `SELECT id, pattern, group_name, component, priority
+       FROM subject_group_rules
+       ORDER BY priority DESC, id ASC`
+    )
+    const rules = []
+    for (const row of rows) {
+      const matcher = compilePattern(row.pattern)
+      if (!matcher) {
+        logger.warn('[subjectGroups] Skipping rule with invalid pattern', { id: row.id, pattern: row.pattern })
+        continue
+      }
+      rules.push({ ...row, matcher })
+    }
+    rulesCache = { rules, expiresAt: Date.now() + RULES_CACHE_TTL }
+    return rules
+  } catch (err) {
+    logger.error('[subjectGroups] Failed to load grouping rules, using automatic grouping', { error: err.message })
+    return []
+  }
+}
+
+/**
+ * Drop cached rules so the next lookup sees admin changes immediately.
+ */
+export function invalidateSubjectGroupRules() {
+  rulesCache = null
+}
+
+/**
+ * Work out which group and component an LMS subject name belongs to.
+ * An override rule wins; otherwise a trailing "Theory"/"Practical"/"Posting" is split off.
+ *
+ * @returns {{group: string, component: string}}
+ */
+export function classifySubject(subject, rules = []) {
+  const name = (subject || '').trim()
+  const rule = rules.find(r => r.matcher.test(name))
+  const match = name.match(COMPONENT_SUFFIX)
+  const detectedComponent = match ? match[1].toLowerCase().replace(/s$/, '') : 'other'
+
+  if (rule) {
+    return { group: rule.group_name, component: rule.component || detectedComponent }
+  }
+
+  const group = match ? name.slice(0, match.index).trim() : name
+  return { group: group || name, component: detectedComponent }
+}
+
+function summarise(present, total, threshold) {
+  const percent = total > 0 ? +((present / total) * 100).toFixed(2) : 0
+  return {
+    present,
+    total,
+    percent,
+    threshold,
+    required: computeRequired(present, total, threshold),
+    margin: computeCanMiss(present, total, threshold),
+    eligible: total === 0 || percent >= threshold
+  }
+}
+
+/**
+ * Build per-subject eligibility groups from attendance rows.
+ * The aggregate uses the threshold rule matching the group name; each component keeps its own
+ * (already applied) threshold. A group is eligible only if the aggregate and every component are.
+ *
+ * @param {Array<{subject: string, present: number, total: number, threshold?: number}>} attendance - Rows after applyThresholds()
+ * @param {Array} groupRules - From loadSubjectGroupRules()
+ * @param {Array} thresholdRules - From loadThresholdRules()
+ * @returns {Array<{name: string, eligible: boolean, aggregate: Object, components: Array}>}
+ */
+export function buildSubjectGroups(attendance, groupRules = [], thresholdRules = []) {
+  const groups = new Map()
+
+  for (const row of attendance) {
+    const { group, component } = classifySubject(row.subject, groupRules)
+    if (!groups.has(group)) {
+      groups.set(group, [])
+    }
+    const present = Number(row.present) || 0
+    const total = Number(row.total) || 0
+    const threshold = row.threshold ?? resolveThreshold(row.subject, thresholdRules, row.subject_id ?? null)
+    groups.get(group).push({
+      subject: row.subject,
+      component,
+      ...summarise(present, total, threshold)
+    })
+  }
+
+  return Array.from(groups, ([name, components]) => {
+    const present = components.reduce((sum, c) => sum + c.present, 0)
+    const total = components.reduce((sum, c) => sum + c.total, 0)
+    const aggregate = summarise(present, total, resolveThreshold(name, thresholdRules))
+    return {
+      name,
+      eligible: aggregate.eligible && components.every(c => c.eligible),
+      aggregate,
+      components
+    }
+  }).sort((a, b) => a.name.localeCompare(b.name))
+}
+
+export default {
+  loadSubjectGroupRules,
+  invalidateSubjectGroupRules,
+  classifySubject,
+  buildSubjectGroups
+}
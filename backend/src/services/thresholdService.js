@@ -0,0 +1,134 @@
+// backend/src/services/thresholdService.js
+// Attendance cut-offs per subject type. Rules live in attendance_thresholds and are matched
+// against the subject name (e.g. "Practical" -> 80%) and/or a catalogue subject_id,
+// anything unmatched uses the default.
+
+import logger from '../../lib/logger.js'
+import { query } from '../sharedDb.js'
+
+export const DEFAULT_THRESHOLD = Number(process.env.DEFAULT_ATTENDANCE_THRESHOLD) || 75
+
+// Rules change rarely, so keep them in memory instead of querying on every request
+const RULES_CACHE_TTL = 60 * 1000 // 1 minute
+let rulesCache = null // { rules, expiresAt }
+
+/**
+ * Compile a stored pattern into a case-insensitive matcher.
+ * Returns null for patterns that are not valid regular expressions.
+ */
+export function compilePattern(pattern) {
+  try {
+    return new RegExp(pattern, 'i')
+  } catch (err) {
+    return null
+  }
+}
+
+/**
+ * Load threshold rules, highest priority first.
+ * Falls back to no rules (everything at DEFAULT_THRESHOLD) if the table can't be read.
+ *
+ * @returns {Promise<Array<{id: number, pattern: string|null, subject_id: number|null, threshold: number, priority: number, description: string|null, matcher: RegExp|null}>>}
+ */
+export async function loadThresholdRules() {
+  if (rulesCache && rulesCache.expiresAt > Date.now()) {
+    return rulesCache.rules
+  }
+
+  try {
+    const { rows } = await query(
+      `SELECT id, pattern, subject_id, threshold, priority, description
+       FROM attendance_thresholds
+       ORDER BY priority DESC, id ASC`
+    )
+    const rules = []
+    for (const row of rows) {
+      const matcher = row.pattern ? compilePattern(row.pattern) : null
+      if (!matcher && (row.pattern || !row.subject_id)) {
+        logger.warn('[thresholds] Skipping rule with invalid pattern', { id: row.id, pattern: row.pattern })
+        continue
+      }
+      rules.push({ ...row, threshold: parseFloat(row.threshold), matcher })
+    }
+    rulesCache = { rules, expiresAt: Date.now() + RULES_CACHE_TTL }
+    return rules
+  } catch (err) {
+    logger.error('[thresholds] Failed to load threshold rules, using default', {
+      error: err.message,
+      defaultThreshold: DEFAULT_THRESHOLD
+    })
+    return []
+  }
+}
+
+/**
+ * Drop cached rules so the next lookup sees admin changes immediately.
+ */
+export function invalidateThresholdRules() {
+  rulesCache = null
+}
+
+/**
+ * Threshold (in percent) that applies to a subject - first matching rule wins.
+ * A rule with a subject_id only applies to that catalogue subject; one with a pattern only to
+ * matching names; one with both needs both.
+ */
+export function resolveThreshold(subject, rules = [], subjectId = null) {
+  const name = subject || ''
+  const rule = rules.find(r =>
+    (!r.subject_id || r.subject_id === subjectId) && (!r.matcher || r.matcher.test(name))
+  )
+  return rule ? rule.threshold : DEFAULT_THRESHOLD
+}
+
+// compute the smallest r such that ((p+r)/(t+r))*100 >= threshold.
+// null when no number of classes gets there (a 100% rule with absences already on record)
+export function computeRequired(present, total, threshold = DEFAULT_THRESHOLD) {
+  if (total === 0) return 0
+  if ((present / total) * 100 >= threshold) return 0
+  if (threshold >= 100) return null
+  // (p + r) / (t + r) >= T  =>  r >= (T * t - p) / (1 - T)
+  const t = threshold / 100
+  return Math.max(0, Math.ceil((t * total - present) / (1 - t) - 1e-9))
+}
+
+// Compute how many more classes can be missed while staying >= threshold
+// x_max = floor(present / (threshold / 100) - total); clamp to 0
+export function computeCanMiss(present, total, threshold = DEFAULT_THRESHOLD) {
+  if (present < 0 || total <= 0) return 0
+  const allowed = Math.floor(present / (threshold / 100) - total)
+  return Math.max(0, allowed)
+}
+
+/**
+ * Fill threshold, required and margin (classes that can still be missed) on attendance rows.
+ * required is null when the threshold can't be reached any more (see computeRequired).
+ *
+ * @param {Array<{subject: string, subject_id?: number, present: number, total: number}>} rows
+ * @param {Array} rules - From loadThresholdRules()
+ * @returns {Array} Copies of rows with { threshold, required, margin } set
+ */
+export function applyThresholds(rows, rules = []) {
+  return rows.map(row => {
+    const present = Number(row.present) || 0
+    const total = Number(row.total) || 0
+    const threshold = resolveThreshold(row.subject, rules, row.subject_id ?? null)
+    return {
+      ...row,
+      threshold,
+      required: computeRequired(present, total, threshold),
+      margin: computeCanMiss(present, total, threshold)
+    }
+  })
+}
+
+export default {
+  DEFAULT_THRESHOLD,
+  compilePattern,
+  loadThresholdRules,
+  invalidateThresholdRules,
+  resolveThreshold,
+  computeRequired,
+  computeCanMiss,
+  applyThresholds
+}
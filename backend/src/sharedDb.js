@@ -1,4 +1,4 @@
-import { Pool } from 'pg'
+import { Pool, Client } from 'pg'
 import logger from '../lib/logger.js'
 
 /**
@@ -8,6 +8,14 @@ import logger from '../lib/logger.js'
 
 let pool = null
 
+function connectionOptions(DB_URL) {
+  return {
+    connectionString: DB_URL,
+    ssl: DB_URL.includes('supabase') ? { rejectUnauthorized: false } : false,
+    connectionTimeoutMillis: 10000,
+  }
+}
+
 /**
  * Get or create the shared database pool
  */
@@ -21,9 +29,7 @@ export function getSharedPool() {
     // Optimize pool settings for Render free tier
     // Supabase free tier: 200 concurrent connections max
     pool = new Pool({
-      connectionString: DB_URL,
-      ssl: DB_URL.includes('supabase') ? { rejectUnauthorized: false } : false,
-      connectionTimeoutMillis: 10000,
+      ...connectionOptions(DB_URL),
       // Limit pool size to prevent connection exhaustion
       max: 15, // Increased from 10 to 15 (still safe for free tier, Supabase allows 200)
       idleTimeoutMillis: 30000, // Close idle connections after 30s
@@ -64,6 +70,18 @@ export async function getClient() {
   return poolInstance.connect()
 }
 
+/**
+ * A connection of its own, outside the pool (for LISTEN, which holds its connection for good).
+ * The caller connects and ends it.
+ */
+export function createDedicatedClient() {
+  const DB_URL = process.env.DATABASE_URL || ''
+  if (!DB_URL) {
+    throw new Error('DATABASE_URL not configured')
+  }
+  return new Client(connectionOptions(DB_URL))
+}
+
 /**
  * Close the pool (for graceful shutdown)
  */
@@ -0,0 +1,99 @@
+// backend/tests/attendanceAlerts.test.js
+// Low-attendance alerts: which conditions a subject row is in, and the alert state - an alert
+// whose email failed is retried on the next scrape and only marked notified once the email goes
+// out. The state tests need a throwaway Postgres database:
+//   TEST_DATABASE_URL=postgres://... npm test
+// and are skipped without one.
+
+import { describe, it, expect, beforeAll, afterAll, vi } from 'vitest'
+import logger from '../lib/logger.js'
+import { activeConditions } from '../src/services/attendanceAlertService.js'
+
+const TEST_DATABASE_URL = process.env.TEST_DATABASE_URL
+
+vi.mock('../src/lib/email.js', async importOriginal => ({
+  ...await importOriginal(),
+  sendAttendanceAlertEmail: vi.fn()
+}))
+
+describe('activeConditions', () => {
+  it('flags a subject under its threshold', () => {
+    expect(activeConditions({ total: 10, percent: 60, threshold: 75, margin: 0 })).toEqual(['below_threshold'])
+  })
+
+  it('flags a subject at its threshold with no classes left to miss', () => {
+    expect(activeConditions({ total: 4, percent: 75, threshold: 75, margin: 0 })).toEqual(['no_margin'])
+  })
+
+  it('leaves a subject with room to spare alone', () => {
+    expect(activeConditions({ total: 10, percent: 90, threshold: 75, margin: 2 })).toEqual([])
+  })
+
+  it('ignores subjects without any classes yet', () => {
+    expect(activeConditions({ total: 0, percent: 0, threshold: 75, margin: 0 })).toEqual([])
+  })
+
+  it('reads numeric strings from the database', () => {
+    expect(activeConditions({ total: '10', percent: '74.99', threshold: 75, margin: '0' })).toEqual(['below_threshold'])
+    expect(activeConditions({ total: '10', percent: '80.00', threshold: 75, margin: '0' })).toEqual(['no_margin'])
+  })
+})
+
+describe.skipIf(!TEST_DATABASE_URL)('attendance alerts', () => {
+  const username = 'ALERT001'
+  let query
+  let closePool
+  let evaluateAttendanceAlerts
+  let sendAttendanceAlertEmail
+
+  const below = [{ subject: 'Anatomy', present: 6, total: 10, percent: 60, threshold: 75, required: 6, margin: 0 }]
+
+  async function alertState() {
+    const { rows } = await query(
+      `SELECT active, notified_at FROM attendance_alerts WHERE username = $1 AND subject = 'Anatomy' AND condition = 'below_threshold'`,
+      [username]
+    )
+    return rows[0]
+  }
+
+  beforeAll(async () => {
+    logger.silent = true
+    process.env.DATABASE_URL = TEST_DATABASE_URL
+    const backend = await import('../attendance.js')
+    ;({ query, closePool } = await import('../src/sharedDb.js'))
+    ;({ evaluateAttendanceAlerts } = await import('../src/services/attendanceAlertService.js'))
+    ;({ sendAttendanceAlertEmail } = await import('../src/lib/email.js'))
+
+    await backend.ensureSchema()
+    await query('DELETE FROM attendance_alerts WHERE username = $1', [username])
+    await query('DELETE FROM users WHERE student_id = $1', [username])
+    await query(
+      `INSERT INTO users (student_id, password_hash, email) VALUES ($1, 'x', 'alerts@example.com')`,
+      [username]
+    )
+  }, 30000)
+
+  afterAll(async () => {
+    await closePool?.()
+    logger.silent = false
+  })
+
+  it('retries a failed alert email on the next run and sends it once', async () => {
+    sendAttendanceAlertEmail.mockResolvedValueOnce(false)
+    const failed = await evaluateAttendanceAlerts({ username, attendance: below })
+    expect(failed.emailed).toBe(false)
+    expect(failed.triggered).toMatchObject([{ subject: 'Anatomy', condition: 'below_threshold', crossed: true }])
+    expect(await alertState()).toMatchObject({ active: true, notified_at: null })
+
+    sendAttendanceAlertEmail.mockResolvedValueOnce(true)
+    const retried = await evaluateAttendanceAlerts({ username, attendance: below })
+    expect(retried.emailed).toBe(true)
+    // Still the same crossing, so no second push
+    expect(retried.triggered).toMatchObject([{ subject: 'Anatomy', crossed: false }])
+    expect((await alertState()).notified_at).not.toBeNull()
+
+    const after = await evaluateAttendanceAlerts({ username, attendance: below })
+    expect(after.triggered).toEqual([])
+    expect(sendAttendanceAlertEmail).toHaveBeenCalledTimes(2)
+  }, 30000)
+})
@@ -0,0 +1,92 @@
+// backend/tests/calendarFeed.test.js
+// iCalendar rendering for the upcoming-classes feed: escaping, folding and stable UIDs.
+
+import { describe, it, expect } from 'vitest'
+import { renderCalendar, FEED_TOKEN_PATTERN } from '../src/services/calendarFeedService.js'
+
+const NOW = new Date('2025-03-10T02:00:00Z')
+
+const CLASSES = [
+  {
+    title: 'Anatomy',
+    subject: 'Anatomy Theory',
+    subjectCode: 'ANAT',
+    location: 'Lecture Hall 2',
+    description: 'Dr. Priya Natarajan - Upper Limb',
+    start: new Date('2025-03-10T03:30:00Z'),
+    end: new Date('2025-03-10T04:30:00Z')
+  },
+  {
+    title: 'CP_OBG',
+    subject: null,
+    subjectCode: null,
+    location: '',
+    description: '',
+    start: new Date('2025-03-10T08:30:00Z'),
+    end: new Date('2025-03-10T10:30:00Z')
+  }
+]
+
+function events(ics) {
+  return ics.split('BEGIN:VEVENT').slice(1)
+}
+
+describe('renderCalendar', () => {
+  it('renders one VEVENT per class in UTC with location and subject', () => {
+    const ics = renderCalendar({ username: 'FAKE001', classes: CLASSES, now: NOW })
+    expect(ics.startsWith('BEGIN:VCALENDAR\r\nVERSION:2.0\r\n')).toBe(true)
+    expect(ics.endsWith('END:VCALENDAR\r\n')).toBe(true)
+
+    const [anatomy, posting] = events(ics)
+    expect(anatomy).toContain('DTSTART:20250310T033000Z\r\n')
+    expect(anatomy).toContain('DTEND:20250310T043000Z\r\n')
+    expect(anatomy).toContain('DTSTAMP:20250310T020000Z\r\n')
+    expect(anatomy).toContain('SUMMARY:Anatomy\r\n')
+    expect(anatomy).toContain('LOCATION:Lecture Hall 2\r\n')
+    expect(anatomy).toContain('CATEGORIES:Anatomy Theory,ANAT\r\n')
+
+    expect(posting).toContain('SUMMARY:CP_OBG\r\n')
+    expect(posting).not.toContain('LOCATION')
+    expect(posting).not.toContain('CATEGORIES')
+  })
+
+  it('renders an empty calendar when there are no timed classes', () => {
+    const ics = renderCalendar({ username: 'FAKE001', classes: [], now: NOW })
+    expect(events(ics)).toHaveLength(0)
+    expect(ics).toContain('X-WR-CALNAME:SBMCH classes')
+  })
+
+  it('keeps UIDs stable across renders and free of the student ID', () => {
+    const first = renderCalendar({ username: 'FAKE001', classes: CLASSES, now: NOW })
+    const later = renderCalendar({ username: 'FAKE001', classes: CLASSES, now: new Date() })
+    const uids = ics => ics.match(/^UID:.*$/gm)
+    expect(uids(later)).toEqual(uids(first))
+    expect(new Set(uids(first)).size).toBe(2)
+    expect(first).not.toContain('FAKE001')
+    expect(uids(renderCalendar({ username: 'FAKE002', classes: CLASSES, now: NOW }))).not.toEqual(uids(first))
+  })
+
+  it('escapes text and folds long lines', () => {
+    const [cls] = CLASSES
+    const ics = renderCalendar({
+      username: 'FAKE001',
+      classes: [{ ...cls, location: 'Block A; Room 3, Floor 2', description: `Line one\n${'Cardiac cycle – '.repeat(8)}` }],
+      now: NOW
+    })
+    expect(ics).toContain('LOCATION:Block A\\; Room 3\\, Floor 2\r\n')
+    for (const line of ics.split('\r\n')) {
+      expect(Buffer.byteLength(line)).toBeLessThanOrEqual(75)
+    }
+    const unfolded = ics.replace(/\r\n /g, '')
+    expect(unfolded).toContain(`DESCRIPTION:Line one\\n${'Cardiac cycle – '.repeat(8)}\r\n`)
+  })
+})
+
+describe('FEED_TOKEN_PATTERN', () => {
+  it('accepts base64url tokens only', () => {
+    expect(FEED_TOKEN_PATTERN.test('a'.repeat(32))).toBe(true)
+    expect(FEED_TOKEN_PATTERN.test('Ab9_-'.repeat(6) + 'xy')).toBe(true)
+    expect(FEED_TOKEN_PATTERN.test('a'.repeat(31))).toBe(false)
+    expect(FEED_TOKEN_PATTERN.test(`${'a'.repeat(31)}/`)).toBe(false)
+  })
+})
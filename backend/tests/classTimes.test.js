@@ -0,0 +1,55 @@
+// backend/tests/classTimes.test.js
+// Dashboard class times ("09:00 AM - 10:00 AM") read as IST on the day of the scrape.
+
+import { describe, it, expect } from 'vitest'
+import { istDateString, parseClassTimeRange } from '../src/lib/classTimes.js'
+
+// 10 March, 07:30 IST
+const DAY = new Date('2025-03-10T02:00:00Z')
+
+function range(text, day = DAY) {
+  const parsed = parseClassTimeRange(text, day)
+  return parsed && [parsed.start.toISOString(), parsed.end.toISOString()]
+}
+
+describe('istDateString', () => {
+  it('uses the IST calendar date', () => {
+    // 01:30 IST on 10 March is still 9 March in UTC
+    expect(istDateString(new Date('2025-03-09T20:00:00Z'))).toBe('2025-03-10')
+    expect(istDateString(new Date('2025-03-10T18:29:00Z'))).toBe('2025-03-10')
+    expect(istDateString(new Date('2025-03-10T18:30:00Z'))).toBe('2025-03-11')
+  })
+})
+
+describe('parseClassTimeRange', () => {
+  it('reads the dashboard format as IST', () => {
+    expect(range('09:00 AM - 10:00 AM')).toEqual(['2025-03-10T03:30:00.000Z', '2025-03-10T04:30:00.000Z'])
+    expect(range('12:00 PM - 01:00 PM')).toEqual(['2025-03-10T06:30:00.000Z', '2025-03-10T07:30:00.000Z'])
+  })
+
+  it('accepts other separators and spellings', () => {
+    expect(range('9.00 a.m. to 10.30 a.m.')).toEqual(['2025-03-10T03:30:00.000Z', '2025-03-10T05:00:00.000Z'])
+    expect(range('02:00 PM – 04:00 PM')).toEqual(['2025-03-10T08:30:00.000Z', '2025-03-10T10:30:00.000Z'])
+  })
+
+  it('carries AM/PM across when only one side has it', () => {
+    expect(range('11:00 - 1:00 PM')).toEqual(['2025-03-10T05:30:00.000Z', '2025-03-10T07:30:00.000Z'])
+    expect(range('11:00 AM - 1:00')).toEqual(['2025-03-10T05:30:00.000Z', '2025-03-10T07:30:00.000Z'])
+  })
+
+  it('reads bare times as 24-hour, with 1-7 as afternoon', () => {
+    expect(range('14:00 - 16:00')).toEqual(['2025-03-10T08:30:00.000Z', '2025-03-10T10:30:00.000Z'])
+    expect(range('2:00 - 4:00')).toEqual(['2025-03-10T08:30:00.000Z', '2025-03-10T10:30:00.000Z'])
+  })
+
+  it('uses the IST date of a scrape just after midnight', () => {
+    expect(range('09:00 AM - 10:00 AM', new Date('2025-03-09T20:00:00Z'))[0]).toBe('2025-03-10T03:30:00.000Z')
+  })
+
+  it('returns null for text without a usable range', () => {
+    expect(parseClassTimeRange('')).toBeNull()
+    expect(parseClassTimeRange('Lecture Hall 2')).toBeNull()
+    expect(parseClassTimeRange('10:00 AM - 09:00 AM')).toBeNull()
+    expect(parseClassTimeRange('25:00 - 26:00')).toBeNull()
+  })
+})
@@ -0,0 +1,51 @@
+// backend/tests/datewiseDates.test.js
+// Date handling for date-wise attendance: DD-MM-YYYY parsing, ranges, and "today" on the LMS's (IST) clock.
+
+import { describe, it, expect } from 'vitest'
+import { parseLmsDate, listDatesInRange, istToday, isFutureLmsDate } from '../src/services/datewiseAttendanceService.js'
+
+// 10 March 2025, 23:00 IST - still the 10th in UTC too
+const EVENING = new Date('2025-03-10T17:30:00Z')
+// 11 March 2025, 01:00 IST - the 10th in UTC
+const AFTER_MIDNIGHT = new Date('2025-03-10T19:30:00Z')
+
+describe('parseLmsDate', () => {
+  it('rejects malformed and rolled-over dates', () => {
+    expect(parseLmsDate('10-03-2025')).not.toBeNull()
+    expect(parseLmsDate('31-02-2025')).toBeNull()
+    expect(parseLmsDate('2025-03-10')).toBeNull()
+  })
+})
+
+describe('listDatesInRange', () => {
+  it('lists every day inclusive, across a month end', () => {
+    expect(listDatesInRange('27-02-2025', '02-03-2025')).toEqual(['27-02-2025', '28-02-2025', '01-03-2025', '02-03-2025'])
+  })
+
+  it('returns nothing for a backwards range', () => {
+    expect(listDatesInRange('02-03-2025', '27-02-2025')).toEqual([])
+  })
+})
+
+describe('istToday', () => {
+  it('follows the IST calendar day', () => {
+    expect(istToday(EVENING)).toBe('10-03-2025')
+    expect(istToday(AFTER_MIDNIGHT)).toBe('11-03-2025')
+  })
+})
+
+describe('isFutureLmsDate', () => {
+  it('treats today and earlier as fetchable', () => {
+    expect(isFutureLmsDate('10-03-2025', EVENING)).toBe(false)
+    expect(isFutureLmsDate('01-01-2025', EVENING)).toBe(false)
+  })
+
+  it('flags days after today in IST', () => {
+    expect(isFutureLmsDate('11-03-2025', EVENING)).toBe(true)
+    expect(isFutureLmsDate('11-03-2025', AFTER_MIDNIGHT)).toBe(false)
+  })
+
+  it('does not flag invalid dates', () => {
+    expect(isFutureLmsDate('not-a-date', EVENING)).toBe(false)
+  })
+})
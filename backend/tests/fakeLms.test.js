@@ -0,0 +1,148 @@
+// backend/tests/fakeLms.test.js
+// LmsClient against the fake LMS (backend/fakeLms): login, dashboard, subject-wise and date-wise
+// attendance over real HTTP, plus the fake's own login and session handling.
+
+import { describe, it, expect, beforeAll, afterAll } from 'vitest'
+import request from 'supertest'
+import logger from '../lib/logger.js'
+import { createFakeLms } from '../fakeLms/app.js'
+import { LmsClient, formatLmsDate } from '../src/lib/lmsClient.js'
+
+// Most recent weekday, which always has classes in the seeded timetable
+function lastWeekday() {
+  const day = new Date()
+  while (day.getDay() === 0 || day.getDay() === 6) day.setDate(day.getDate() - 1)
+  return formatLmsDate(day)
+}
+
+let fakeLms
+let server
+let baseUrl
+
+beforeAll(async () => {
+  logger.silent = true
+  fakeLms = createFakeLms()
+  server = await new Promise(resolve => {
+    const s = fakeLms.listen(0, '127.0.0.1', () => resolve(s))
+  })
+  baseUrl = `http://127.0.0.1:${server.address().port}/lms`
+})
+
+afterAll(async () => {
+  await new Promise(resolve => server.close(resolve))
+  logger.silent = false
+})
+
+describe('fake LMS', () => {
+  it('serves the login form with a CSRF token', async () => {
+    const res = await request(fakeLms).get('/lms/site/userlogin')
+    expect(res.status).toBe(200)
+    expect(res.text).toContain('Student Login')
+    expect(res.text).toMatch(/name="ci_csrf_token" value="\w+"/)
+  })
+
+  it('rejects a login without the CSRF token', async () => {
+    const res = await request(fakeLms)
+      .post('/lms/site/userlogin')
+      .type('form')
+      .send({ username: 'FAKE001', password: 'password1' })
+    expect(res.status).toBe(403)
+  })
+
+  it('answers with the login form when there is no session', async () => {
+    const res = await request(fakeLms).get('/lms/user/user/dashboard')
+    expect(res.status).toBe(200)
+    expect(res.text).toContain('Student Login')
+  })
+})
+
+describe('LmsClient against the fake LMS', () => {
+  it('logs in and reads the dashboard', async () => {
+    const lms = new LmsClient({ baseUrl })
+    await lms.login({ username: 'FAKE001', password: 'password1' })
+    const { studentName, upcomingClasses } = await lms.fetchStudentDashboard('FAKE001')
+    expect(studentName).toBe('ANANYA RAMESH')
+    expect(upcomingClasses.map(c => c.title)).toEqual(['Anatomy', 'Physiology', 'Biochemistry', 'Community Medicine'])
+    expect(upcomingClasses[0]).toMatchObject({ location: 'Lecture Hall 2', time: '09:00 AM - 10:00 AM' })
+  })
+
+  it('rejects wrong credentials', async () => {
+    const lms = new LmsClient({ baseUrl })
+    await expect(lms.login({ username: 'FAKE001', password: 'wrong' })).rejects.toThrow(/Login failed/)
+  })
+
+  it('fetches the subject-wise report', async () => {
+    const lms = new LmsClient({ baseUrl })
+    await lms.login({ username: 'FAKE002', password: 'password2' })
+    const rows = await lms.fetchAttendanceTable({})
+    expect(rows.map(r => r.subject)).toEqual(['Anatomy', 'Physiology', 'Biochemistry', 'Community Medicine'])
+    for (const row of rows) {
+      expect(row.total).toBeGreaterThan(0)
+      expect(row.present + row.absent).toBe(row.total)
+      // FAKE002 misses every third period
+      expect(row.percent).toBeGreaterThan(60)
+      expect(row.percent).toBeLessThan(75)
+    }
+  })
+
+  it('returns no rows for a student without records', async () => {
+    const lms = new LmsClient({ baseUrl })
+    await lms.login({ username: 'FAKE003', password: 'password3' })
+    expect(await lms.fetchAttendanceTable({})).toEqual([])
+  })
+
+  it('fetches the periods of one day', async () => {
+    const lms = new LmsClient({ baseUrl })
+    await lms.login({ username: 'FAKE001', password: 'password1' })
+    const rows = await lms.fetchDatewiseAttendance({ dateToFetch: lastWeekday() })
+    expect(rows).toHaveLength(4)
+    expect(rows[0]).toMatchObject({ subject: 'Anatomy', time_from: '09:00 AM', time_to: '10:00 AM' })
+    for (const row of rows) {
+      expect(['Present', 'Absent']).toContain(row.attendance)
+    }
+  })
+
+  it('returns no periods for a day without classes', async () => {
+    const saturday = new Date()
+    saturday.setDate(saturday.getDate() - ((saturday.getDay() + 1) % 7))
+    const lms = new LmsClient({ baseUrl })
+    await lms.login({ username: 'FAKE001', password: 'password1' })
+    expect(await lms.fetchDatewiseAttendance({ dateToFetch: formatLmsDate(saturday) })).toEqual([])
+    expect(lms.parseReports).toEqual([])
+  })
+
+  it('fails on markup the parser does not know and keeps a sanitized copy', async () => {
+    const lms = new LmsClient({ baseUrl })
+    await lms.login({ username: 'FAKE001', password: 'password1' })
+    fakeLms.locals.markup = 'drifted'
+    try {
+      await expect(lms.fetchAttendanceTable({})).rejects.toMatchObject({ code: 'LMS_PARSE_ERROR' })
+    } finally {
+      fakeLms.locals.markup = 'default'
+    }
+    expect(lms.parseReports).toHaveLength(1)
+    expect(lms.parseReports[0]).toMatchObject({ page: 'subject_attendance', status: 'parse_error' })
+    expect(lms.parseReports[0].html).toContain('attendance-report')
+  })
+
+  it('fails date-wise attendance on drifted markup without trying other endpoints', async () => {
+    const lms = new LmsClient({ baseUrl })
+    await lms.login({ username: 'FAKE001', password: 'password1' })
+    fakeLms.locals.markup = 'drifted'
+    try {
+      await expect(lms.fetchDatewiseAttendance({ dateToFetch: lastWeekday() }))
+        .rejects.toMatchObject({ code: 'LMS_PARSE_ERROR' })
+    } finally {
+      fakeLms.locals.markup = 'default'
+    }
+    expect(lms.parseReports).toHaveLength(1)
+    expect(lms.parseReports[0]).toMatchObject({ page: 'datewise_attendance', status: 'parse_error' })
+  })
+
+  it('detects an expired session', async () => {
+    const lms = new LmsClient({ baseUrl })
+    await lms.login({ username: 'FAKE001', password: 'password1' })
+    fakeLms.locals.sessions.clear()
+    await expect(lms.fetchStudentDashboard('FAKE001')).rejects.toThrow(/login page/)
+  })
+})
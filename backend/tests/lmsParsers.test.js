@@ -0,0 +1,161 @@
+// backend/tests/lmsParsers.test.js
+// Parses the saved LMS pages in fixtures/lms and asserts the output, so markup drift on the LMS
+// (or a change to the parser heuristics) shows up here instead of as empty dashboards in production.
+// When the LMS changes its markup, save the new page as a fixture next to the old one.
+
+import { readFileSync } from 'fs'
+import { describe, it, expect, beforeAll, afterAll } from 'vitest'
+import * as cheerio from 'cheerio'
+import logger from '../lib/logger.js'
+import {
+  isLoginPage,
+  parseUpcomingClasses,
+  parseAttendanceRows,
+  parseDatewiseAttendanceRows
+} from '../src/lib/lmsClient.js'
+
+function fixture(name) {
+  return readFileSync(new URL(`./fixtures/lms/${name}`, import.meta.url), 'utf8')
+}
+
+// The parsers log every table they look at
+beforeAll(() => {
+  logger.silent = true
+})
+
+afterAll(() => {
+  logger.silent = false
+})
+
+describe('isLoginPage', () => {
+  it('detects the login form the LMS serves for an expired session', () => {
+    expect(isLoginPage(fixture('login-page.html'))).toBe(true)
+  })
+
+  it('does not flag logged-in pages', () => {
+    expect(isLoginPage(fixture('dashboard.html'))).toBe(false)
+    expect(isLoginPage(fixture('datewise-attendance.html'))).toBe(false)
+  })
+
+  it('handles an empty body', () => {
+    expect(isLoginPage('')).toBe(false)
+    expect(isLoginPage(null)).toBe(false)
+  })
+})
+
+describe('parseUpcomingClasses', () => {
+  it('parses both lecture-list layouts', () => {
+    const $ = cheerio.load(fixture('dashboard.html'))
+    // 07:30 IST on 10 March
+    expect(parseUpcomingClasses($, new Date('2025-03-10T02:00:00Z'))).toEqual([
+      {
+        title: 'Anatomy',
+        subtitle: 'Dr. Priya Natarajan - Upper Limb',
+        location: 'Lecture Hall 2',
+        time: '09:00 AM - 10:00 AM',
+        avatar: 'https://sbmchlms.com/lms/uploads/staff_images/anatomy.png',
+        start_time: '2025-03-10T03:30:00.000Z',
+        end_time: '2025-03-10T04:30:00.000Z'
+      },
+      {
+        // No .media-title / .bmedium location / .text-muted time: falls back to .bmedium and child order
+        title: 'Physiology',
+        subtitle: 'Dr. Karthik S - Cardiac Cycle',
+        location: 'Physiology Lab',
+        time: '11:00 AM - 01:00 PM',
+        avatar: 'https://sbmchlms.com/lms/uploads/staff_images/physiology.png',
+        start_time: '2025-03-10T05:30:00.000Z',
+        end_time: '2025-03-10T07:30:00.000Z'
+      },
+      {
+        title: 'Biochemistry',
+        subtitle: '',
+        location: '',
+        time: '',
+        avatar: '',
+        start_time: null,
+        end_time: null
+      }
+    ])
+  })
+
+  it('returns an empty list when no classes are scheduled', () => {
+    const $ = cheerio.load(fixture('dashboard-no-classes.html'))
+    expect(parseUpcomingClasses($)).toEqual([])
+  })
+
+  it('finds nothing on the login page', () => {
+    const $ = cheerio.load(fixture('login-page.html'))
+    expect(parseUpcomingClasses($)).toEqual([])
+  })
+})
+
+describe('parseAttendanceRows', () => {
+  it('parses the subject-wise report inside .attendance_result', () => {
+    expect(parseAttendanceRows(fixture('subject-attendance.html'))).toEqual([
+      { subject: 'Anatomy', sessionsCompleted: 12, totalSessions: 14, present: 12, total: 14, absent: 2, percent: 85.71 },
+      { subject: 'Physiology', sessionsCompleted: 10, totalSessions: 15, present: 10, total: 15, absent: 5, percent: 66.67 },
+      // No percentage in the cell: computed from the session ratio
+      { subject: 'Biochemistry', sessionsCompleted: 3, totalSessions: 4, present: 3, total: 4, absent: 1, percent: 75 },
+      { subject: 'Community Medicine', sessionsCompleted: 0, totalSessions: 0, present: 0, total: 0, absent: 0, percent: 0 }
+    ])
+  })
+
+  it('falls back to any table when there is no .attendance_result wrapper', () => {
+    const rows = parseAttendanceRows(fixture('subject-attendance-bare-table.html'))
+    expect(rows.map(r => [r.subject, r.present, r.total, r.percent])).toEqual([
+      ['Anatomy', 9, 10, 90],
+      ['Physiology', 6, 8, 75]
+    ])
+  })
+
+  it('returns no rows for "no records"', () => {
+    expect(parseAttendanceRows(fixture('subject-attendance-no-records.html'))).toEqual([])
+  })
+
+  it('returns no rows for an empty result page or the login page', () => {
+    expect(parseAttendanceRows('')).toEqual([])
+    expect(parseAttendanceRows(fixture('login-page.html'))).toEqual([])
+  })
+})
+
+describe('parseDatewiseAttendanceRows', () => {
+  it('parses the four-column layout, including letter and canvas status cells', () => {
+    expect(parseDatewiseAttendanceRows(fixture('datewise-attendance.html'))).toEqual([
+      { subject: 'Anatomy', time_from: '09:00 AM', time_to: '10:00 AM', attendance: 'Present' },
+      { subject: 'Physiology', time_from: '10:00 AM', time_to: '11:00 AM', attendance: 'Absent' },
+      { subject: 'Biochemistry', time_from: '11:15 AM', time_to: '12:15 PM', attendance: 'Present' },
+      // Canvas cell: status taken from the cell's title
+      { subject: 'Anatomy Dissection', time_from: '02:00 PM', time_to: '04:00 PM', attendance: 'Absent' },
+      // Canvas cell without a status: attendance was recorded, counted as present
+      { subject: 'Community Medicine', time_from: '04:00 PM', time_to: '05:00 PM', attendance: 'Present' }
+    ])
+  })
+
+  it('parses the two- and three-column layouts', () => {
+    expect(parseDatewiseAttendanceRows(fixture('datewise-attendance-compact.html'))).toEqual([
+      { subject: 'Pharmacology', time_from: '09:00', time_to: '10:00', attendance: 'Present' },
+      { subject: 'Pathology', time_from: '10:00', time_to: '11:30', attendance: 'Absent' },
+      { subject: 'Microbiology', time_from: '', time_to: '1/1', attendance: 'Present' },
+      { subject: 'Forensic Medicine', time_from: 'Morning', time_to: '', attendance: 'Absent' },
+      { subject: 'Clinical Postings', time_from: '', time_to: '', attendance: 'Present' }
+    ])
+  })
+
+  it('falls back to a plain table without tbody or .attendance_result', () => {
+    expect(parseDatewiseAttendanceRows(fixture('datewise-attendance-plain-table.html'))).toEqual([
+      { subject: 'Ophthalmology', time_from: '08:00', time_to: '09:00', attendance: 'Present' },
+      { subject: 'ENT', time_from: '09:00', time_to: '10:00', attendance: 'Absent' }
+    ])
+  })
+
+  it('returns no rows for "no records"', () => {
+    expect(parseDatewiseAttendanceRows(fixture('datewise-attendance-no-records.html'))).toEqual([])
+  })
+
+  it('returns no rows for an empty page, an empty table or the login page', () => {
+    expect(parseDatewiseAttendanceRows('')).toEqual([])
+    expect(parseDatewiseAttendanceRows('<table></table>')).toEqual([])
+    expect(parseDatewiseAttendanceRows(fixture('login-page.html'))).toEqual([])
+  })
+})
@@ -0,0 +1,58 @@
+// backend/tests/lmsResilience.test.js
+// Retries and the circuit breaker around LMS requests, against a stubbed fetch.
+
+import { describe, it, expect } from 'vitest'
+import { Response } from 'node-fetch'
+import { CircuitBreaker, fetchWithResilience, lmsBreaker } from '../src/lib/lmsResilience.js'
+
+const URL = 'http://lms.test/lms/site/userlogin'
+
+// fetch stub answering with the given statuses in turn
+function stubFetch(statuses) {
+  const calls = []
+  const doFetch = async (url, options) => {
+    calls.push(options.method || 'GET')
+    return new Response('page', { status: statuses[Math.min(calls.length - 1, statuses.length - 1)] })
+  }
+  return { doFetch, calls }
+}
+
+describe('fetchWithResilience', () => {
+  it('retries a GET after a 5xx', async () => {
+    const { doFetch, calls } = stubFetch([503, 200])
+    const breaker = new CircuitBreaker({ name: 'test' })
+    const res = await fetchWithResilience(doFetch, URL, { method: 'GET' }, { breaker, retries: 1 })
+    expect(res.status).toBe(200)
+    expect(calls).toHaveLength(2)
+  })
+
+  it('sends a POST once unless it is marked idempotent', async () => {
+    const login = stubFetch([503, 200])
+    const res = await fetchWithResilience(login.doFetch, URL, { method: 'POST' }, {
+      breaker: new CircuitBreaker({ name: 'test' }),
+      retries: 2
+    })
+    expect(res.status).toBe(503)
+    expect(login.calls).toEqual(['POST'])
+
+    const report = stubFetch([503, 200])
+    const retried = await fetchWithResilience(report.doFetch, URL, { method: 'POST' }, {
+      breaker: new CircuitBreaker({ name: 'test' }),
+      retries: 2,
+      idempotent: true
+    })
+    expect(retried.status).toBe(200)
+    expect(report.calls).toHaveLength(2)
+  })
+
+  it('leaves requests without a breaker out of the failure count', async () => {
+    const { doFetch } = stubFetch([500])
+    const before = lmsBreaker.getState().consecutiveFailures
+    await fetchWithResilience(doFetch, URL, { method: 'POST' }, { breaker: null })
+    expect(lmsBreaker.getState().consecutiveFailures).toBe(before)
+
+    const breaker = new CircuitBreaker({ name: 'test', failureThreshold: 1 })
+    await fetchWithResilience(doFetch, URL, { method: 'POST' }, { breaker })
+    expect(breaker.getState().state).toBe('open')
+  })
+})
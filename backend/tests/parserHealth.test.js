@@ -0,0 +1,172 @@
+// backend/tests/parserHealth.test.js
+// Parser health verdicts for the saved LMS pages: "no records" is a legitimate empty result,
+// a page whose markup we no longer understand is a parse_error.
+
+import { readFileSync } from 'fs'
+import { describe, it, expect, beforeAll, afterAll } from 'vitest'
+import * as cheerio from 'cheerio'
+import logger from '../lib/logger.js'
+import {
+  parseUpcomingClasses,
+  parseAttendanceRows,
+  parseDatewiseAttendanceRows
+} from '../src/lib/lmsClient.js'
+import {
+  ParseHealthError,
+  checkAttendanceResult,
+  checkDatewiseResult,
+  checkDashboard,
+  sanitizeLmsHtml
+} from '../src/lib/parserHealth.js'
+
+function fixture(name) {
+  return readFileSync(new URL(`./fixtures/lms/${name}`, import.meta.url), 'utf8')
+}
+
+function checkSubjectFixture(name) {
+  const html = fixture(name)
+  return checkAttendanceResult(html, parseAttendanceRows(html))
+}
+
+function checkDatewiseFixture(name) {
+  const html = fixture(name)
+  return checkDatewiseResult(html, parseDatewiseAttendanceRows(html))
+}
+
+function checkDashboardFixture(name) {
+  const html = fixture(name)
+  return checkDashboard(html, parseUpcomingClasses(cheerio.load(html)))
+}
+
+beforeAll(() => {
+  logger.silent = true
+})
+
+afterAll(() => {
+  logger.silent = false
+})
+
+describe('checkAttendanceResult', () => {
+  it('passes the known layouts', () => {
+    expect(checkSubjectFixture('subject-attendance.html')).toMatchObject({
+      page: 'subject_attendance',
+      status: 'ok',
+      issues: [],
+      stats: { dataRows: 5, parsedRows: 4, columnCounts: [1, 3] }
+    })
+    expect(checkSubjectFixture('subject-attendance-bare-table.html').status).toBe('ok')
+  })
+
+  it('treats "no records" as empty, not as an error', () => {
+    expect(checkSubjectFixture('subject-attendance-no-records.html').status).toBe('empty')
+  })
+
+  it('flags a page without the attendance table', () => {
+    const report = checkSubjectFixture('subject-attendance-drifted.html')
+    expect(report.status).toBe('parse_error')
+    expect(report.issues).toEqual(['no .attendance_result and no table'])
+  })
+
+  it('flags a table whose rows no longer parse', () => {
+    const report = checkSubjectFixture('subject-attendance-two-columns.html')
+    expect(report.status).toBe('parse_error')
+    expect(report.issues[0]).toMatch(/2 table rows but none parsed \(cells per row: 2\)/)
+  })
+
+  it('flags an empty API response', () => {
+    expect(checkAttendanceResult('', []).status).toBe('parse_error')
+  })
+
+  it('marks rows with an impossible shape as suspicious', () => {
+    const rows = [
+      { subject: 'Anatomy', present: 12, total: 14, absent: 2, percent: 85.71 },
+      { subject: 'Physiology', present: 16, total: 15, absent: 0, percent: 106.67 }
+    ]
+    const report = checkAttendanceResult(fixture('subject-attendance.html'), rows)
+    expect(report.status).toBe('suspicious')
+    expect(report.issues[0]).toMatch(/1 of 2 rows look wrong \(Physiology: present 16 > total 15\)/)
+  })
+
+  it('fails when no row has the expected shape', () => {
+    const rows = [{ subject: '85.71%', present: 0, total: 0, absent: 0, percent: 12 }]
+    expect(checkAttendanceResult(fixture('subject-attendance.html'), rows).status).toBe('parse_error')
+  })
+})
+
+describe('checkDatewiseResult', () => {
+  it('passes the known layouts', () => {
+    expect(checkDatewiseFixture('datewise-attendance.html').status).toBe('ok')
+    expect(checkDatewiseFixture('datewise-attendance-compact.html').status).toBe('ok')
+    expect(checkDatewiseFixture('datewise-attendance-plain-table.html').status).toBe('ok')
+  })
+
+  it('treats "no records" as empty', () => {
+    expect(checkDatewiseFixture('datewise-attendance-no-records.html').status).toBe('empty')
+  })
+
+  it('flags the login page returned instead of a result', () => {
+    expect(checkDatewiseFixture('login-page.html').status).toBe('parse_error')
+  })
+
+  it('fails when attendance is shown as icons the parser does not read', () => {
+    const report = checkDatewiseFixture('datewise-attendance-drifted.html')
+    expect(report.status).toBe('parse_error')
+    expect(report.issues[0]).toMatch(/no row has the expected shape/)
+  })
+
+  it('marks unrecognised attendance cells as suspicious', () => {
+    const rows = [
+      { subject: 'Anatomy', time_from: '09:00 AM', time_to: '10:00 AM', attendance: 'Present' },
+      { subject: 'Physiology', time_from: '10:00 AM', time_to: '11:00 AM', attendance: 'Unknown' }
+    ]
+    const report = checkDatewiseResult(fixture('datewise-attendance.html'), rows)
+    expect(report.status).toBe('suspicious')
+    expect(report.issues[0]).toMatch(/Physiology: attendance not recognised/)
+  })
+})
+
+describe('checkDashboard', () => {
+  it('passes the known dashboard, with or without classes', () => {
+    expect(checkDashboardFixture('dashboard.html').status).toBe('ok')
+    expect(checkDashboardFixture('dashboard-no-classes.html').status).toBe('ok')
+  })
+
+  it('reports a redesigned dashboard as suspicious, never as a parse error', () => {
+    const report = checkDashboardFixture('dashboard-redesigned.html')
+    expect(report.status).toBe('suspicious')
+    expect(report.issues).toEqual(['no h4.mt0 welcome heading', 'no .user-progress upcoming classes list'])
+  })
+})
+
+describe('ParseHealthError', () => {
+  it('carries the report and a message scrape jobs classify as parse_failure', () => {
+    const report = checkSubjectFixture('subject-attendance-drifted.html')
+    const err = new ParseHealthError(report)
+    expect(err.code).toBe('LMS_PARSE_ERROR')
+    expect(err.report).toBe(report)
+    expect(err.message).toBe('LMS markup not recognised (subject_attendance): no .attendance_result and no table')
+  })
+})
+
+describe('sanitizeLmsHtml', () => {
+  it('strips scripts, handlers, form values and the student\'s identity', () => {
+    const html = sanitizeLmsHtml(fixture('dashboard-redesigned.html'), {
+      username: 'FAKE001',
+      studentName: 'ANANYA RAMESH'
+    })
+    expect(html).not.toMatch(/<script/i)
+    expect(html).not.toMatch(/onclick/i)
+    expect(html).not.toContain('3f9c1e7a2b')
+    expect(html).not.toContain('FAKE001')
+    expect(html).not.toContain('ANANYA RAMESH')
+    expect(html).toContain('Hello, [student]')
+    expect(html).toContain('timetable-item')
+  })
+
+  it('masks the welcome heading and keeps fragments as fragments', () => {
+    expect(sanitizeLmsHtml(fixture('dashboard.html'))).toContain('Welcome, [student]')
+    const fragment = sanitizeLmsHtml(fixture('subject-attendance-drifted.html'))
+    expect(fragment).not.toMatch(/<html|<body/i)
+    expect(fragment).toContain('subject-name')
+  })
+})
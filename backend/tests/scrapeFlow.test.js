@@ -0,0 +1,454 @@
+// backend/tests/scrapeFlow.test.js
+// End to end through the API with the LMS replaced by the fake LMS: login, the queued scrape,
+// the saved snapshot and date-wise attendance. Needs a throwaway Postgres database:
+//   TEST_DATABASE_URL=postgres://... npm test
+// Skipped without one.
+
+import { describe, it, expect, beforeAll, afterAll, vi } from 'vitest'
+import request from 'supertest'
+import logger from '../lib/logger.js'
+import { createFakeLms } from '../fakeLms/app.js'
+import { formatLmsDate } from '../src/lib/lmsClient.js'
+
+const TEST_DATABASE_URL = process.env.TEST_DATABASE_URL
+
+function lastWeekday() {
+  const day = new Date()
+  while (day.getDay() === 0 || day.getDay() === 6) day.setDate(day.getDate() - 1)
+  return formatLmsDate(day)
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms))
+}
+
+describe.skipIf(!TEST_DATABASE_URL)('scrape flow against the fake LMS', () => {
+  let fakeLms
+  let server
+  let app
+  let stopScrapeWorker
+  let closePool
+  let query
+  // By student ID; a second login within 30s is rate limited, so later tests reuse these
+  const tokens = {}
+
+  // Poll GET /api/scrape/status until the latest job has finished
+  async function waitForScrape(token) {
+    for (let i = 0; i < 40; i++) {
+      const res = await request(app).get('/api/scrape/status').set('Authorization', `Bearer ${token}`)
+      if (res.body.status === 'succeeded' || res.body.status === 'failed') return res.body
+      await sleep(500)
+    }
+    throw new Error('scrape did not finish')
+  }
+
+  async function login(username, password) {
+    const res = await request(app).post('/api/login').send({ username, password })
+    expect(res.status).toBe(200)
+    tokens[username] = res.body.token
+    return res.body.token
+  }
+
+  beforeAll(async () => {
+    logger.silent = true
+    fakeLms = createFakeLms()
+    server = await new Promise(resolve => {
+      const s = fakeLms.listen(0, '127.0.0.1', () => resolve(s))
+    })
+    process.env.DATABASE_URL = TEST_DATABASE_URL
+    process.env.LMS_BASE_URL = `http://127.0.0.1:${server.address().port}/lms`
+    // /api/login returns once the scrape has finished
+    process.env.SCRAPE_WAIT_MS = '20000'
+    process.env.ATTENDANCE_REFRESH_COOLDOWN_SECONDS = '1'
+    process.env.ADMIN_API_KEY = 'test-admin-key'
+
+    const backend = await import('../attendance.js')
+    const { startScrapeWorker } = await import('../src/services/scraperService.js')
+    ;({ stopScrapeWorker } = await import('../src/lib/scrapeQueue.js'))
+    ;({ query, closePool } = await import('../src/sharedDb.js'))
+    app = backend.app
+
+    await backend.ensureSchema()
+    // Seeded users from an earlier run would hit the 30s login limit
+    await query(`DELETE FROM users WHERE student_id LIKE 'FAKE%'`)
+    await query(`DELETE FROM scrape_jobs WHERE username = 'FAKE009'`)
+    startScrapeWorker()
+  }, 30000)
+
+  afterAll(async () => {
+    stopScrapeWorker?.()
+    await closePool?.()
+    await new Promise(resolve => server?.close(resolve) ?? resolve())
+    logger.silent = false
+  })
+
+  it('scrapes and serves attendance after login', async () => {
+    const token = await login('FAKE001', 'password1')
+
+    const res = await request(app).get('/api/attendance').set('Authorization', `Bearer ${token}`)
+    expect(res.status).toBe(200)
+    expect(res.body.studentName).toBe('ANANYA RAMESH')
+    expect(res.body.attendance.map(a => a.subject).sort()).toEqual(
+      ['Anatomy', 'Biochemistry', 'Community Medicine', 'Physiology']
+    )
+    for (const row of res.body.attendance) {
+      expect(row.present + row.absent).toBe(row.total)
+    }
+
+    const status = await request(app).get('/api/scrape/status').set('Authorization', `Bearer ${token}`)
+    expect(status.body).toMatchObject({ status: 'succeeded', trigger: 'login', attendanceCount: 4 })
+  }, 30000)
+
+  it('resolves subjects to the catalogue so attendance and classes share ids', async () => {
+    const token = tokens.FAKE001 || await login('FAKE001', 'password1')
+    const res = await request(app).get('/api/attendance').set('Authorization', `Bearer ${token}`)
+
+    const ids = new Map(res.body.attendance.map(row => [row.subject, row.subject_id]))
+    for (const id of ids.values()) {
+      expect(Number.isInteger(id)).toBe(true)
+    }
+    for (const cls of res.body.upcomingClasses) {
+      expect(cls.subject_id).toBe(ids.get(cls.title))
+    }
+
+    // The dashboard's time text is stored as IST timestamps, so classes come back in timetable order
+    expect(res.body.upcomingClasses.map(c => c.title)).toEqual(['Anatomy', 'Physiology', 'Biochemistry', 'Community Medicine'])
+    const [anatomy] = res.body.upcomingClasses
+    expect(new Date(anatomy.start_time).toLocaleTimeString('en-GB', { timeZone: 'Asia/Kolkata' })).toBe('09:00:00')
+    expect(new Date(anatomy.end_time) - new Date(anatomy.start_time)).toBe(60 * 60 * 1000)
+    expect(anatomy.subject).toEqual({ name: 'Anatomy', code: null })
+
+    const { rows } = await query(`SELECT name, component FROM subjects WHERE id = $1`, [ids.get('Anatomy')])
+    expect(rows[0]).toEqual({ name: 'Anatomy', component: null })
+
+    const history = await request(app).get('/api/attendance/history').set('Authorization', `Bearer ${token}`)
+    expect(history.body.subjects.find(s => s.subject === 'Anatomy').subjectId).toBe(ids.get('Anatomy'))
+  }, 30000)
+
+  it('merges an auto-registered duplicate into the catalogued subject', async () => {
+    const { resolveSubjects } = await import('../src/services/subjectCatalogService.js')
+    // Unique per run, since a reused database already has earlier merges
+    const raw = `Gross Anatomy ${Date.now().toString(36)} (I)`
+    const anatomy = (await resolveSubjects(['Anatomy'])).get('Anatomy')
+    const duplicate = (await resolveSubjects([raw])).get(raw)
+    expect(duplicate).toMatchObject({ aliases: [raw], auto_created: true })
+
+    const res = await request(app)
+      .post(`/api/admin/subjects/${duplicate.id}/merge`)
+      .set('x-admin-key', 'test-admin-key')
+      .send({ into: anatomy.id })
+    expect(res.status).toBe(200)
+    expect(res.body.subject.aliases).toContain(raw)
+
+    expect((await resolveSubjects([raw])).get(raw).id).toBe(anatomy.id)
+  }, 30000)
+
+  it('matches class titles to the catalogue without registering new subjects', async () => {
+    const { matchSubjects } = await import('../src/services/subjectCatalogService.js')
+    const title = `Anatomy - Upper Limb ${Date.now().toString(36)}`
+    const matched = await matchSubjects(['Anatomy', title])
+    expect(matched.get('Anatomy')).toMatchObject({ name: 'Anatomy' })
+    expect(matched.has(title)).toBe(false)
+
+    const { rows } = await query(`SELECT id FROM subjects WHERE name = $1 OR $1 = ANY(aliases)`, [title])
+    expect(rows).toHaveLength(0)
+  }, 30000)
+
+  it('serves upcoming classes as a revocable iCalendar feed', async () => {
+    const token = tokens.FAKE001 || await login('FAKE001', 'password1')
+    const auth = { Authorization: `Bearer ${token}` }
+
+    const created = await request(app).post('/api/calendar/feed').set(auth)
+    expect(created.status).toBe(201)
+    expect(created.body).toMatchObject({ active: true, lastAccessedAt: null })
+    const path = new URL(created.body.url).pathname
+    expect(path).toMatch(/^\/api\/calendar\/[\w-]{32}\.ics$/)
+
+    const feed = await request(app).get(path)
+    expect(feed.status).toBe(200)
+    expect(feed.headers['content-type']).toMatch(/^text\/calendar/)
+    expect(feed.text.match(/BEGIN:VEVENT/g)).toHaveLength(4)
+    expect(feed.text).toContain('SUMMARY:Anatomy')
+    expect(feed.text).toContain('LOCATION:Lecture Hall 2')
+    expect(feed.text).toContain('CATEGORIES:Anatomy')
+
+    // The login JWT is not a feed token
+    expect((await request(app).get(`/api/calendar/${token}.ics`)).status).toBe(404)
+
+    // Regenerating cuts off the old URL
+    const rotated = await request(app).post('/api/calendar/feed').set(auth)
+    expect((await request(app).get(path)).status).toBe(404)
+    const rotatedPath = new URL(rotated.body.url).pathname
+    expect((await request(app).get(rotatedPath)).status).toBe(200)
+
+    const status = await request(app).get('/api/calendar/feed').set(auth)
+    expect(status.body.active).toBe(true)
+    expect(status.body.lastAccessedAt).not.toBeNull()
+
+    const revoked = await request(app).delete('/api/calendar/feed').set(auth)
+    expect(revoked.body).toEqual({ revoked: true })
+    expect((await request(app).get(rotatedPath)).status).toBe(404)
+    expect((await request(app).get('/api/calendar/feed').set(auth)).body.active).toBe(false)
+
+    // Simultaneous regenerations each succeed and leave one active token
+    const burst = await Promise.all([1, 2, 3].map(() => request(app).post('/api/calendar/feed').set(auth)))
+    expect(burst.map(res => res.status)).toEqual([201, 201, 201])
+    const { rows } = await query(`SELECT count(*)::int AS active FROM calendar_feeds WHERE username = 'FAKE001' AND revoked_at IS NULL`)
+    expect(rows[0].active).toBe(1)
+    await request(app).delete('/api/calendar/feed').set(auth)
+  }, 30000)
+
+  it('passes on scrape job events published by another instance', async () => {
+    const {
+      SCRAPE_EVENTS_CHANNEL,
+      subscribeScrapeJobs,
+      startScrapeEventListener,
+      stopScrapeEventListener
+    } = await import('../src/lib/scrapeEvents.js')
+    await startScrapeEventListener()
+    try {
+      const received = new Promise(resolve => {
+        const unsubscribe = subscribeScrapeJobs(event => {
+          if (event.job.id !== 'remote-job') return
+          unsubscribe()
+          resolve(event)
+        })
+      })
+      const job = { id: 'remote-job', status: 'succeeded' }
+      await query('SELECT pg_notify($1, $2)', [
+        SCRAPE_EVENTS_CHANNEL,
+        JSON.stringify({ origin: 'another-instance', username: 'FAKE001', job })
+      ])
+      expect(await received).toEqual({ username: 'FAKE001', job })
+    } finally {
+      await stopScrapeEventListener()
+    }
+  }, 30000)
+
+  it('fails a job pinned to a stopped worker when there is no vaulted password', async () => {
+    const { recoverStaleScrapeJobs, getScrapeJob, waitForScrapeJob } = await import('../src/services/scrapeJobService.js')
+    const { rows: [job] } = await query(
+      `INSERT INTO scrape_jobs (username, trigger, status, stage, pinned_to, run_after)
+       VALUES ('FAKE009', 'login', 'queued', 'queued', 'stopped-worker', now() - interval '10 minutes')
+       RETURNING id`
+    )
+    const waiting = waitForScrapeJob(job.id).catch(err => err)
+
+    await recoverStaleScrapeJobs()
+    expect(await getScrapeJob(job.id)).toMatchObject({
+      status: 'failed',
+      pinned_to: null,
+      error_code: 'credentials_required'
+    })
+    expect(await waiting).toMatchObject({ code: 'credentials_required' })
+  }, 30000)
+
+  it('keeps a job pinned to a live worker queued however long it waits for a slot', async () => {
+    const { recoverStaleScrapeJobs, heartbeatScrapeJobs, getScrapeJob } = await import('../src/services/scrapeJobService.js')
+    await heartbeatScrapeJobs('busy-worker', [])
+    const { rows: [job] } = await query(
+      `INSERT INTO scrape_jobs (username, trigger, status, stage, pinned_to, run_after)
+       VALUES ('FAKE010', 'login', 'queued', 'queued', 'busy-worker', now() - interval '10 minutes')
+       RETURNING id`
+    )
+    try {
+      await recoverStaleScrapeJobs()
+      expect(await getScrapeJob(job.id)).toMatchObject({ status: 'queued', pinned_to: 'busy-worker' })
+    } finally {
+      await query('DELETE FROM scrape_jobs WHERE id = $1', [job.id])
+      await query(`DELETE FROM scrape_workers WHERE worker_id = 'busy-worker'`)
+    }
+  }, 30000)
+
+  it('runs the background refresh on one instance at a time', async () => {
+    const { refreshOptedInUsers } = await import('../cron/attendanceRefresher.js')
+    const { getClient } = await import('../src/sharedDb.js')
+    const info = vi.spyOn(logger, 'info')
+    // Stands in for another instance's connection
+    const other = await getClient()
+    try {
+      await other.query(`SELECT pg_advisory_lock(hashtext('attendance_refresher'))`)
+      await refreshOptedInUsers()
+      expect(info).toHaveBeenCalledWith('[cron] Attendance refresh running on another instance - skipping this tick')
+      await other.query(`SELECT pg_advisory_unlock(hashtext('attendance_refresher'))`)
+
+      info.mockClear()
+      await refreshOptedInUsers()
+      expect(info).not.toHaveBeenCalledWith('[cron] Attendance refresh running on another instance - skipping this tick')
+      // Released after the run
+      const { rows } = await other.query(`SELECT pg_try_advisory_lock(hashtext('attendance_refresher')) AS locked`)
+      expect(rows[0].locked).toBe(true)
+      await other.query(`SELECT pg_advisory_unlock(hashtext('attendance_refresher'))`)
+    } finally {
+      other.release()
+      info.mockRestore()
+    }
+  }, 30000)
+
+  it('prunes old runs superseded later the same IST day', async () => {
+    const { pruneSupersededRuns } = await import('../src/services/snapshotService.js')
+    const username = 'PRUNE001'
+    // [days ago, IST hour, subject_count]
+    const runs = [[10, 9, 3], [10, 18, 3], [10, 20, 0], [2, 9, 3], [2, 18, 3]]
+    await query('DELETE FROM scrape_runs WHERE username = $1', [username])
+    for (const [daysAgo, hour, subjectCount] of runs) {
+      await query(
+        `INSERT INTO scrape_runs (username, subject_count, fetched_at)
+         VALUES ($1, $2, (date_trunc('day', now() AT TIME ZONE 'Asia/Kolkata') - make_interval(days => $3) + make_interval(hours => $4)) AT TIME ZONE 'Asia/Kolkata')`,
+        [username, subjectCount, daysAgo, hour]
+      )
+    }
+
+    expect(await pruneSupersededRuns(username)).toBe(1)
+    const { rows } = await query(
+      `SELECT extract(hour FROM fetched_at AT TIME ZONE 'Asia/Kolkata')::int AS hour FROM scrape_runs
+       WHERE username = $1 ORDER BY fetched_at`,
+      [username]
+    )
+    // The old day keeps its last non-empty run (and the empty one after it); recent days keep everything
+    expect(rows.map(r => r.hour)).toEqual([18, 20, 9, 18])
+    await query('DELETE FROM scrape_runs WHERE username = $1', [username])
+  }, 30000)
+
+  it('scrapes a day date-wise and serves it from the database afterwards', async () => {
+    const token = await login('FAKE002', 'password2')
+    const date = lastWeekday()
+
+    const first = await request(app)
+      .post('/api/attendance/datewise')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ date, password: 'password2' })
+    expect(first.status).toBe(200)
+    expect(first.body.rows).toHaveLength(4)
+
+    const second = await request(app)
+      .post('/api/attendance/datewise')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ date })
+    expect(second.status).toBe(200)
+    expect(second.body.source).toBe('database')
+    expect(second.body.rows.map(r => r.subject).sort()).toEqual(first.body.rows.map(r => r.subject).sort())
+  }, 30000)
+
+  it('fetches a past day again when it was stored before the day was over', async () => {
+    const token = tokens.FAKE002
+    const day = new Date()
+    day.setDate(day.getDate() - 7)
+    while (day.getDay() === 0 || day.getDay() === 6) day.setDate(day.getDate() - 1)
+    const date = formatLmsDate(day)
+    const month = `${day.getFullYear()}-${String(day.getMonth() + 1).padStart(2, '0')}`
+
+    const first = await request(app)
+      .post('/api/attendance/datewise')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ date, password: 'password2' })
+    expect(first.status).toBe(200)
+    // As if it had been fetched at noon IST that day
+    await query(
+      `UPDATE datewise_days SET fetched_at = (date + time '12:00')::timestamp AT TIME ZONE 'Asia/Kolkata'
+       WHERE username = 'FAKE002' AND date = to_date($1, 'DD-MM-YYYY')`,
+      [date]
+    )
+
+    const before = await request(app).get(`/api/attendance/calendar?month=${month}`).set('Authorization', `Bearer ${token}`)
+    expect(before.body.missingDates).toContain(date)
+    expect(before.body.days.find(d => d.date === date)).toMatchObject({ complete: false })
+
+    const again = await request(app)
+      .post('/api/attendance/datewise')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ date, password: 'password2' })
+    expect(again.status).toBe(200)
+    expect(again.body.source).not.toBe('database')
+
+    const after = await request(app).get(`/api/attendance/calendar?month=${month}`).set('Authorization', `Bearer ${token}`)
+    expect(after.body.missingDates).not.toContain(date)
+  }, 30000)
+
+  it('answers polls for range jobs started on another instance', async () => {
+    const token = tokens.FAKE002
+    const date = lastWeekday()
+    const { heartbeatScrapeJobs } = await import('../src/services/scrapeJobService.js')
+    await heartbeatScrapeJobs('range-worker', [])
+    const { rows } = await query(
+      `INSERT INTO datewise_range_jobs (id, username, from_date, to_date, status, done, total, worker_id, finished_at)
+       VALUES
+         (gen_random_uuid(), 'FAKE002', to_date($1, 'DD-MM-YYYY'), to_date($1, 'DD-MM-YYYY'), 'succeeded', 1, 1, 'gone-worker', now()),
+         (gen_random_uuid(), 'FAKE002', to_date($1, 'DD-MM-YYYY'), to_date($1, 'DD-MM-YYYY'), 'running', 0, 1, 'range-worker', NULL),
+         (gen_random_uuid(), 'FAKE002', to_date($1, 'DD-MM-YYYY'), to_date($1, 'DD-MM-YYYY'), 'running', 0, 1, 'gone-worker', NULL)
+       RETURNING id`,
+      [date]
+    )
+    const poll = id => request(app).get(`/api/attendance/datewise/range/${id}`).set('Authorization', `Bearer ${token}`)
+
+    // Started here: answered inline and recorded for other instances
+    const inline = await request(app)
+      .post('/api/attendance/datewise/range')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ from: date, to: date })
+    expect(inline.status).toBe(200)
+    const { rows: [recorded] } = await query('SELECT status, done FROM datewise_range_jobs WHERE id = $1', [inline.body.jobId])
+    expect(recorded).toEqual({ status: 'succeeded', done: 1 })
+
+    const succeeded = await poll(rows[0].id)
+    expect(succeeded.status).toBe(200)
+    expect(succeeded.body).toMatchObject({ status: 'succeeded', progress: { done: 1, total: 1 } })
+    expect(succeeded.body.days).toEqual([expect.objectContaining({ date, rows: expect.any(Array) })])
+    expect(succeeded.body.days[0].rows).toHaveLength(4)
+
+    expect((await poll(rows[1].id)).body).toMatchObject({ status: 'running' })
+    expect((await poll(rows[2].id)).body).toMatchObject({ status: 'failed' })
+
+    const other = await request(app).get(`/api/attendance/datewise/range/${rows[0].id}`).set('Authorization', `Bearer ${tokens.FAKE001}`)
+    expect(other.status).toBe(404)
+    expect((await poll('not-a-job')).status).toBe(404)
+    await query('DELETE FROM datewise_range_jobs WHERE id = ANY($1::uuid[])', [[...rows.map(r => r.id), inline.body.jobId]])
+  }, 30000)
+
+  it('rejects date-wise requests for future dates', async () => {
+    const later = new Date()
+    later.setDate(later.getDate() + 2)
+    const res = await request(app)
+      .post('/api/attendance/datewise')
+      .set('Authorization', `Bearer ${tokens.FAKE002}`)
+      .send({ date: formatLmsDate(later) })
+    expect(res.status).toBe(400)
+  }, 30000)
+
+  it('fails the scrape job when the LMS rejects the password', async () => {
+    const token = await login('FAKE003', 'not-the-lms-password')
+
+    const status = await request(app).get('/api/scrape/status').set('Authorization', `Bearer ${token}`)
+    expect(status.body).toMatchObject({ status: 'failed', error: { code: 'bad_credentials' } })
+  }, 30000)
+
+  it('fails a scrape on unrecognised markup instead of saving an empty snapshot', async () => {
+    const auth = tokens.FAKE001 || await login('FAKE001', 'password1')
+    const before = await request(app).get('/api/attendance').set('Authorization', `Bearer ${auth}`)
+
+    fakeLms.locals.markup = 'drifted'
+    try {
+      await sleep(1100) // refresh cooldown
+      const refresh = await request(app)
+        .post('/api/attendance/refresh')
+        .set('Authorization', `Bearer ${auth}`)
+        .send({ password: 'password1' })
+      expect(refresh.status).toBe(202)
+
+      const job = await waitForScrape(auth)
+      expect(job).toMatchObject({ status: 'failed', error: { code: 'parse_failure' } })
+    } finally {
+      fakeLms.locals.markup = 'default'
+    }
+
+    // The previous snapshot is still served
+    const after = await request(app).get('/api/attendance').set('Authorization', `Bearer ${auth}`)
+    expect(after.body.fetchedAt).toBe(before.body.fetchedAt)
+
+    const { rows } = await query(
+      `SELECT page, status, issues, html FROM lms_parse_reports WHERE username = 'FAKE001' ORDER BY created_at DESC LIMIT 1`
+    )
+    expect(rows[0]).toMatchObject({ page: 'subject_attendance', status: 'parse_error' })
+    expect(rows[0].html).toContain('attendance-report')
+  }, 30000)
+})
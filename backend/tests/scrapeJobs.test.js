@@ -0,0 +1,102 @@
+// backend/tests/scrapeJobs.test.js
+// Scrape job bookkeeping that needs no database: error codes the client acts on, and the
+// client-facing view of a job row (retries, dead-lettering, queue position, progress).
+
+import { describe, it, expect } from 'vitest'
+import { classifyScrapeError, serializeScrapeJob } from '../src/services/scrapeJobService.js'
+
+const coded = (message, code) => Object.assign(new Error(message), code && { code })
+
+describe('classifyScrapeError', () => {
+  it('spots rejected and missing credentials', () => {
+    expect(classifyScrapeError(coded('Login failed: invalid username or password'))).toBe('bad_credentials')
+    expect(classifyScrapeError(coded('No password given', 'CREDENTIALS_REQUIRED'))).toBe('credentials_required')
+  })
+
+  it('treats network errors, timeouts and 5xx answers as the LMS being down', () => {
+    expect(classifyScrapeError(coded('getaddrinfo ENOTFOUND lms.example', 'ENOTFOUND'))).toBe('lms_down')
+    expect(classifyScrapeError(coded('socket hang up', 'ECONNRESET'))).toBe('lms_down')
+    expect(classifyScrapeError(coded('LMS request timed out after 15000ms'))).toBe('lms_down')
+    expect(classifyScrapeError(coded('LMS request failed (503)'))).toBe('lms_down')
+    expect(classifyScrapeError(coded('Session invalid - redirected to login'))).toBe('lms_down')
+  })
+
+  it('reports unreadable pages as parse failures', () => {
+    expect(classifyScrapeError(coded('Attendance table missing', 'LMS_PARSE_ERROR'))).toBe('parse_failure')
+    expect(classifyScrapeError(coded('LMS request failed (404)'))).toBe('parse_failure')
+    expect(classifyScrapeError(coded('Cannot determine student name'))).toBe('parse_failure')
+  })
+
+  it('puts database trouble on our side and leaves the rest unknown', () => {
+    expect(classifyScrapeError(coded('relation "scrape_runs" does not exist'))).toBe('internal')
+    expect(classifyScrapeError(coded('DATABASE_URL is not set'))).toBe('internal')
+    expect(classifyScrapeError(coded('Something odd'))).toBe('unknown')
+    expect(classifyScrapeError(undefined)).toBe('unknown')
+  })
+})
+
+describe('serializeScrapeJob', () => {
+  const base = {
+    id: 'job-1',
+    username: 'FAKE001',
+    trigger: 'login',
+    created_at: '2025-03-10T02:00:00.000Z',
+    started_at: null,
+    finished_at: null,
+    scrape_run_id: null,
+    attendance_count: null,
+    error_code: null,
+    error_message: null,
+    attempts: 0,
+    max_attempts: 3,
+    run_after: '2025-03-10T02:00:00.000Z',
+    queue_position: null
+  }
+
+  it('returns null without a row', () => {
+    expect(serializeScrapeJob(null)).toBeNull()
+  })
+
+  it('gives queued jobs a queue position and running jobs their stage progress', () => {
+    expect(serializeScrapeJob({ ...base, status: 'queued', stage: 'queued', queue_position: 2 }))
+      .toMatchObject({ status: 'queued', progress: 0, queuePosition: 2, nextAttemptAt: null, error: null })
+    expect(serializeScrapeJob({ ...base, status: 'running', stage: 'attendance', attempts: 1, queue_position: null }))
+      .toMatchObject({ status: 'running', progress: 55, queuePosition: null })
+  })
+
+  it('shows when a retry is due', () => {
+    const job = serializeScrapeJob({
+      ...base,
+      status: 'queued',
+      stage: 'retrying',
+      attempts: 1,
+      run_after: '2025-03-10T02:01:00.000Z',
+      error_code: 'lms_down',
+      error_message: 'LMS request timed out'
+    })
+    expect(job).toMatchObject({ status: 'queued', attempts: 1, maxAttempts: 3, nextAttemptAt: '2025-03-10T02:01:00.000Z', error: null })
+  })
+
+  it('reports dead-lettered jobs as failed', () => {
+    const job = serializeScrapeJob({
+      ...base,
+      status: 'dead',
+      stage: 'login',
+      attempts: 3,
+      finished_at: '2025-03-10T02:10:00.000Z',
+      error_code: 'lms_down',
+      error_message: 'LMS not reachable'
+    })
+    expect(job).toMatchObject({
+      status: 'failed',
+      deadLettered: true,
+      progress: 100,
+      error: { code: 'lms_down', message: 'LMS not reachable' }
+    })
+  })
+
+  it('carries the result of a finished scrape', () => {
+    const job = serializeScrapeJob({ ...base, status: 'succeeded', stage: null, attempts: 1, scrape_run_id: 'run-1', attendance_count: 12 })
+    expect(job).toMatchObject({ status: 'succeeded', progress: 100, scrapeRunId: 'run-1', attendanceCount: 12, deadLettered: false, error: null })
+  })
+})
@@ -0,0 +1,104 @@
+// backend/tests/subjectCatalog.test.js
+// Subject name normalisation: raw LMS names resolve to catalogue entries by alias, or by base name
+// and component, and threshold rules can target a catalogue subject.
+
+import { describe, it, expect } from 'vitest'
+import {
+  subjectKey,
+  parseSubjectName,
+  matchSubject,
+  subjectLabel,
+  withSubjectIds
+} from '../src/services/subjectCatalogService.js'
+import { compilePattern, resolveThreshold, applyThresholds, DEFAULT_THRESHOLD } from '../src/services/thresholdService.js'
+
+const CATALOGUE = [
+  { id: 1, name: 'Community Medicine', code: 'CM', department: 'Community Medicine', component: 'theory', aliases: [] },
+  { id: 2, name: 'Community Medicine', code: 'CM', department: 'Community Medicine', component: 'practical', aliases: [] },
+  { id: 3, name: 'Obstetrics & Gynaecology', code: 'OBG', department: 'OBG', component: 'theory', aliases: [] },
+  { id: 4, name: 'Forensic Medicine', code: 'FMT', department: 'Forensic Medicine', component: null, aliases: ['FMT (Forensic Med & Toxicology)'] },
+  { id: 5, name: 'Anatomy', code: null, department: null, component: null, aliases: [] }
+]
+
+describe('parseSubjectName', () => {
+  it('splits off the component and phase markers', () => {
+    expect(parseSubjectName('Community Medicine(II) Theory')).toEqual({ name: 'Community Medicine', component: 'theory' })
+    expect(parseSubjectName('  Pathology   Practicals ')).toEqual({ name: 'Pathology', component: 'practical' })
+    expect(parseSubjectName('General Medicine - Clinical Posting')).toEqual({ name: 'General Medicine', component: 'clinical_posting' })
+  })
+
+  it('reads a CP_ prefix as a clinical posting', () => {
+    expect(parseSubjectName('CP_OBG')).toEqual({ name: 'OBG', component: 'clinical_posting' })
+  })
+
+  it('leaves names without a component alone', () => {
+    expect(parseSubjectName('Anatomy')).toEqual({ name: 'Anatomy', component: null })
+  })
+})
+
+describe('subjectKey', () => {
+  it('ignores case, spacing and punctuation', () => {
+    expect(subjectKey('Obstetrics & Gynaecology')).toBe(subjectKey('obstetrics and  gynaecology'))
+    expect(subjectKey('CP_OBG')).toBe('cpobg')
+  })
+})
+
+describe('matchSubject', () => {
+  it('matches by base name and component', () => {
+    expect(matchSubject('Community Medicine(II) Theory', CATALOGUE).subject.id).toBe(1)
+    expect(matchSubject('Community Medicine Practical', CATALOGUE).subject.id).toBe(2)
+    expect(matchSubject('ANATOMY', CATALOGUE).subject.id).toBe(5)
+  })
+
+  it('matches a whole-name alias before anything else', () => {
+    expect(matchSubject('FMT (Forensic Med & Toxicology)', CATALOGUE).subject.id).toBe(4)
+  })
+
+  it('offers another component of the same subject as a template', () => {
+    const match = matchSubject('CP_OBG', CATALOGUE)
+    expect(match.subject).toBeNull()
+    expect(match.template.id).toBe(3)
+    expect(match.parsed).toEqual({ name: 'OBG', component: 'clinical_posting' })
+  })
+
+  it('returns nothing for an unknown subject', () => {
+    expect(matchSubject('Pharmacology Theory', CATALOGUE)).toMatchObject({ subject: null, template: null })
+  })
+})
+
+describe('subjectLabel', () => {
+  it('names the component', () => {
+    expect(subjectLabel(CATALOGUE[0])).toBe('Community Medicine Theory')
+    expect(subjectLabel({ name: 'OBG', component: 'clinical_posting' })).toBe('OBG Clinical Posting')
+    expect(subjectLabel(CATALOGUE[4])).toBe('Anatomy')
+  })
+})
+
+describe('withSubjectIds', () => {
+  it('sets subject_id from resolved names and null for the rest', () => {
+    const subjects = new Map([['Anatomy', CATALOGUE[4]]])
+    expect(withSubjectIds([{ title: 'Anatomy' }, { title: 'Physiology' }], subjects, 'title')).toEqual([
+      { title: 'Anatomy', subject_id: 5 },
+      { title: 'Physiology', subject_id: null }
+    ])
+  })
+})
+
+describe('threshold rules for catalogue subjects', () => {
+  const rules = [
+    { id: 1, subject_id: 2, threshold: 90, matcher: null },
+    { id: 2, subject_id: null, threshold: 80, matcher: compilePattern('practical') }
+  ]
+
+  it('applies a subject rule only to that subject', () => {
+    expect(resolveThreshold('Community Medicine Practical', rules, 2)).toBe(90)
+    expect(resolveThreshold('Pathology Practical', rules, 7)).toBe(80)
+    expect(resolveThreshold('Anatomy', rules)).toBe(DEFAULT_THRESHOLD)
+  })
+
+  it('uses the subject_id on attendance rows', () => {
+    const [row] = applyThresholds([{ subject: 'CM Prac', subject_id: 2, present: 9, total: 10 }], rules)
+    expect(row.threshold).toBe(90)
+    expect(row.margin).toBe(0)
+  })
+})
@@ -0,0 +1,90 @@
+// backend/tests/subjectGroups.test.js
+// Eligibility groups: LMS rows grouped under their parent subject, override rules for names that
+// don't follow "<Subject> <Component>", and aggregate versus per-component eligibility.
+
+import { describe, it, expect } from 'vitest'
+import { classifySubject, buildSubjectGroups } from '../src/services/subjectGroupService.js'
+import { compilePattern } from '../src/services/thresholdService.js'
+
+const OBG_RULE = { id: 1, pattern: '^CP_OBG$', group_name: 'Obstetrics & Gynaecology', component: 'clinical posting', priority: 10 }
+const GROUP_RULES = [{ ...OBG_RULE, matcher: compilePattern(OBG_RULE.pattern) }]
+
+describe('classifySubject', () => {
+  it('splits the component off the subject name', () => {
+    expect(classifySubject('Pathology Theory')).toEqual({ group: 'Pathology', component: 'theory' })
+    expect(classifySubject('Pathology Practicals')).toEqual({ group: 'Pathology', component: 'practical' })
+    expect(classifySubject('General Medicine - Clinical Posting')).toEqual({ group: 'General Medicine', component: 'clinical posting' })
+  })
+
+  it('keeps names without a component whole', () => {
+    expect(classifySubject('Anatomy')).toEqual({ group: 'Anatomy', component: 'other' })
+    expect(classifySubject('CP_OBG')).toEqual({ group: 'CP_OBG', component: 'other' })
+  })
+
+  it('lets an override rule place an unconventional name', () => {
+    expect(classifySubject('CP_OBG', GROUP_RULES)).toEqual({ group: 'Obstetrics & Gynaecology', component: 'clinical posting' })
+  })
+
+  it('keeps the detected component when the rule sets none', () => {
+    const rules = [{ id: 2, group_name: 'Forensic Medicine', component: null, matcher: compilePattern('^FMT') }]
+    expect(classifySubject('FMT Practical', rules)).toEqual({ group: 'Forensic Medicine', component: 'practical' })
+  })
+})
+
+describe('buildSubjectGroups', () => {
+  it('groups theory and practical rows of one subject together', () => {
+    const [group] = buildSubjectGroups([
+      { subject: 'Pathology Theory', present: 30, total: 40 },
+      { subject: 'Pathology Practical', present: 18, total: 20 }
+    ])
+    expect(group.name).toBe('Pathology')
+    expect(group.components.map(c => c.component)).toEqual(['theory', 'practical'])
+    expect(group.aggregate).toMatchObject({ present: 48, total: 60, percent: 80, threshold: 75, eligible: true })
+    expect(group.eligible).toBe(true)
+  })
+
+  it('adds a rule-mapped posting to its subject', () => {
+    const groups = buildSubjectGroups([
+      { subject: 'Obstetrics & Gynaecology Theory', present: 30, total: 40 },
+      { subject: 'CP_OBG', present: 10, total: 10 }
+    ], GROUP_RULES)
+    expect(groups).toHaveLength(1)
+    expect(groups[0].components.map(c => c.subject)).toEqual(['Obstetrics & Gynaecology Theory', 'CP_OBG'])
+    expect(groups[0].aggregate).toMatchObject({ present: 40, total: 50 })
+  })
+
+  it('is not eligible when one component is short even though the aggregate is fine', () => {
+    const [group] = buildSubjectGroups([
+      { subject: 'Pathology Theory', present: 38, total: 40 },
+      { subject: 'Pathology Practical', present: 14, total: 20 }
+    ])
+    expect(group.aggregate.eligible).toBe(true)
+    expect(group.components.find(c => c.component === 'practical')).toMatchObject({ percent: 70, eligible: false })
+    expect(group.eligible).toBe(false)
+  })
+
+  it('is not eligible when the aggregate is short', () => {
+    const [group] = buildSubjectGroups([
+      { subject: 'Pathology Theory', present: 30, total: 40 },
+      { subject: 'Pathology Practical', present: 14, total: 20 }
+    ])
+    expect(group.aggregate).toMatchObject({ percent: 73.33, eligible: false })
+    expect(group.eligible).toBe(false)
+  })
+
+  it('judges components by their own threshold and the aggregate by the group name', () => {
+    const thresholdRules = [{ id: 1, subject_id: null, threshold: 80, matcher: compilePattern('practical') }]
+    const [group] = buildSubjectGroups([
+      { subject: 'Pathology Theory', present: 36, total: 40, threshold: 75 },
+      { subject: 'Pathology Practical', present: 15, total: 20, threshold: 80 }
+    ], [], thresholdRules)
+    expect(group.components.find(c => c.component === 'practical')).toMatchObject({ threshold: 80, eligible: false })
+    expect(group.aggregate).toMatchObject({ threshold: 75, eligible: true })
+    expect(group.eligible).toBe(false)
+  })
+
+  it('treats a subject without classes as eligible', () => {
+    const [group] = buildSubjectGroups([{ subject: 'Community Medicine Theory', present: 0, total: 0 }])
+    expect(group.eligible).toBe(true)
+  })
+})
@@ -0,0 +1,61 @@
+// backend/tests/thresholds.test.js
+// Classes needed to reach a subject's threshold, including thresholds that can't be reached.
+
+import { describe, it, expect } from 'vitest'
+import { computeRequired, applyThresholds, compilePattern } from '../src/services/thresholdService.js'
+
+describe('computeRequired', () => {
+  it('is 0 at or above the threshold and without classes', () => {
+    expect(computeRequired(8, 10, 75)).toBe(0)
+    expect(computeRequired(0, 0, 75)).toBe(0)
+  })
+
+  it('finds the smallest number of classes that reaches the threshold', () => {
+    // 6/10 at 80%: 16/20 = 80%, while 15/19 is still 78.9%
+    expect(computeRequired(6, 10, 80)).toBe(10)
+    expect(computeRequired(7, 10, 75)).toBe(2)
+  })
+
+  it('returns null when no number of classes reaches the threshold', () => {
+    expect(computeRequired(9, 10, 100)).toBeNull()
+  })
+
+  it('needs nothing for a perfect record, even at 100%', () => {
+    expect(computeRequired(10, 10, 100)).toBe(0)
+  })
+
+  it('counts from zero present', () => {
+    // 3/4 = 75%
+    expect(computeRequired(0, 1, 75)).toBe(3)
+  })
+
+  it('does not round an exact answer up to the next class', () => {
+    // 0.1 and 0.9 aren't exact in binary: 7/10 at 90% needs exactly 20 more (27/30)
+    expect(computeRequired(7, 10, 90)).toBe(20)
+    // 1/3 at 50% needs exactly 1 more (2/4)
+    expect(computeRequired(1, 3, 50)).toBe(1)
+  })
+
+  it('handles fractional thresholds close to 100%', () => {
+    // 98/100 at 99%: (98 + r) / (100 + r) >= 0.99 first holds at r = 100
+    expect(computeRequired(98, 100, 99)).toBe(100)
+    // 9/10 at 99.5%: (9 + r) / (10 + r) >= 0.995 first holds at r = 190
+    expect(computeRequired(9, 10, 99.5)).toBe(190)
+  })
+
+  it('never asks for classes under a 0% threshold', () => {
+    expect(computeRequired(0, 10, 0)).toBe(0)
+  })
+})
+
+describe('applyThresholds', () => {
+  it('leaves required null for an unreachable 100% rule', () => {
+    const rules = [{ id: 1, subject_id: null, threshold: 100, matcher: compilePattern('posting') }]
+    const [posting, theory] = applyThresholds([
+      { subject: 'CP_OBG Clinical Posting', present: 19, total: 20 },
+      { subject: 'OBG Theory', present: 14, total: 20 }
+    ], rules)
+    expect(posting).toMatchObject({ threshold: 100, required: null, margin: 0 })
+    expect(theory).toMatchObject({ threshold: 75, required: 4 })
+  })
+})
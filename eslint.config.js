@@ -32,6 +32,7 @@ export default [
         Headers: 'readonly',
         URL: 'readonly',
         URLSearchParams: 'readonly',
+        AbortController: 'readonly',
         setTimeout: 'readonly',
         clearTimeout: 'readonly',
         setInterval: 'readonly',
@@ -67,6 +68,17 @@ export default [
       'no-console': ['warn', { allow: ['warn', 'error'] }],
     },
   },
+  {
+    // Service worker runs in ServiceWorkerGlobalScope, not window
+    files: ['frontend/public/sw.js'],
+    languageOptions: {
+      globals: {
+        self: 'readonly',
+        caches: 'readonly',
+        atob: 'readonly',
+      },
+    },
+  },
   {
     ignores: ['node_modules/', 'dist/', 'build/', 'output/', 'frontend/dist/**', '*.log', '.env*'],
   },
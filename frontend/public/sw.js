@@ -0,0 +1,149 @@
+// Service worker for Sbmch Pro
+// - Caches the app shell so the PWA opens offline
+// - Keeps the last successful GET /api/attendance per student and serves it (marked with
+//   X-Served-From-Cache: 1) when the backend can't be reached
+// - Shows Web Push notifications sent by the backend (see backend/src/services/pushService.js)
+//   and focuses the app when one is tapped
+
+const SHELL_CACHE = 'sbmch-shell-v1'
+// Shared with src/hooks/useAttendance.js, which reads it directly when polling gives up
+const ATTENDANCE_CACHE = 'sbmch-attendance-v1'
+const SHELL_URLS = ['/', '/index.html', '/manifest.json', '/favicon.png']
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(
+    caches.open(SHELL_CACHE)
+      .then((cache) => cache.addAll(SHELL_URLS))
+      .catch(() => {})
+      .then(() => self.skipWaiting())
+  )
+})
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil(
+    caches.keys()
+      .then((keys) => Promise.all(
+        keys
+          .filter((key) => key.startsWith('sbmch-shell-') && key !== SHELL_CACHE)
+          .map((key) => caches.delete(key))
+      ))
+      .then(() => self.clients.claim())
+  )
+})
+
+// Student ID from the JWT payload - only used to key the cache, the server still verifies the token
+function studentIdFromRequest(request) {
+  const auth = request.headers.get('Authorization') || ''
+  const token = auth.startsWith('Bearer ') ? auth.slice(7) : ''
+  try {
+    const payload = JSON.parse(atob(token.split('.')[1].replace(/-/g, '+').replace(/_/g, '/')))
+    return payload.student_id || null
+  } catch {
+    return null
+  }
+}
+
+function attendanceCacheKey(studentId) {
+  return `${self.location.origin}/offline/attendance/${encodeURIComponent(studentId)}`
+}
+
+async function handleAttendanceRequest(request) {
+  const studentId = studentIdFromRequest(request)
+  try {
+    const response = await fetch(request)
+    if (studentId && response.status === 200) {
+      const body = await response.clone().json().catch(() => null)
+      if (body && Array.isArray(body.attendance) && body.attendance.length > 0) {
+        const cache = await caches.open(ATTENDANCE_CACHE)
+        await cache.put(attendanceCacheKey(studentId), new Response(JSON.stringify(body), {
+          headers: { 'Content-Type': 'application/json' }
+        }))
+      }
+    }
+    return response
+  } catch (err) {
+    const cached = studentId && await caches.match(attendanceCacheKey(studentId), { cacheName: ATTENDANCE_CACHE })
+    if (!cached) throw err
+    return new Response(await cached.text(), {
+      status: 200,
+      headers: { 'Content-Type': 'application/json', 'X-Served-From-Cache': '1' }
+    })
+  }
+}
+
+// Network first so a deploy is picked up immediately; the cached shell is only for offline
+async function handleNavigation(request) {
+  try {
+    const response = await fetch(request)
+    if (response.ok) {
+      const cache = await caches.open(SHELL_CACHE)
+      await cache.put('/index.html', response.clone())
+    }
+    return response
+  } catch (err) {
+    const cached = await caches.match('/index.html', { cacheName: SHELL_CACHE })
+    if (cached) return cached
+    throw err
+  }
+}
+
+// Vite's hashed build assets never change, so cache-first is safe
+async function handleAsset(request) {
+  const cached = await caches.match(request, { cacheName: SHELL_CACHE })
+  if (cached) return cached
+  const response = await fetch(request)
+  if (response.ok) {
+    const cache = await caches.open(SHELL_CACHE)
+    await cache.put(request, response.clone())
+  }
+  return response
+}
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event
+  if (request.method !== 'GET') return
+  const url = new URL(request.url)
+
+  if (url.pathname.endsWith('/api/attendance')) {
+    event.respondWith(handleAttendanceRequest(request))
+  } else if (request.mode === 'navigate') {
+    event.respondWith(handleNavigation(request))
+  } else if (url.origin === self.location.origin && (url.pathname.startsWith('/assets/') || SHELL_URLS.includes(url.pathname))) {
+    event.respondWith(handleAsset(request))
+  }
+})
+
+self.addEventListener('push', (event) => {
+  let data = {}
+  try {
+    data = event.data ? event.data.json() : {}
+  } catch {
+    data = { body: event.data ? event.data.text() : '' }
+  }
+
+  const title = data.title || 'Sbmch Pro'
+  event.waitUntil(
+    self.registration.showNotification(title, {
+      body: data.body || '',
+      tag: data.tag,
+      // Replace an older notification with the same tag but still alert the user
+      renotify: Boolean(data.tag),
+      icon: '/favicon.png',
+      badge: '/favicon.png',
+      data: { url: data.url || '/' }
+    })
+  )
+})
+
+self.addEventListener('notificationclick', (event) => {
+  event.notification.close()
+  const target = new URL(event.notification.data?.url || '/', self.location.origin).href
+
+  event.waitUntil(
+    self.clients.matchAll({ type: 'window', includeUncontrolled: true }).then((windows) => {
+      const existing = windows.find((w) => w.url.startsWith(self.location.origin))
+      if (existing) return existing.focus()
+      return self.clients.openWindow(target)
+    })
+  )
+})
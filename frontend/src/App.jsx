@@ -1,5 +1,6 @@
 import React, { useEffect, useMemo, useRef, useState } from 'react'
-import useAttendance from './hooks/useAttendance.js'
+import useAttendance, { describeScrapeError } from './hooks/useAttendance.js'
+import usePushNotifications from './hooks/usePushNotifications.js'
 
 // =====================
 // Config & Constants
@@ -11,9 +12,11 @@ const TOKEN_KEY = 'ATT_TOKEN'
 const THEME_KEY = 'ATT_THEME'
 const REMEMBER_KEY = 'ATT_REMEMBER'
 const USER_KEY = 'ATT_USERNAME'
-const PASS_KEY = 'ATT_PASSWORD'
-const FROM_KEY = 'ATT_FROM'
-const TO_KEY = 'ATT_TO'
+// Older versions stored the plaintext password here; it is only read to be removed
+const LEGACY_PASS_KEY = 'ATT_PASSWORD'
+// Login form date range of older versions (the scrape never used it); only read to be removed
+const LEGACY_FROM_KEY = 'ATT_FROM'
+const LEGACY_TO_KEY = 'ATT_TO'
 
 // =====================
 // Helpers
@@ -26,20 +29,20 @@ const formatToday = () => {
   return `${dd}-${mm}-${yyyy}`
 }
 
-// Compute minimal r such that ((present + r) / (total + r)) * 100 >= 75
-function computeRequiredSessions(present, total) {
-  // If already above threshold, none are required
-  if ((total > 0 && (present / total) * 100 >= 75) || (total === 0 && present >= 0)) return 0
-  const r = Math.ceil(3 * total - 4 * present)
-  return Math.max(0, r)
+// What-if helpers for the leave predictor only - real cards use required/margin from the API,
+// which applies the server-side threshold rules. `threshold` comes from the same API row.
+function predictRequiredSessions(present, total, threshold = 75) {
+  if (total === 0 || (present / total) * 100 >= threshold) return 0
+  // Out of reach, like the API's required: null
+  if (threshold >= 100) return null
+  // (present + r) / (total + r) >= t  =>  r >= (t * total - present) / (1 - t)
+  const t = threshold / 100
+  return Math.max(0, Math.ceil((t * total - present) / (1 - t) - 1e-9))
 }
 
-// Compute how many more classes you can miss and still stay >= 75%
-// Formula: max(0, floor(present / 0.75 - total))
-function computeCanMissSessions(present, total) {
+function predictCanMissSessions(present, total, threshold = 75) {
   if (present < 0 || total <= 0) return 0
-  const threshold = 0.75
-  const allowed = Math.floor(present / threshold - total)
+  const allowed = Math.floor(present / (threshold / 100) - total)
   return Math.max(0, allowed)
 }
 
@@ -169,6 +172,483 @@ function ProgressRing({ percent, gradientId }) {
   )
 }
 
+// LMS password prompt for date-wise lookups. Keeps the draft in local state so typing
+// doesn't re-render (and remount) the dashboard on every keystroke.
+function DatewisePasswordForm({ isDarkTheme, disabled, onSubmit }) {
+  const [draft, setDraft] = useState('')
+  return (
+    <form
+      className="mt-3 flex flex-col sm:flex-row gap-2"
+      onSubmit={(e) => {
+        e.preventDefault()
+        if (draft) onSubmit(draft)
+      }}
+    >
+      <input
+        type="password"
+        autoComplete="current-password"
+        value={draft}
+        onChange={(e) => setDraft(e.target.value)}
+        placeholder="LMS password"
+        className={classNames(
+          'flex-1 rounded-lg p-2.5 focus:outline-none focus:ring-2 focus:ring-[var(--accent-1)] transition-all',
+          isDarkTheme
+            ? 'bg-white/10 border border-white/20 text-white placeholder:text-white/40'
+            : 'bg-white/90 border border-slate-300 text-slate-900 placeholder:text-slate-500'
+        )}
+      />
+      <button
+        type="submit"
+        disabled={disabled || !draft}
+        className="px-4 py-2.5 rounded-lg text-sm font-medium bg-[var(--accent-1)] text-white disabled:opacity-50 transition-all"
+      >
+        Continue
+      </button>
+    </form>
+  )
+}
+
+// Loading-overlay text for the latest scrape job from GET /api/scrape/status
+const SCRAPE_STAGE_LABELS = {
+  login: 'Signing in to the LMS…',
+  dashboard: 'Reading your dashboard…',
+  attendance: 'Downloading attendance…',
+  saving: 'Saving your attendance…'
+}
+
+function describeScrapeProgress(job) {
+  if (!job) return 'Fetching real attendance...'
+  if (job.status === 'queued' && job.stage === 'retrying') {
+    return 'The LMS did not respond – trying again shortly…'
+  }
+  if (job.status === 'queued') {
+    return job.queuePosition ? `Waiting in line (position ${job.queuePosition})…` : 'Waiting to start…'
+  }
+  if (job.status === 'running') return SCRAPE_STAGE_LABELS[job.stage] || 'Fetching real attendance...'
+  if (job.status === 'succeeded') return 'Almost done…'
+  return 'Fetching real attendance...'
+}
+
+// Pull distance (px, after damping) that triggers a refresh, and the most the indicator stretches
+const PULL_TRIGGER_PX = 70
+const PULL_MAX_PX = 100
+
+// Touch pull-down at the top of the page calls onRefresh; shows scrape progress while refreshing
+function PullToRefresh({ onRefresh, refreshing, progressText, children }) {
+  const [pull, setPull] = useState(0)
+  const startY = useRef(null)
+
+  const handleTouchStart = (e) => {
+    startY.current = window.scrollY <= 0 && !refreshing ? e.touches[0].clientY : null
+  }
+  const handleTouchMove = (e) => {
+    if (startY.current === null) return
+    const distance = e.touches[0].clientY - startY.current
+    setPull(distance > 0 ? Math.min(distance * 0.5, PULL_MAX_PX) : 0)
+  }
+  const handleTouchEnd = () => {
+    if (startY.current !== null && pull >= PULL_TRIGGER_PX) onRefresh()
+    startY.current = null
+    setPull(0)
+  }
+
+  const height = refreshing ? 44 : pull
+  return (
+    <div onTouchStart={handleTouchStart} onTouchMove={handleTouchMove} onTouchEnd={handleTouchEnd}>
+      <div
+        className="flex items-center justify-center gap-2 overflow-hidden text-xs text-white/70 transition-[height] duration-150"
+        style={{ height }}
+        aria-live="polite"
+      >
+        {refreshing ? (
+          <>
+            <span className="animate-spin h-4 w-4 border-2 border-t-transparent border-white/70 rounded-full" />
+            {progressText}
+          </>
+        ) : pull > 0 && (pull >= PULL_TRIGGER_PX ? 'Release to refresh' : 'Pull to refresh')}
+      </div>
+      {children}
+    </div>
+  )
+}
+
+// Dialog for the email address low-attendance alerts are sent to; an empty address turns alerts off
+function AlertEmailDialog({ isDarkTheme, initialEmail, smtpConfigured, saving, onSave, onClose }) {
+  const [draft, setDraft] = useState(initialEmail || '')
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center px-4" role="dialog" aria-modal="true">
+      <div className="absolute inset-0 bg-black/50 backdrop-blur-sm" onClick={onClose} />
+      <form
+        onSubmit={(e) => {
+          e.preventDefault()
+          onSave(draft.trim())
+        }}
+        className={classNames(
+          'relative w-full max-w-md rounded-2xl p-6 shadow-xl',
+          isDarkTheme
+            ? 'bg-white/10 border border-white/10 text-white'
+            : 'bg-white border border-slate-200 text-slate-900'
+        )}
+      >
+        <button
+          type="button"
+          onClick={onClose}
+          className={classNames(
+            'absolute top-3 right-3 text-sm',
+            isDarkTheme ? 'text-white/70 hover:text-white' : 'text-slate-500 hover:text-slate-900'
+          )}
+          aria-label="Close"
+        >
+          ✕
+        </button>
+        <h3 className={classNames('text-lg font-semibold mb-2', isDarkTheme ? 'text-white' : 'text-slate-900')}>
+          Email alerts
+        </h3>
+        <p className={classNames('text-sm mb-4', isDarkTheme ? 'text-white/70' : 'text-slate-600')}>
+          Get an email when a subject drops below its required percentage or you can&apos;t miss any more classes.
+          Leave empty to turn alerts off.
+        </p>
+        {!smtpConfigured && (
+          <p className="text-xs mb-3 text-yellow-300">Email delivery is not set up on this server yet.</p>
+        )}
+        <input
+          type="email"
+          autoComplete="email"
+          value={draft}
+          onChange={(e) => setDraft(e.target.value)}
+          placeholder="you@example.com"
+          className={classNames(
+            'w-full rounded-lg p-2.5 mb-4 focus:outline-none focus:ring-2 focus:ring-[var(--accent-1)]',
+            isDarkTheme
+              ? 'bg-white/10 border border-white/20 text-white placeholder:text-white/40'
+              : 'bg-white border border-slate-300 text-slate-900 placeholder:text-slate-500'
+          )}
+        />
+        <button
+          type="submit"
+          disabled={saving}
+          className="w-full rounded-lg px-4 py-2.5 text-white font-semibold bg-[var(--accent-1)] disabled:opacity-50"
+        >
+          {saving ? 'Saving…' : 'Save'}
+        </button>
+      </form>
+    </div>
+  )
+}
+
+// Dialog for the iCalendar feed of upcoming classes. The server keeps only a hash of the feed
+// token, so the link can be shown right after it is generated but not looked up later.
+function CalendarFeedDialog({ isDarkTheme, feed, busy, onGenerate, onRevoke, onClose }) {
+  const [copied, setCopied] = useState(false)
+  useEffect(() => setCopied(false), [feed.url])
+  const webcalUrl = feed.url ? feed.url.replace(/^https?:/, 'webcal:') : null
+  const copyUrl = async () => {
+    try {
+      await navigator.clipboard.writeText(feed.url)
+      setCopied(true)
+    } catch (err) {
+      console.warn('[App] copy calendar link failed:', err.message)
+    }
+  }
+  const secondaryBtn = classNames(
+    'flex-1 rounded-lg px-4 py-2.5 text-sm font-medium disabled:opacity-50',
+    isDarkTheme ? 'bg-white/10 hover:bg-white/20 text-white' : 'bg-slate-100 hover:bg-slate-200 text-slate-800'
+  )
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center px-4" role="dialog" aria-modal="true">
+      <div className="absolute inset-0 bg-black/50 backdrop-blur-sm" onClick={onClose} />
+      <div
+        className={classNames(
+          'relative w-full max-w-md rounded-2xl p-6 shadow-xl',
+          isDarkTheme
+            ? 'bg-white/10 border border-white/10 text-white'
+            : 'bg-white border border-slate-200 text-slate-900'
+        )}
+      >
+        <button
+          type="button"
+          onClick={onClose}
+          className={classNames(
+            'absolute top-3 right-3 text-sm',
+            isDarkTheme ? 'text-white/70 hover:text-white' : 'text-slate-500 hover:text-slate-900'
+          )}
+          aria-label="Close"
+        >
+          ✕
+        </button>
+        <h3 className={classNames('text-lg font-semibold mb-2', isDarkTheme ? 'text-white' : 'text-slate-900')}>
+          Calendar feed
+        </h3>
+        <p className={classNames('text-sm mb-4', isDarkTheme ? 'text-white/70' : 'text-slate-600')}>
+          Subscribe to your upcoming classes from Google Calendar or your phone&apos;s calendar.
+          Anyone with the link can see your timetable, so keep it private.
+        </p>
+        {feed.url ? (
+          <>
+            <input
+              type="text"
+              readOnly
+              value={feed.url}
+              onFocus={(e) => e.target.select()}
+              className={classNames(
+                'w-full rounded-lg p-2.5 mb-3 text-xs font-mono focus:outline-none focus:ring-2 focus:ring-[var(--accent-1)]',
+                isDarkTheme ? 'bg-white/10 border border-white/20 text-white' : 'bg-white border border-slate-300 text-slate-900'
+              )}
+            />
+            <div className="flex gap-2 mb-3">
+              <button type="button" onClick={copyUrl} className={secondaryBtn}>
+                {copied ? 'Copied' : 'Copy link'}
+              </button>
+              <a
+                href={webcalUrl}
+                className="flex-1 text-center rounded-lg px-4 py-2.5 text-sm text-white font-semibold bg-[var(--accent-1)]"
+              >
+                Add to calendar
+              </a>
+            </div>
+          </>
+        ) : feed.active ? (
+          <p className={classNames('text-sm mb-3', isDarkTheme ? 'text-white/70' : 'text-slate-600')}>
+            A feed link is active{feed.lastAccessedAt ? `, last used ${new Date(feed.lastAccessedAt).toLocaleString()}` : ''}.
+            Generate a new link to see it again; the old one will stop working.
+          </p>
+        ) : null}
+        <div className="flex gap-2">
+          <button type="button" onClick={onGenerate} disabled={busy} className={secondaryBtn}>
+            {busy ? 'Working…' : feed.active ? 'Generate new link' : 'Create link'}
+          </button>
+          {feed.active && (
+            <button type="button" onClick={onRevoke} disabled={busy} className={secondaryBtn}>
+              Turn off feed
+            </button>
+          )}
+        </div>
+      </div>
+    </div>
+  )
+}
+
+// Periods of one day from the date-wise LMS report with a Present/Absent badge each
+function DatewisePeriodList({ rows }) {
+  return (
+    <ul className="space-y-2">
+      {rows.map((row, i) => {
+        const isPresent = /present/i.test(row.attendance)
+        const isAbsent = /absent/i.test(row.attendance)
+        return (
+          <li
+            key={`${row.subject}-${row.time_from}-${i}`}
+            className={classNames(
+              'rounded-xl p-3 sm:p-4 border flex items-center justify-between gap-3',
+              'border-white/10 bg-white/10 dark:bg-white/5'
+            )}
+          >
+            <div className="min-w-0">
+              <div className="font-semibold text-white/90 break-words">{row.subject}</div>
+              {(row.time_from || row.time_to) && (
+                <div className="text-xs text-white/60 mt-0.5">
+                  {[row.time_from, row.time_to].filter(Boolean).join(' – ')}
+                </div>
+              )}
+            </div>
+            <span className={classNames(
+              'px-2.5 py-1 rounded-full text-xs font-medium border whitespace-nowrap',
+              isPresent
+                ? 'bg-emerald-500/20 text-emerald-300 border-emerald-400/30'
+                : isAbsent
+                  ? 'bg-pink-500/20 text-pink-300 border-pink-400/30'
+                  : 'bg-slate-700/30 text-slate-200 border-white/10'
+            )}>
+              {isPresent ? 'Present' : isAbsent ? 'Absent' : (row.attendance || 'Unknown')}
+            </span>
+          </li>
+        )
+      })}
+    </ul>
+  )
+}
+
+// Calendar date (YYYY-MM-DD) in IST - class times are from an Indian timetable whatever the device timezone
+function istDay(value) {
+  return new Date(value).toLocaleDateString('en-CA', { timeZone: 'Asia/Kolkata' })
+}
+
+// "2h 05m", "12 min", "under a minute"
+function formatCountdown(ms) {
+  const minutes = Math.ceil(ms / 60000)
+  if (minutes <= 1) return 'under a minute'
+  if (minutes < 60) return `${minutes} min`
+  return `${Math.floor(minutes / 60)}h ${String(minutes % 60).padStart(2, '0')}m`
+}
+
+// Today's classes that haven't ended, in start order; classes whose time the server couldn't read go last.
+// Snapshots saved before class times were parsed have no times at all and are shown as they are.
+function remainingClassesToday(classes, now) {
+  const timed = classes.filter(c => c.start_time && c.end_time)
+  if (timed.length === 0) return classes
+  const today = istDay(now)
+  if (!timed.some(c => istDay(c.start_time) === today)) return []
+  return [
+    ...timed
+      .filter(c => istDay(c.start_time) === today && new Date(c.end_time).getTime() > now)
+      .sort((a, b) => new Date(a.start_time) - new Date(b.start_time)),
+    ...classes.filter(c => !c.start_time || !c.end_time)
+  ]
+}
+
+function useNow(intervalMs) {
+  const [now, setNow] = useState(() => Date.now())
+  useEffect(() => {
+    const id = setInterval(() => setNow(Date.now()), intervalMs)
+    return () => clearInterval(id)
+  }, [intervalMs])
+  return now
+}
+
+// Upcoming tab: today's remaining classes with a countdown to the next one (or to the end of the
+// one in progress). Ticks on its own so the rest of the app doesn't re-render every 30 seconds.
+function TodaysClasses({ classes, renderCard }) {
+  const now = useNow(30 * 1000)
+  const remaining = remainingClassesToday(classes, now)
+  const current = remaining.find(c => c.start_time && new Date(c.start_time).getTime() <= now)
+  const next = remaining.find(c => c.start_time && new Date(c.start_time).getTime() > now)
+
+  if (remaining.length === 0) {
+    return (
+      <div className="text-center text-white/70 py-12">
+        <p>{classes.length > 0 ? 'No more classes today.' : 'No upcoming classes scheduled.'}</p>
+      </div>
+    )
+  }
+
+  return (
+    <>
+      {(current || next) && (
+        <div className="mb-3 sm:mb-4 rounded-xl px-4 py-3 border border-white/10 bg-white/10 dark:bg-white/5 text-sm text-white/80" role="status">
+          {current && (
+            <div>
+              <span className="font-semibold text-white/90">Now: {current.title || 'Class'}</span>
+              {' · ends in '}{formatCountdown(new Date(current.end_time).getTime() - now)}
+            </div>
+          )}
+          {next && (
+            <div className={current ? 'mt-1' : undefined}>
+              <span className="font-semibold text-white/90">Next: {next.title || 'Class'}</span>
+              {' in '}{formatCountdown(new Date(next.start_time).getTime() - now)}
+            </div>
+          )}
+        </div>
+      )}
+      <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 gap-3 sm:gap-4">
+        {remaining
+          .filter(u => u && (u.title || u.id || u.time))
+          .map((u, i) => renderCard(u, i))}
+      </div>
+    </>
+  )
+}
+
+// Month grid for the calendar tab. Each day is tinted from red (nothing attended) to green
+// (everything attended); days without a stored record stay blank.
+function MonthHeatmap({ month, days, selectedDate, onSelectDay, isDarkTheme }) {
+  const [year, monthIndex] = month.split('-').map(Number)
+  const byDate = new Map(days.map(d => [d.date, d]))
+  const daysInMonth = new Date(year, monthIndex, 0).getDate()
+  // Monday-first grid: blank cells before the 1st
+  const leading = (new Date(year, monthIndex - 1, 1).getDay() + 6) % 7
+  const cells = [
+    ...Array.from({ length: leading }, () => null),
+    ...Array.from({ length: daysInMonth }, (_, i) => i + 1)
+  ]
+  const pad = n => String(n).padStart(2, '0')
+
+  return (
+    <div>
+      <div className={classNames(
+        'grid grid-cols-7 gap-1 sm:gap-2 mb-1 text-center text-xs font-medium',
+        isDarkTheme ? 'text-white/60' : 'text-slate-600'
+      )}>
+        {['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun'].map(d => <div key={d}>{d}</div>)}
+      </div>
+      <div className="grid grid-cols-7 gap-1 sm:gap-2">
+        {cells.map((dayNumber, i) => {
+          if (!dayNumber) return <div key={`blank-${i}`} />
+          const date = `${pad(dayNumber)}-${pad(monthIndex)}-${year}`
+          const day = byDate.get(date)
+          const hasRatio = day && day.ratio !== null
+          const isSelected = selectedDate === date
+          return (
+            <button
+              key={date}
+              type="button"
+              onClick={() => onSelectDay(date)}
+              disabled={!day}
+              title={day ? (day.total > 0 ? `${day.present}/${day.total} periods attended` : 'No classes marked') : 'Not loaded'}
+              className={classNames(
+                'aspect-square rounded-lg text-xs sm:text-sm font-medium border transition-all',
+                'flex items-center justify-center',
+                isSelected ? 'ring-2 ring-[var(--accent-1)]' : '',
+                day
+                  ? 'border-white/10 text-white'
+                  : isDarkTheme
+                    ? 'border-white/5 text-white/30 bg-white/5'
+                    : 'border-slate-200 text-slate-400 bg-white/40'
+              )}
+              style={hasRatio
+                ? { backgroundColor: `hsla(${Math.round(day.ratio * 120)}, 70%, 45%, 0.75)` }
+                : day ? { backgroundColor: 'rgba(148, 163, 184, 0.35)' } : undefined}
+            >
+              {dayNumber}
+            </button>
+          )
+        })}
+      </div>
+    </div>
+  )
+}
+
+// Attendance trend sparkline - percent over time with a dashed line at the subject's threshold
+function Sparkline({ points, threshold = 75, gradientId }) {
+  const width = 96
+  const height = 40
+  const pad = 3
+  const uniqueId = gradientId || `sparkGrad-${Math.random().toString(36).substr(2, 9)}`
+  const values = points.map(p => Math.min(100, Math.max(0, Number(p.percent) || 0)))
+  // Keep the threshold inside the drawing area so its line is always visible
+  const min = Math.min(...values, threshold) - 2
+  const max = Math.max(...values, threshold) + 2
+  const x = (i) => pad + (i * (width - pad * 2)) / (values.length - 1)
+  const y = (v) => pad + (1 - (v - min) / (max - min)) * (height - pad * 2)
+  const path = values.map((v, i) => `${i === 0 ? 'M' : 'L'}${x(i).toFixed(1)},${y(v).toFixed(1)}`).join(' ')
+  const first = points[0]
+  const last = points[points.length - 1]
+  const title = `${values[0]}% on ${new Date(first.fetchedAt).toLocaleDateString()} → ${values[values.length - 1]}% on ${new Date(last.fetchedAt).toLocaleDateString()}`
+  return (
+    <svg width={width} height={height} viewBox={`0 0 ${width} ${height}`} className="overflow-visible">
+      <title>{title}</title>
+      <defs>
+        <linearGradient id={uniqueId} x1="0%" y1="0%" x2="100%" y2="0%">
+          <stop offset="0%" stopColor="var(--ring-1, var(--accent-1, #22d3ee))" />
+          <stop offset="100%" stopColor="var(--ring-2, var(--accent-2, #6366f1))" />
+        </linearGradient>
+      </defs>
+      <line
+        x1={pad}
+        x2={width - pad}
+        y1={y(threshold)}
+        y2={y(threshold)}
+        stroke="currentColor"
+        strokeWidth={1}
+        strokeDasharray="3 3"
+        className="text-white/25"
+      />
+      <path d={path} fill="none" stroke={`url(#${uniqueId})`} strokeWidth={2.5} strokeLinecap="round" strokeLinejoin="round" />
+      <circle cx={x(values.length - 1)} cy={y(values[values.length - 1])} r={3} fill="var(--ring-2, var(--accent-2, #6366f1))" />
+    </svg>
+  )
+}
+
 // =====================
 // Main Component (default export)
 // =====================
@@ -239,10 +719,15 @@ export default function AttendanceApp() {
     authLoading,
     error,
     isFallback,
+    cachedAsOf,
+    scrapeStatus,
+    refreshing,
     login,
     fetchAttendance,
+    refreshNow,
     logout,
     upcomingClasses,
+    history,
     clearError
   } = useAttendance()
 
@@ -281,6 +766,195 @@ export default function AttendanceApp() {
     }
   }, [selectedDate, activeTab])
 
+  // Authenticated JSON request against the API. Resolves to { resp, data }, or null without a session.
+  const authorizedFetch = async (path, options = {}) => {
+    const apiBase = getApiBaseUrl()
+    let storedToken = ''
+    try {
+      storedToken = (localStorage.getItem(TOKEN_KEY) || '').trim()
+    } catch (e) {
+      console.warn('[App] localStorage unavailable for token:', e.message)
+    }
+    if (!apiBase || !storedToken) return null
+
+    const resp = await fetch(`${apiBase}${path}`, {
+      ...options,
+      headers: {
+        'Content-Type': 'application/json',
+        ...(options.headers || {}),
+        Authorization: `Bearer ${storedToken}`
+      }
+    })
+    const data = await resp.json().catch(() => ({}))
+    return { resp, data }
+  }
+
+  const push = usePushNotifications(authorizedFetch)
+
+  // Message for a failed date-wise scrape. A 401 from requireAuth ({ error: 'unauthorized' }) means the
+  // session is gone and logs out; any other 401 is the LMS rejecting the password. Returns null after logout.
+  const describeDatewiseFailure = (status, data) => {
+    if (status === 400 && data?.error === 'password_required') {
+      return 'Enter your LMS password to fetch attendance from the LMS.'
+    }
+    if (status === 401) {
+      if (data?.error === 'unauthorized') {
+        handleLogout()
+        return null
+      }
+      setDatewisePassword('')
+      return 'The LMS rejected your password. Please enter it again.'
+    }
+    if (status === 504) {
+      return 'The LMS took too long to respond. Please try again in a moment.'
+    }
+    if (status === 503) {
+      return 'The LMS is not responding right now. Please try again in a few minutes.'
+    }
+    if (status === 502) {
+      return 'The LMS returned a page we could not read. Please try again later.'
+    }
+    return data?.message || data?.error || `Failed to fetch attendance (${status})`
+  }
+
+  // Fetch per-period attendance for selectedDate. Sends the password typed for this tab or at login
+  // when we have one; otherwise the server uses the credential vault and asks for it if that's empty.
+  // Days fetched before come back from the server's store; refresh re-scrapes the LMS.
+  const fetchDatewise = async (passwordOverride, { refresh = false } = {}) => {
+    const lmsPassword = passwordOverride || datewisePassword || password || undefined
+    if (passwordOverride) setDatewisePassword(passwordOverride)
+
+    setDatewiseLoading(true)
+    setDatewiseError('')
+    setDatewiseData(null)
+    try {
+      const result = await authorizedFetch('/api/attendance/datewise', {
+        method: 'POST',
+        body: JSON.stringify({ date: selectedDate, password: lmsPassword, refresh })
+      })
+      if (!result) {
+        setDatewiseError('Unable to reach the server. Please sign in again.')
+        return
+      }
+      const { resp, data } = result
+
+      if (!resp.ok) {
+        const message = describeDatewiseFailure(resp.status, data)
+        if (message) setDatewiseError(message)
+        if (resp.status === 401 || data?.error === 'password_required') setShowPasswordInput(true)
+        return
+      }
+
+      setShowPasswordInput(false)
+      setDatewiseData(data)
+    } catch (err) {
+      console.warn('[datewise] fetch error:', err.message)
+      setDatewiseError('Network error. Check your connection and try again.')
+    } finally {
+      setDatewiseLoading(false)
+    }
+  }
+
+  // Calendar tab state - month is YYYY-MM
+  const [calendarMonth, setCalendarMonth] = useState(() => {
+    const now = new Date()
+    return `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, '0')}`
+  })
+  const [calendarData, setCalendarData] = useState(null)
+  const [calendarLoading, setCalendarLoading] = useState(false)
+  const [calendarError, setCalendarError] = useState('')
+  const [calendarDay, setCalendarDay] = useState(null) // DD-MM-YYYY of the tapped day
+  const [calendarSync, setCalendarSync] = useState(null) // { done, total } while missing days are fetched
+  const [showCalendarPasswordInput, setShowCalendarPasswordInput] = useState(false)
+
+  const loadCalendar = async (month) => {
+    setCalendarLoading(true)
+    setCalendarError('')
+    try {
+      const result = await authorizedFetch(`/api/attendance/calendar?month=${month}`)
+      if (!result) {
+        setCalendarError('Unable to reach the server. Please sign in again.')
+        return
+      }
+      const { resp, data } = result
+      if (resp.status === 401) {
+        handleLogout()
+        return
+      }
+      if (!resp.ok) {
+        setCalendarError(data?.error || `Failed to load calendar (${resp.status})`)
+        return
+      }
+      setCalendarData(data)
+    } catch (err) {
+      console.warn('[calendar] fetch error:', err.message)
+      setCalendarError('Network error. Check your connection and try again.')
+    } finally {
+      setCalendarLoading(false)
+    }
+  }
+
+  useEffect(() => {
+    if (activeTab === 'calendar') {
+      setCalendarDay(null)
+      loadCalendar(calendarMonth)
+    }
+  }, [activeTab, calendarMonth])
+
+  const shiftCalendarMonth = (delta) => {
+    const [year, month] = calendarMonth.split('-').map(Number)
+    const next = new Date(year, month - 1 + delta, 1)
+    setCalendarMonth(`${next.getFullYear()}-${String(next.getMonth() + 1).padStart(2, '0')}`)
+  }
+
+  // Pull the month's missing days from the LMS over one session (POST /datewise/range),
+  // polling the background job for long ranges, then reload the calendar.
+  const syncCalendarMonth = async (passwordOverride) => {
+    const missing = calendarData?.missingDates || []
+    if (missing.length === 0) return
+    const lmsPassword = passwordOverride || datewisePassword || password || undefined
+    if (passwordOverride) setDatewisePassword(passwordOverride)
+
+    setCalendarError('')
+    setCalendarSync({ done: 0, total: missing.length })
+    try {
+      let result = await authorizedFetch('/api/attendance/datewise/range', {
+        method: 'POST',
+        body: JSON.stringify({ from: missing[0], to: missing[missing.length - 1], password: lmsPassword })
+      })
+      while (result && result.resp.ok && result.data.status === 'running') {
+        setCalendarSync(result.data.progress)
+        await new Promise(r => setTimeout(r, 3000))
+        result = await authorizedFetch(result.data.pollUrl)
+      }
+      if (!result) {
+        setCalendarError('Unable to reach the server. Please sign in again.')
+        return
+      }
+
+      const { resp, data } = result
+      const failedStatus = !resp.ok ? resp.status : (data.status === 'failed' ? data.statusCode : null)
+      if (failedStatus) {
+        // A failed background job only carries the message, so rebuild the route's error body for it
+        const failure = resp.ok
+          ? { error: failedStatus === 400 ? 'password_required' : undefined, message: data.error }
+          : data
+        const message = describeDatewiseFailure(failedStatus, failure)
+        if (message) setCalendarError(message)
+        if (failedStatus === 401 || failure?.error === 'password_required') setShowCalendarPasswordInput(true)
+        return
+      }
+
+      setShowCalendarPasswordInput(false)
+      await loadCalendar(calendarMonth)
+    } catch (err) {
+      console.warn('[calendar] sync error:', err.message)
+      setCalendarError('Network error. Check your connection and try again.')
+    } finally {
+      setCalendarSync(null)
+    }
+  }
+
   // Auth form with error handling for localStorage
   const savedRemember = (() => {
     try {
@@ -298,27 +972,11 @@ export default function AttendanceApp() {
       return ''
     }
   })
-  const [password, setPassword] = useState(() => {
-    if (!savedRemember) return ''
-    try {
-      return localStorage.getItem(PASS_KEY) || ''
-    } catch (e) {
-      return ''
-    }
-  })
+  // The password is never persisted in the browser - "remember me" stores it in the server's credential vault
+  const [password, setPassword] = useState('')
   const [showPassword, setShowPassword] = useState(false)
-  const [fromDate, setFromDate] = useState(() => {
-    if (!savedRemember) return '08-10-2025'
-    try {
-      return localStorage.getItem(FROM_KEY) || '08-10-2025'
-    } catch (e) {
-      return '08-10-2025'
-    }
-  })
-  const [toDate, setToDate] = useState(() => formatToday())
   const [toast, setToast] = useState({ type: 'info', message: '' })
   const [showBackendModal, setShowBackendModal] = useState(false)
-  const [showComingSoonModal, setShowComingSoonModal] = useState(false)
   // Helper to get API base URL
   const getApiBaseUrl = () => {
     const reactApi = typeof process !== 'undefined' && process.env ? process.env.REACT_APP_API_URL : undefined
@@ -486,12 +1144,19 @@ export default function AttendanceApp() {
           setAnimateKey((k) => k + 1)
           if (result?.fallbackUsed) {
             setToast(prev => {
-              const newToast = { type: 'info', message: 'Demo data loaded (backend offline).' }
+              const newToast = { type: 'info', message: 'You are offline. Showing your last saved attendance.' }
               // Only update if different
               if (prev.type === newToast.type && prev.message === newToast.message) return prev
               return newToast
             })
           }
+        } else if (result?.failed) {
+          setToast({
+            type: 'error',
+            message: result.scrapeError
+              ? describeScrapeError(result.scrapeError)
+              : 'Could not load attendance. Check your connection and try again.'
+          })
         }
         console.log('[dashboard] fetchAttendance:done')
       } finally {
@@ -503,7 +1168,7 @@ export default function AttendanceApp() {
   // Prevent fetchAttendance from running on payment page
   useEffect(() => {
     if (view === 'pay') {
-      // Don't fetch attendance on payment page - it causes fallback to demo data
+      // Don't fetch attendance on payment page - it causes fallback to cached data
       isFetching.current = false
     }
   }, [view])
@@ -535,21 +1200,19 @@ export default function AttendanceApp() {
     e.preventDefault()
     console.log('[handleLogin] submitted')
     clearError() // Clear any previous errors before attempting login
-    const result = await login({ username, password, fromDate, toDate })
-    // Persist credentials based on Remember Me
+    const result = await login({ username, password, remember: rememberMe })
+    // Persist form fields based on Remember Me (the password itself goes to the server vault)
     try {
+      // Drop plaintext passwords and the unused login date range saved by older versions
+      localStorage.removeItem(LEGACY_PASS_KEY)
+      localStorage.removeItem(LEGACY_FROM_KEY)
+      localStorage.removeItem(LEGACY_TO_KEY)
       if (rememberMe) {
         localStorage.setItem(REMEMBER_KEY, '1')
         localStorage.setItem(USER_KEY, username)
-        localStorage.setItem(PASS_KEY, password)
-        localStorage.setItem(FROM_KEY, fromDate)
-        localStorage.setItem(TO_KEY, toDate)
       } else {
         localStorage.removeItem(REMEMBER_KEY)
         localStorage.removeItem(USER_KEY)
-        localStorage.removeItem(PASS_KEY)
-        localStorage.removeItem(FROM_KEY)
-        localStorage.removeItem(TO_KEY)
       }
     } catch (e) {
       console.warn('[App] Could not save/remove remember me data:', e.message)
@@ -591,13 +1254,192 @@ export default function AttendanceApp() {
     }
   }
 
-  const handleLogout = () => {
+  const handleLogout = async () => {
+    // While the session token is still there to authorise the DELETE
+    await push.unsubscribeOnLogout()
     logout()
     setView('login')
     didFetchOnce.current = false
     setToast({ type: 'info', message: 'You have been logged out.' })
   }
 
+  // Revoke the LMS password stored in the server's credential vault
+  const handleForgetPassword = async () => {
+    try {
+      const result = await authorizedFetch('/api/credentials', { method: 'DELETE' })
+      if (!result || !result.resp.ok) {
+        setToast({ type: 'error', message: 'Could not remove the saved password. Please try again.' })
+        return
+      }
+      setDatewisePassword('')
+      setToast({
+        type: 'success',
+        message: result.data.revoked ? 'Saved password removed.' : 'No saved password to remove.'
+      })
+    } catch (err) {
+      console.warn('[App] forget password failed:', err.message)
+      setToast({ type: 'error', message: 'Network error. Check your connection and try again.' })
+    }
+  }
+
+  // Opt in or out of the server's scheduled background refresh (needs a saved password to run)
+  const handleToggleAutoRefresh = async () => {
+    try {
+      const current = await authorizedFetch('/api/credentials')
+      if (!current || !current.resp.ok) {
+        setToast({ type: 'error', message: 'Could not read background refresh settings. Please try again.' })
+        return
+      }
+      const enabled = !current.data.autoRefresh?.enabled
+      const result = await authorizedFetch('/api/credentials/auto-refresh', {
+        method: 'PUT',
+        body: JSON.stringify({ enabled })
+      })
+      if (!result || !result.resp.ok) {
+        setToast({ type: 'error', message: 'Could not update background refresh. Please try again.' })
+        return
+      }
+      let message = 'Background refresh turned off.'
+      if (enabled) {
+        message = current.data.stored
+          ? 'Background refresh turned on. Your attendance will be updated periodically.'
+          : 'Background refresh turned on. It starts once you log in with "Remember me" ticked.'
+      }
+      setToast({ type: 'success', message })
+    } catch (err) {
+      console.warn('[App] auto-refresh toggle failed:', err.message)
+      setToast({ type: 'error', message: 'Network error. Check your connection and try again.' })
+    }
+  }
+
+  const handleTogglePush = async () => {
+    const result = push.subscribed ? await push.disable() : await push.enable()
+    if (result.ok) {
+      setToast({
+        type: 'success',
+        message: push.subscribed ? 'Push notifications turned off.' : 'Push notifications turned on for this device.'
+      })
+      return
+    }
+    const messages = {
+      unsupported: 'This browser does not support push notifications.',
+      denied: 'Notifications are blocked. Allow them in your browser settings.',
+      not_configured: 'Push notifications are not set up on this server yet.'
+    }
+    setToast({ type: 'error', message: messages[result.reason] || 'Could not update push notifications. Please try again.' })
+  }
+
+  // Manual re-scrape from the dashboard (pull-to-refresh or the header button)
+  const handleRefreshNow = async () => {
+    const result = await refreshNow()
+    if (result.unauthorized) {
+      setToast({ type: 'error', message: 'Session expired. Please login again.' })
+      handleLogout()
+      return
+    }
+    if (result.ok) {
+      setToast({ type: 'success', message: 'Attendance updated.' })
+      return
+    }
+    if (result.error === 'already_refreshing') return
+    if (result.error === 'refresh_cooldown') {
+      const minutes = Math.max(1, Math.ceil((result.retryAfter || 60) / 60))
+      setToast({ type: 'info', message: `Attendance was refreshed recently. Try again in ${minutes} min.` })
+      return
+    }
+    const messages = {
+      credentials_required: 'Tick \u201cRemember me\u201d when signing in to refresh without logging in again.',
+      scrape_failed: describeScrapeError(result.scrapeError),
+      timeout: 'The refresh is taking longer than usual. Your attendance will update when it finishes.',
+      offline: 'You are offline. Showing your last saved attendance.'
+    }
+    setToast({ type: 'error', message: messages[result.error] || 'Could not refresh attendance. Please try again.' })
+  }
+
+  // Low-attendance email alerts: null while the dialog is closed
+  const [alertSettings, setAlertSettings] = useState(null)
+  const [alertSaving, setAlertSaving] = useState(false)
+
+  const handleEmailAlerts = async () => {
+    try {
+      const result = await authorizedFetch('/api/notifications/email')
+      if (!result || !result.resp.ok) {
+        setToast({ type: 'error', message: 'Could not load alert settings. Please try again.' })
+        return
+      }
+      setAlertSettings(result.data)
+    } catch (err) {
+      console.warn('[App] load alert settings failed:', err.message)
+      setToast({ type: 'error', message: 'Network error. Check your connection and try again.' })
+    }
+  }
+
+  const saveAlertEmail = async (email) => {
+    setAlertSaving(true)
+    try {
+      const result = await authorizedFetch('/api/notifications/email', {
+        method: 'PUT',
+        body: JSON.stringify({ email })
+      })
+      if (!result) return
+      if (!result.resp.ok) {
+        setToast({ type: 'error', message: result.data?.errors?.[0]?.msg || 'Could not save alert settings.' })
+        return
+      }
+      setAlertSettings(null)
+      setToast({
+        type: 'success',
+        message: result.data.enabled ? `Alerts will be sent to ${result.data.email}.` : 'Email alerts turned off.'
+      })
+    } catch (err) {
+      console.warn('[App] save alert email failed:', err.message)
+      setToast({ type: 'error', message: 'Network error. Check your connection and try again.' })
+    } finally {
+      setAlertSaving(false)
+    }
+  }
+
+  // Calendar feed of upcoming classes: null while the dialog is closed
+  const [calendarFeed, setCalendarFeed] = useState(null)
+  const [calendarFeedBusy, setCalendarFeedBusy] = useState(false)
+
+  const handleCalendarFeed = async () => {
+    try {
+      const result = await authorizedFetch('/api/calendar/feed')
+      if (!result || !result.resp.ok) {
+        setToast({ type: 'error', message: 'Could not load calendar feed settings. Please try again.' })
+        return
+      }
+      setCalendarFeed(result.data)
+    } catch (err) {
+      console.warn('[App] load calendar feed failed:', err.message)
+      setToast({ type: 'error', message: 'Network error. Check your connection and try again.' })
+    }
+  }
+
+  const updateCalendarFeed = async (method) => {
+    setCalendarFeedBusy(true)
+    try {
+      const result = await authorizedFetch('/api/calendar/feed', { method })
+      if (!result) return
+      if (!result.resp.ok) {
+        setToast({ type: 'error', message: 'Could not update the calendar feed. Please try again.' })
+        return
+      }
+      if (method === 'POST') {
+        setCalendarFeed(result.data)
+      } else {
+        setCalendarFeed({ active: false, createdAt: null, lastAccessedAt: null })
+        setToast({ type: 'success', message: 'Calendar feed turned off. Subscribed calendars will stop updating.' })
+      }
+    } catch (err) {
+      console.warn('[App] update calendar feed failed:', err.message)
+      setToast({ type: 'error', message: 'Network error. Check your connection and try again.' })
+    } finally {
+      setCalendarFeedBusy(false)
+    }
+  }
+
   const ThemeSelect = () => {
     const [open, setOpen] = useState(false)
     const btnRef = useRef(null)
@@ -768,7 +1610,7 @@ export default function AttendanceApp() {
   })
 
   // User Avatar Menu Component with Dropdown - Shows only circle, name and date appear in dropdown
-  const UserAvatarMenu = React.memo(({ studentName, typedDate, handleLogout, isDarkTheme }) => {
+  const UserAvatarMenu = React.memo(({ studentName, typedDate, handleLogout, handleForgetPassword, handleEmailAlerts, handleCalendarFeed, handleToggleAutoRefresh, pushSupported, pushSubscribed, handleTogglePush, isDarkTheme }) => {
     const [open, setOpen] = useState(false)
     const menuRef = useRef(null)
     const btnRef = useRef(null)
@@ -847,6 +1689,103 @@ export default function AttendanceApp() {
               </p>
             </div>
             <div className="p-1">
+              <button
+                type="button"
+                onClick={() => {
+                  handleEmailAlerts()
+                  setOpen(false)
+                }}
+                className={classNames(
+                  'w-full text-left px-3 py-2 rounded-md text-sm',
+                  'transition-colors flex items-center gap-2',
+                  isDarkTheme
+                    ? 'text-white/80 hover:bg-white/10'
+                    : 'text-slate-700 hover:bg-slate-100'
+                )}
+              >
+                <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                  <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M15 17h5l-1.405-1.405A2.032 2.032 0 0118 14.158V11a6.002 6.002 0 00-4-5.659V5a2 2 0 10-4 0v.341C7.67 6.165 6 8.388 6 11v3.159c0 .538-.214 1.055-.595 1.436L4 17h5m6 0v1a3 3 0 11-6 0v-1m6 0H9" />
+                </svg>
+                Email alerts
+              </button>
+              <button
+                type="button"
+                onClick={() => {
+                  handleCalendarFeed()
+                  setOpen(false)
+                }}
+                className={classNames(
+                  'w-full text-left px-3 py-2 rounded-md text-sm',
+                  'transition-colors flex items-center gap-2',
+                  isDarkTheme
+                    ? 'text-white/80 hover:bg-white/10'
+                    : 'text-slate-700 hover:bg-slate-100'
+                )}
+              >
+                <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                  <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M8 7V3m8 4V3m-9 8h10M5 21h14a2 2 0 002-2V7a2 2 0 00-2-2H5a2 2 0 00-2 2v12a2 2 0 002 2z" />
+                </svg>
+                Calendar feed
+              </button>
+              <button
+                type="button"
+                onClick={() => {
+                  handleToggleAutoRefresh()
+                  setOpen(false)
+                }}
+                className={classNames(
+                  'w-full text-left px-3 py-2 rounded-md text-sm',
+                  'transition-colors flex items-center gap-2',
+                  isDarkTheme
+                    ? 'text-white/80 hover:bg-white/10'
+                    : 'text-slate-700 hover:bg-slate-100'
+                )}
+              >
+                <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                  <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M4 4v5h.582m15.356 2A8.001 8.001 0 004.582 9m0 0H9m11 11v-5h-.581m0 0a8.003 8.003 0 01-15.357-2m15.357 2H15" />
+                </svg>
+                Background refresh
+              </button>
+              {pushSupported && (
+                <button
+                  type="button"
+                  onClick={() => {
+                    handleTogglePush()
+                    setOpen(false)
+                  }}
+                  className={classNames(
+                    'w-full text-left px-3 py-2 rounded-md text-sm',
+                    'transition-colors flex items-center gap-2',
+                    isDarkTheme
+                      ? 'text-white/80 hover:bg-white/10'
+                      : 'text-slate-700 hover:bg-slate-100'
+                  )}
+                >
+                  <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                    <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 18h.01M8 21h8a2 2 0 002-2V5a2 2 0 00-2-2H8a2 2 0 00-2 2v14a2 2 0 002 2z" />
+                  </svg>
+                  {pushSubscribed ? 'Turn off push notifications' : 'Turn on push notifications'}
+                </button>
+              )}
+              <button
+                type="button"
+                onClick={() => {
+                  handleForgetPassword()
+                  setOpen(false)
+                }}
+                className={classNames(
+                  'w-full text-left px-3 py-2 rounded-md text-sm',
+                  'transition-colors flex items-center gap-2',
+                  isDarkTheme
+                    ? 'text-white/80 hover:bg-white/10'
+                    : 'text-slate-700 hover:bg-slate-100'
+                )}
+              >
+                <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                  <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M15 7a2 2 0 012 2m4 0a6 6 0 01-7.743 5.743L11 17H9v2H7v2H4a1 1 0 01-1-1v-2.586a1 1 0 01.293-.707l5.964-5.964A6 6 0 1121 9z" />
+                </svg>
+                Forget saved password
+              </button>
               <button
                 type="button"
                 onClick={() => {
@@ -874,7 +1813,7 @@ export default function AttendanceApp() {
   })
 
   // Bottom Navigation Bar Component
-  const BottomNavBar = React.memo(({ activeTab, setActiveTab, theme, isDarkTheme, onComingSoonClick }) => {
+  const BottomNavBar = React.memo(({ activeTab, setActiveTab, theme, isDarkTheme }) => {
     const getAccentColor = () => {
       if (theme === 'cool-down-buddy') return '#22d3ee' // cyan
       if (theme === 'midnight-drift') return '#8b5cf6' // purple
@@ -912,14 +1851,13 @@ export default function AttendanceApp() {
         )
       },
       {
-        id: 'coming-soon',
-        label: 'Coming Soon',
+        id: 'calendar',
+        label: 'Calendar',
         icon: (
           <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M13 10V3L4 14h7v7l9-11h-7z" />
+            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M4 5a1 1 0 011-1h4a1 1 0 011 1v4a1 1 0 01-1 1H5a1 1 0 01-1-1V5zm10 0a1 1 0 011-1h4a1 1 0 011 1v4a1 1 0 01-1 1h-4a1 1 0 01-1-1V5zM4 15a1 1 0 011-1h4a1 1 0 011 1v4a1 1 0 01-1 1H5a1 1 0 01-1-1v-4zm10 0a1 1 0 011-1h4a1 1 0 011 1v4a1 1 0 01-1 1h-4a1 1 0 01-1-1v-4z" />
           </svg>
-        ),
-        isSpecial: true
+        )
       }
     ]
     
@@ -938,34 +1876,23 @@ export default function AttendanceApp() {
         <div className="max-w-6xl mx-auto px-2 sm:px-6">
           <div className="flex items-center justify-around sm:justify-center sm:gap-8 py-2 sm:py-3">
             {navItems.map((item) => {
-              const isActive = activeTab === item.id && !item.isSpecial
-              const isComingSoon = item.id === 'coming-soon'
+              const isActive = activeTab === item.id
               
               return (
                 <button
                   key={item.id}
-                  onClick={() => {
-                    if (isComingSoon && onComingSoonClick) {
-                      onComingSoonClick()
-                    } else if (!isComingSoon) {
-                      setActiveTab(item.id)
-                    }
-                  }}
+                  onClick={() => setActiveTab(item.id)}
                   className={classNames(
                     'flex flex-col items-center justify-center gap-1',
                     'px-4 sm:px-6 py-2 rounded-xl transition-all duration-200',
                     'min-w-[70px] sm:min-w-[100px]',
-                    isComingSoon
+                    isActive
                       ? isDarkTheme
-                        ? 'text-white/70 hover:text-white/90 hover:bg-white/5'
-                        : 'text-slate-500 hover:text-slate-700 hover:bg-slate-50'
-                      : isActive
-                        ? isDarkTheme
-                          ? 'bg-white/10 text-white'
-                          : 'bg-slate-100 text-slate-900'
-                        : isDarkTheme
-                          ? 'text-white/60 hover:text-white/80 hover:bg-white/5'
-                          : 'text-slate-600 hover:text-slate-900 hover:bg-slate-50'
+                        ? 'bg-white/10 text-white'
+                        : 'bg-slate-100 text-slate-900'
+                      : isDarkTheme
+                        ? 'text-white/60 hover:text-white/80 hover:bg-white/5'
+                        : 'text-slate-600 hover:text-slate-900 hover:bg-slate-50'
                   )}
                   style={isActive ? {
                     color: isActive ? accentColor : undefined,
@@ -989,11 +1916,6 @@ export default function AttendanceApp() {
                         style={{ backgroundColor: accentColor }}
                       />
                     )}
-                    {isComingSoon && (
-                      <div 
-                        className="absolute -top-1 -right-1 w-2 h-2 rounded-full bg-gradient-to-r from-cyan-400 to-indigo-500 animate-pulse"
-                      />
-                    )}
                   </div>
                   <span className={classNames(
                     'text-xs font-medium transition-all',
@@ -1072,17 +1994,20 @@ export default function AttendanceApp() {
   )
 
   // Subject card - Optimized for small screens with null checks
-  const SubjectCard = React.memo(function SubjectCard({ item, idx, real = true, theme, isPredicted = false }) {
+  const SubjectCard = React.memo(function SubjectCard({ item, idx, real = true, theme, isPredicted = false, trend = [] }) {
     // Early return if item is null or missing subject
     if (!item || !item.subject) return null
     
     const present = item.present ?? 0
     const total = item.total ?? (item.present ?? 0) + (item.absent ?? 0)
     const percent = item.percent ?? (total > 0 ? (present / total) * 100 : 0)
-    const required = item.required ?? computeRequiredSessions(present, total)
-    const isLow = percent < 75
-    const canMiss = computeCanMissSessions(present, total)
-    const marginText = isLow ? `Required: ${required}` : `Margin: ${canMiss}`
+    const threshold = item.threshold ?? 75
+    const required = item.required ?? 0
+    const isLow = percent < threshold
+    // The API sends required: null when no number of classes reaches the threshold
+    const unreachable = isLow && item.required === null
+    const canMiss = item.margin ?? 0
+    const marginText = unreachable ? `Can't reach ${threshold}%` : isLow ? `Required: ${required}` : `Margin: ${canMiss}`
     const pctAnim = useAnimatedNumber(percent, 900)
     const isDarkTheme = ['cool-down-buddy', 'midnight-drift'].includes(theme)
     const ringColors = isLow
@@ -1131,7 +2056,9 @@ export default function AttendanceApp() {
                 'text-xs sm:text-sm font-medium',
                 isLow ? 'text-red-400' : 'text-white/70'
               )}
-              title={isLow ? `Need ${required} more present sessions to reach 75%.` : 'At or above 75%'}
+              title={unreachable
+                ? `Attending more sessions can no longer bring this back to ${threshold}%.`
+                : isLow ? `Need ${required} more present sessions to reach ${threshold}%.` : `At or above ${threshold}%`}
             >
               {marginText}
             </div>
@@ -1148,7 +2075,12 @@ export default function AttendanceApp() {
             <span className="text-xs text-white/60">attendance</span>
           </div>
           <div className="flex-shrink-0" style={{ '--ring-1': ringColors[0], '--ring-2': ringColors[1] }}>
-            <ProgressRing percent={percent} gradientId={`ring-${idx}-${(item.subject || '').replace(/\s+/g, '-')}`} />
+            {/* A trend needs at least two days of history; predictions have no history of their own */}
+            {!isPredicted && trend.length >= 2 ? (
+              <Sparkline points={trend} threshold={threshold} gradientId={`spark-${idx}-${(item.subject || '').replace(/\s+/g, '-')}`} />
+            ) : (
+              <ProgressRing percent={percent} gradientId={`ring-${idx}-${(item.subject || '').replace(/\s+/g, '-')}`} />
+            )}
           </div>
         </div>
       </div>
@@ -2141,6 +3073,20 @@ export default function AttendanceApp() {
           <div className="relative">
             <ThemeSelect />
           </div>
+          <button
+            type="button"
+            onClick={handleRefreshNow}
+            disabled={refreshing}
+            aria-label="Refresh attendance"
+            title="Refresh attendance"
+            className={classNames(
+              'h-9 w-9 rounded-full flex items-center justify-center text-lg transition-colors',
+              isDarkTheme ? 'bg-white/10 text-white/80 hover:bg-white/20' : 'bg-white/30 text-slate-800 hover:bg-white/40',
+              refreshing && 'opacity-60 cursor-not-allowed'
+            )}
+          >
+            <span className={refreshing ? 'animate-spin' : undefined}>↻</span>
+          </button>
         </div>
         {/* Right: User avatar with dropdown - always on right */}
         <div className="flex-shrink-0 ml-auto">
@@ -2148,33 +3094,33 @@ export default function AttendanceApp() {
             studentName={studentName} 
             typedDate={typedDate}
             handleLogout={handleLogout} 
+            handleForgetPassword={handleForgetPassword}
+            handleEmailAlerts={handleEmailAlerts}
+            handleCalendarFeed={handleCalendarFeed}
+            handleToggleAutoRefresh={handleToggleAutoRefresh}
+            pushSupported={push.supported}
+            pushSubscribed={push.subscribed}
+            handleTogglePush={handleTogglePush}
             isDarkTheme={isDarkTheme} 
           />
         </div>
       </div>
       {isFallback && (
-        <div className="mb-4 rounded-lg border border-yellow-400/30 bg-yellow-500/10 text-yellow-200 px-3 py-2 text-sm">
-          Demo Data (Backend offline)
+        <div className="mb-4 rounded-lg border border-yellow-400/30 bg-yellow-500/10 text-yellow-200 px-3 py-2 text-sm" role="status">
+          Offline – showing your attendance as of {cachedAsOf ? new Date(cachedAsOf).toLocaleString() : 'your last visit'}
         </div>
       )}
       
       {/* Tab Content */}
       {activeTab === 'upcoming' && (
         <div className="mb-20 sm:mb-6 pb-6 sm:pb-0">
-          <h3 className="text-lg font-semibold text-white/90 mb-3 px-1">Upcoming Classes</h3>
-          {memoizedUpcomingClasses.length > 0 ? (
-            <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 gap-3 sm:gap-4">
-              {memoizedUpcomingClasses
-                .filter(u => u && (u.title || u.id || u.time))
-                .map((u, i) => (
-                  <UpcomingCard key={`${u.title || u.id || u.time || ''}-${i}`} item={u} idx={i} />
-                ))}
-            </div>
-          ) : (
-            <div className="text-center text-white/70 py-12">
-              <p>No upcoming classes scheduled.</p>
-            </div>
-          )}
+          <h3 className="text-lg font-semibold text-white/90 mb-3 px-1">Today&apos;s Classes</h3>
+          <TodaysClasses
+            classes={memoizedUpcomingClasses}
+            renderCard={(u, i) => (
+              <UpcomingCard key={`${u.title || u.id || u.time || ''}-${i}`} item={u} idx={i} />
+            )}
+          />
         </div>
       )}
       
@@ -2233,8 +3179,8 @@ export default function AttendanceApp() {
                         const newTotal = item.total + leave
                         const newAbsent = (item.absent || 0) + leave
                         const newPercent = newTotal > 0 ? ((newPresent / newTotal) * 100) : 0
-                        const newRequired = computeRequiredSessions(newPresent, newTotal)
-                        const newMargin = +(newPercent - 75).toFixed(2)
+                        const newRequired = predictRequiredSessions(newPresent, newTotal, item.threshold)
+                        const newMargin = predictCanMissSessions(newPresent, newTotal, item.threshold)
                         return {
                           ...item,
                           present: newPresent,
@@ -2371,6 +3317,7 @@ export default function AttendanceApp() {
                   real={!isFallback} 
                   theme={theme}
                   isPredicted={item.isPredicted}
+                  trend={history[item.subject]}
                 />
               ))}
             {!loading && (predictedAttendance || memoizedAttendance).filter(item => item && item.subject).length === 0 && (
@@ -2384,50 +3331,204 @@ export default function AttendanceApp() {
       
       {activeTab === 'datewise' && (
         <div className="mb-20 sm:mb-6 pb-6 sm:pb-0">
-          {/* Coming Soon Message */}
           <div className={classNames(
-            'rounded-xl p-8 sm:p-12 border',
+            'rounded-xl p-4 sm:p-6 border mb-4',
             isDarkTheme
               ? 'bg-white/10 border-white/20'
               : 'bg-white/20 border-white/30'
           )}>
-            <div className="flex flex-col items-center justify-center text-center">
-              <div className={classNames(
-                'rounded-full p-6 mb-6',
-                isDarkTheme 
-                  ? 'bg-white/10 border border-white/20' 
-                  : 'bg-white/20 border border-white/30'
-              )}>
-                <svg className="w-16 h-16" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                  <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M8 7V3m8 4V3m-9 8h10M5 21h14a2 2 0 002-2V7a2 2 0 00-2-2H5a2 2 0 00-2 2v12a2 2 0 002 2z" />
-                </svg>
+            <label htmlFor="datewise-date" className={classNames(
+              'text-sm font-medium',
+              isDarkTheme ? 'text-white/80' : 'text-slate-700'
+            )}>
+              Date
+            </label>
+            <div className="flex flex-col sm:flex-row sm:items-end gap-2">
+              <div className="flex-1">
+                <DatePickerInput
+                  id="datewise-date"
+                  value={selectedDate}
+                  onChange={setSelectedDate}
+                  isDarkTheme={isDarkTheme}
+                />
               </div>
-              <h3 className={classNames(
-                'text-2xl font-bold mb-3',
-                isDarkTheme ? 'text-white/90' : 'text-slate-900'
-              )}>
-                Date-wise Attendance
-              </h3>
-              <p className={classNames(
-                'text-base mb-6 max-w-md',
-                isDarkTheme ? 'text-white/70' : 'text-slate-600'
-              )}>
-                This feature is coming soon! We're working on bringing you the ability to view attendance for specific dates.
-              </p>
+              <button
+                type="button"
+                onClick={() => fetchDatewise()}
+                disabled={datewiseLoading}
+                className="px-4 py-2.5 rounded-lg text-sm font-medium bg-[var(--accent-1)] text-white disabled:opacity-50 transition-all"
+              >
+                {datewiseLoading ? 'Loading…' : 'Show attendance'}
+              </button>
+            </div>
+            {showPasswordInput && (
+              <div className="mt-4">
+                <p className={classNames('text-sm', isDarkTheme ? 'text-white/70' : 'text-slate-600')}>
+                  Date-wise attendance is fetched live from the LMS, so it needs your LMS password.
+                  Tick &ldquo;Remember me&rdquo; when signing in to have it saved securely on the server.
+                </p>
+                <DatewisePasswordForm
+                  isDarkTheme={isDarkTheme}
+                  disabled={datewiseLoading}
+                  onSubmit={(pw) => fetchDatewise(pw)}
+                />
+              </div>
+            )}
+            {datewiseError && (
+              <div className="mt-4 rounded-lg px-3 py-2 text-sm bg-red-500/15 border border-red-400/30 text-red-300">
+                {datewiseError}
+              </div>
+            )}
+          </div>
+
+          {datewiseLoading && (
+            <div className="space-y-2">
+              {Array.from({ length: 4 }).map((_, i) => (
+                <div key={`datewise-skeleton-${i}`} className="h-16 rounded-xl bg-gradient-to-r from-white/10 via-white/20 to-white/10 bg-[length:200%_100%] animate-shimmer" />
+              ))}
+            </div>
+          )}
+
+          {!datewiseLoading && datewiseData && (
+            <div>
               <div className={classNames(
-                'inline-flex items-center gap-2 px-4 py-2 rounded-lg text-sm font-medium',
-                isDarkTheme
-                  ? 'bg-[var(--accent-1)]/20 border border-[var(--accent-1)]/30 text-[var(--accent-1)]'
-                  : 'bg-[var(--accent-1)]/10 border border-[var(--accent-1)]/20 text-[var(--accent-1)]'
+                'mb-3 text-sm',
+                isDarkTheme ? 'text-white/70' : 'text-slate-600'
               )}>
-                <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                  <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M13 16h-1v-4h-1m1-4h.01M21 12a9 9 0 11-18 0 9 9 0 0118 0z" />
-                </svg>
-                Coming Soon
+                {datewiseData.date_used || selectedDate}
+                {' · '}
+                {datewiseData.rows?.filter(r => /present/i.test(r.attendance)).length || 0} present
+                {' · '}
+                {datewiseData.rows?.filter(r => /absent/i.test(r.attendance)).length || 0} absent
+                {datewiseData.source === 'database' && datewiseData.fetched_at && (
+                  <>
+                    {' · saved '}
+                    {new Date(datewiseData.fetched_at).toLocaleString()}
+                    {' · '}
+                    <button
+                      type="button"
+                      onClick={() => fetchDatewise(null, { refresh: true })}
+                      className="underline text-[var(--accent-1)]"
+                    >
+                      Refresh from LMS
+                    </button>
+                  </>
+                )}
               </div>
+              {(datewiseData.rows || []).length === 0 ? (
+                <div className="text-center text-white/70 py-8">
+                  No classes recorded for this date.
+                </div>
+              ) : (
+                <DatewisePeriodList rows={datewiseData.rows} />
+              )}
+            </div>
+          )}
+        </div>
+      )}
+      {activeTab === 'calendar' && (
+        <div className="mb-20 sm:mb-6 pb-6 sm:pb-0">
+          <div className={classNames(
+            'rounded-xl p-4 sm:p-6 border mb-4',
+            isDarkTheme
+              ? 'bg-white/10 border-white/20'
+              : 'bg-white/20 border-white/30'
+          )}>
+            <div className="flex items-center justify-between mb-4">
+              <button
+                type="button"
+                onClick={() => shiftCalendarMonth(-1)}
+                aria-label="Previous month"
+                className={classNames('p-2 rounded-lg transition-colors', isDarkTheme ? 'text-white/80 hover:bg-white/10' : 'text-slate-700 hover:bg-slate-100')}
+              >
+                ‹
+              </button>
+              <h3 className={classNames('text-lg font-semibold', isDarkTheme ? 'text-white/90' : 'text-slate-900')}>
+                {new Date(`${calendarMonth}-01T00:00:00`).toLocaleDateString(undefined, { month: 'long', year: 'numeric' })}
+              </h3>
+              <button
+                type="button"
+                onClick={() => shiftCalendarMonth(1)}
+                aria-label="Next month"
+                className={classNames('p-2 rounded-lg transition-colors', isDarkTheme ? 'text-white/80 hover:bg-white/10' : 'text-slate-700 hover:bg-slate-100')}
+              >
+                ›
+              </button>
+            </div>
+
+            {calendarLoading && calendarData?.month !== calendarMonth && (
+              <div className="h-64 rounded-xl bg-gradient-to-r from-white/10 via-white/20 to-white/10 bg-[length:200%_100%] animate-shimmer" />
+            )}
+            {calendarData && calendarData.month === calendarMonth && (
+              <MonthHeatmap
+                month={calendarMonth}
+                days={calendarData.days || []}
+                selectedDate={calendarDay}
+                onSelectDay={setCalendarDay}
+                isDarkTheme={isDarkTheme}
+              />
+            )}
+
+            <div className={classNames('mt-4 flex items-center gap-2 text-xs', isDarkTheme ? 'text-white/60' : 'text-slate-600')}>
+              <span>Less</span>
+              {[0, 0.5, 0.75, 1].map(ratio => (
+                <span key={ratio} className="w-4 h-4 rounded" style={{ backgroundColor: `hsla(${Math.round(ratio * 120)}, 70%, 45%, 0.75)` }} />
+              ))}
+              <span>More attended</span>
             </div>
+
+            {calendarData?.month === calendarMonth && calendarData.missingDates?.length > 0 && !calendarSync && (
+              <button
+                type="button"
+                onClick={() => syncCalendarMonth()}
+                className="mt-4 px-4 py-2.5 rounded-lg text-sm font-medium bg-[var(--accent-1)] text-white transition-all"
+              >
+                Load {calendarData.missingDates.length} missing {calendarData.missingDates.length === 1 ? 'day' : 'days'} from LMS
+              </button>
+            )}
+            {calendarSync && (
+              <div className={classNames('mt-4 text-sm', isDarkTheme ? 'text-white/70' : 'text-slate-600')}>
+                Fetching from LMS… {calendarSync.done}/{calendarSync.total} days
+              </div>
+            )}
+            {showCalendarPasswordInput && (
+              <div className="mt-4">
+                <p className={classNames('text-sm', isDarkTheme ? 'text-white/70' : 'text-slate-600')}>
+                  Date-wise attendance is fetched live from the LMS, so it needs your LMS password.
+                  Tick &ldquo;Remember me&rdquo; when signing in to have it saved securely on the server.
+                </p>
+                <DatewisePasswordForm
+                  isDarkTheme={isDarkTheme}
+                  disabled={!!calendarSync}
+                  onSubmit={(pw) => syncCalendarMonth(pw)}
+                />
+              </div>
+            )}
+            {calendarError && (
+              <div className="mt-4 rounded-lg px-3 py-2 text-sm bg-red-500/15 border border-red-400/30 text-red-300">
+                {calendarError}
+              </div>
+            )}
           </div>
-          
+
+          {calendarDay && calendarData && (() => {
+            const day = (calendarData.days || []).find(d => d.date === calendarDay)
+            if (!day) return null
+            return (
+              <div>
+                <div className={classNames('mb-3 text-sm', isDarkTheme ? 'text-white/70' : 'text-slate-600')}>
+                  {day.date} · {day.present} present · {day.absent} absent
+                </div>
+                {day.periods.length === 0 ? (
+                  <div className="text-center text-white/70 py-8">
+                    No classes recorded for this date.
+                  </div>
+                ) : (
+                  <DatewisePeriodList rows={day.periods} />
+                )}
+              </div>
+            )
+          })()}
         </div>
       )}
       {/* About & Support Buttons */}
@@ -2459,7 +3560,7 @@ export default function AttendanceApp() {
         </button>
       </div>
     </Container>
-  ), [isFallback, memoizedUpcomingClasses, memoizedAttendance, loading, theme, isDarkTheme, handleLogout, handleWhatsAppSupport, activeTab, studentName, typedDate, selectedDate, isPredictMode, leaveCounts, predictedAttendance, datewiseLoading, datewiseData, datewiseError, datewisePassword, showPasswordInput])
+  ), [isFallback, cachedAsOf, refreshing, memoizedUpcomingClasses, memoizedAttendance, loading, theme, isDarkTheme, handleLogout, handleWhatsAppSupport, activeTab, studentName, typedDate, selectedDate, isPredictMode, leaveCounts, predictedAttendance, datewiseLoading, datewiseData, datewiseError, datewisePassword, showPasswordInput, fetchDatewise, calendarMonth, calendarData, calendarLoading, calendarError, calendarDay, calendarSync, showCalendarPasswordInput])
 
   return (
     <div className="relative overflow-x-hidden">
@@ -2467,7 +3568,15 @@ export default function AttendanceApp() {
         <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/40 backdrop-blur-sm" onMouseDown={(e)=>e.stopPropagation()}>
           <div className="p-5 rounded-xl bg-white/10 text-center">
             <div className="animate-spin mx-auto h-8 w-8 border-4 border-t-transparent border-white/70 rounded-full"></div>
-            <div className="mt-3 text-sm text-gray-200">Fetching real attendance...</div>
+            <div className="mt-3 text-sm text-gray-200">{describeScrapeProgress(scrapeStatus)}</div>
+            {scrapeStatus && scrapeStatus.status !== 'failed' && (
+              <div className="mt-3 h-1.5 w-48 mx-auto rounded-full bg-white/10 overflow-hidden">
+                <div
+                  className="h-full bg-[var(--accent-1)] transition-all duration-500"
+                  style={{ width: `${Math.max(5, scrapeStatus.progress || 0)}%` }}
+                />
+              </div>
+            )}
           </div>
         </div>
       )}
@@ -2485,7 +3594,6 @@ export default function AttendanceApp() {
           setActiveTab={setActiveTab} 
           theme={theme} 
           isDarkTheme={isDarkTheme}
-          onComingSoonClick={() => setShowComingSoonModal(true)}
         />
       )}
       
@@ -2593,32 +3701,6 @@ export default function AttendanceApp() {
                     </button>
                   </div>
                 </div>
-                <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
-                  <div>
-                    <label htmlFor="fromDate" className={
-                      'block text-sm font-medium ' + (isDarkTheme ? 'text-white/80' : 'text-slate-700')
-                    }>From Date</label>
-                    <DatePickerInput
-                      id="fromDate"
-                      value={fromDate}
-                      onChange={setFromDate}
-                      isDarkTheme={isDarkTheme}
-                      placeholder="Select start date"
-                    />
-                  </div>
-                  <div>
-                    <label htmlFor="toDate" className={
-                      'block text-sm font-medium ' + (isDarkTheme ? 'text-white/80' : 'text-slate-700')
-                    }>To Date</label>
-                    <DatePickerInput
-                      id="toDate"
-                      value={toDate}
-                      onChange={setToDate}
-                      isDarkTheme={isDarkTheme}
-                      placeholder="Select end date"
-                    />
-                  </div>
-                </div>
                 <label className={
                   'mt-3 inline-flex items-center gap-2 ' + (isDarkTheme ? 'text-white/80' : 'text-slate-700')
                 }>
@@ -2705,7 +3787,11 @@ export default function AttendanceApp() {
             </div>
           </div>
         </div>
-      ) : <DashboardPage />}
+      ) : (
+        <PullToRefresh onRefresh={handleRefreshNow} refreshing={refreshing} progressText={describeScrapeProgress(scrapeStatus)}>
+          <DashboardPage />
+        </PullToRefresh>
+      )}
       {/* Backend URL Override Modal */}
       {showBackendModal && (
         <div className="fixed inset-0 z-50 flex items-center justify-center px-4" role="dialog" aria-modal="true">
@@ -2777,152 +3863,25 @@ export default function AttendanceApp() {
           </div>
         </div>
       )}
-      {/* Coming Soon Modal */}
-      {showComingSoonModal && (
-        <div className="fixed inset-0 z-50 flex items-center justify-center px-4" role="dialog" aria-modal="true">
-          <div className="absolute inset-0 bg-black/50 backdrop-blur-sm" onClick={() => setShowComingSoonModal(false)} />
-          <div className={classNames(
-            'relative w-full max-w-lg rounded-2xl p-6 shadow-xl max-h-[90vh] overflow-y-auto',
-            isDarkTheme
-              ? 'bg-white/10 border border-white/10 text-white backdrop-blur-xl'
-              : 'bg-white border border-slate-200 text-slate-900'
-          )}>
-            <button
-              type="button"
-              onClick={() => setShowComingSoonModal(false)}
-              className={classNames(
-                'absolute top-3 right-3 text-lg font-bold p-1 rounded-md transition-colors',
-                isDarkTheme ? 'text-white/70 hover:text-white hover:bg-white/10' : 'text-slate-500 hover:text-slate-900 hover:bg-slate-100'
-              )}
-              aria-label="Close"
-            >
-              ✕
-            </button>
-            <div className="mb-4">
-              <div className="flex items-center gap-2 mb-2">
-                <svg className="w-6 h-6 text-cyan-400" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                  <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M13 10V3L4 14h7v7l9-11h-7z" />
-                </svg>
-                <h3 className={classNames('text-2xl font-bold', isDarkTheme ? 'text-white' : 'text-slate-900')}>
-                  Coming Soon
-                </h3>
-              </div>
-              <p className={classNames('text-sm', isDarkTheme ? 'text-white/70' : 'text-slate-600')}>
-                Exciting new features are on the way! Here's what we're working on:
-              </p>
-            </div>
-            <div className="space-y-4">
-              <div className={classNames(
-                'rounded-xl p-4 border',
-                isDarkTheme
-                  ? 'bg-white/5 border-white/10'
-                  : 'bg-slate-50 border-slate-200'
-              )}>
-                <div className="flex items-start gap-3">
-                  <div className={classNames(
-                    'flex-shrink-0 w-10 h-10 rounded-lg flex items-center justify-center',
-                    isDarkTheme ? 'bg-cyan-500/20' : 'bg-cyan-100'
-                  )}>
-                    <svg className="w-5 h-5 text-cyan-400" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                      <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M9 19v-6a2 2 0 00-2-2H5a2 2 0 00-2 2v6a2 2 0 002 2h2a2 2 0 002-2zm0 0V9a2 2 0 012-2h2a2 2 0 012 2v10m-6 0a2 2 0 002 2h2a2 2 0 002-2m0 0V5a2 2 0 012-2h2a2 2 0 012 2v14a2 2 0 01-2 2h-2a2 2 0 01-2-2z" />
-                    </svg>
-                  </div>
-                  <div className="flex-1">
-                    <h4 className={classNames('font-semibold mb-1', isDarkTheme ? 'text-white' : 'text-slate-900')}>
-                      Customizable Attendance Percentage
-                    </h4>
-                    <p className={classNames('text-sm', isDarkTheme ? 'text-white/70' : 'text-slate-600')}>
-                      Set your own attendance percentage threshold for each subject. No more one-size-fits-all requirements!
-                    </p>
-                  </div>
-                </div>
-              </div>
-              
-              <div className={classNames(
-                'rounded-xl p-4 border',
-                isDarkTheme
-                  ? 'bg-white/5 border-white/10'
-                  : 'bg-slate-50 border-slate-200'
-              )}>
-                <div className="flex items-start gap-3">
-                  <div className={classNames(
-                    'flex-shrink-0 w-10 h-10 rounded-lg flex items-center justify-center',
-                    isDarkTheme ? 'bg-purple-500/20' : 'bg-purple-100'
-                  )}>
-                    <svg className="w-5 h-5 text-purple-400" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                      <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M9.663 17h4.673M12 3v1m6.364 1.636l-.707.707M21 12h-1M4 12H3m3.343-5.657l-.707-.707m2.828 9.9a5 5 0 117.072 0l-.548.547A3.374 3.374 0 0014 18.469V19a2 2 0 11-4 0v-.531c0-.895-.356-1.754-.988-2.386l-.548-.547z" />
-                    </svg>
-                  </div>
-                  <div className="flex-1">
-                    <h4 className={classNames('font-semibold mb-1', isDarkTheme ? 'text-white' : 'text-slate-900')}>
-                      Smart AI Suggestions
-                    </h4>
-                    <p className={classNames('text-sm', isDarkTheme ? 'text-white/70' : 'text-slate-600')}>
-                      Get intelligent recommendations when your attendance is low. AI will suggest the best days to take leave to maintain your target percentage.
-                    </p>
-                  </div>
-                </div>
-              </div>
-              
-              <div className={classNames(
-                'rounded-xl p-4 border',
-                isDarkTheme
-                  ? 'bg-white/5 border-white/10'
-                  : 'bg-slate-50 border-slate-200'
-              )}>
-                <div className="flex items-start gap-3">
-                  <div className={classNames(
-                    'flex-shrink-0 w-10 h-10 rounded-lg flex items-center justify-center',
-                    isDarkTheme ? 'bg-indigo-500/20' : 'bg-indigo-100'
-                  )}>
-                    <svg className="w-5 h-5 text-indigo-400" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                      <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M7 21a4 4 0 01-4-4V5a2 2 0 012-2h4a2 2 0 012 2v12a4 4 0 01-4 4zm0 0h12a2 2 0 002-2v-4a2 2 0 00-2-2h-2.343M11 7.343l1.657-1.657a2 2 0 012.828 0l2.829 2.829a2 2 0 010 2.828l-8.486 8.485M7 17h.01" />
-                    </svg>
-                  </div>
-                  <div className="flex-1">
-                    <h4 className={classNames('font-semibold mb-1', isDarkTheme ? 'text-white' : 'text-slate-900')}>
-                      UI Enhancements
-                    </h4>
-                    <p className={classNames('text-sm', isDarkTheme ? 'text-white/70' : 'text-slate-600')}>
-                      A more intuitive and user-friendly interface with improved navigation, better visualizations, and smoother interactions.
-                    </p>
-                  </div>
-                </div>
-              </div>
-              
-              <div className={classNames(
-                'rounded-xl p-4 border',
-                isDarkTheme
-                  ? 'bg-white/5 border-white/10'
-                  : 'bg-slate-50 border-slate-200'
-              )}>
-                <div className="flex items-start gap-3">
-                  <div className={classNames(
-                    'flex-shrink-0 w-10 h-10 rounded-lg flex items-center justify-center',
-                    isDarkTheme ? 'bg-amber-500/20' : 'bg-amber-100'
-                  )}>
-                    <svg className="w-5 h-5 text-amber-400" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                      <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M8 7V3m8 4V3m-9 8h10M5 21h14a2 2 0 002-2V7a2 2 0 00-2-2H5a2 2 0 00-2 2v12a2 2 0 002 2z" />
-                    </svg>
-                  </div>
-                  <div className="flex-1">
-                    <h4 className={classNames('font-semibold mb-1', isDarkTheme ? 'text-white' : 'text-slate-900')}>
-                      Day-wise Attendance View
-                    </h4>
-                    <p className={classNames('text-sm', isDarkTheme ? 'text-white/70' : 'text-slate-600')}>
-                      Get a detailed, user-friendly day-wise breakdown of your attendance. Easily track which days you attended and which you missed.
-                    </p>
-                  </div>
-                </div>
-              </div>
-            </div>
-            <div className="mt-6 pt-4 border-t border-white/10">
-              <p className={classNames('text-xs text-center', isDarkTheme ? 'text-white/60' : 'text-slate-500')}>
-                Stay tuned for updates! We're working hard to bring you these features soon.
-              </p>
-            </div>
-          </div>
-        </div>
+      {alertSettings && (
+        <AlertEmailDialog
+          isDarkTheme={isDarkTheme}
+          initialEmail={alertSettings.email}
+          smtpConfigured={alertSettings.smtpConfigured}
+          saving={alertSaving}
+          onSave={saveAlertEmail}
+          onClose={() => setAlertSettings(null)}
+        />
+      )}
+      {calendarFeed && (
+        <CalendarFeedDialog
+          isDarkTheme={isDarkTheme}
+          feed={calendarFeed}
+          busy={calendarFeedBusy}
+          onGenerate={() => updateCalendarFeed('POST')}
+          onRevoke={() => updateCalendarFeed('DELETE')}
+          onClose={() => setCalendarFeed(null)}
+        />
       )}
       <Toast type={toast.type} message={toast.message} onClose={() => setToast({ type: 'info', message: '' })} />
     </div>
@@ -1,8 +1,137 @@
-import { useCallback, useState } from 'react'
+import { useCallback, useEffect, useRef, useState } from 'react'
 import { detectApiBase } from '../config/apiDetector.js'
 
 // Token storage key
 const TOKEN_KEY = 'ATT_TOKEN'
+// Delay before reopening the live update stream after it drops
+const STREAM_RECONNECT_MS = 30000
+// How long a manual refresh follows its scrape job before giving up
+const REFRESH_WAIT_MS = 3 * 60 * 1000
+const REFRESH_POLL_MS = 2000
+// Last good /api/attendance response per student, written by public/sw.js
+const ATTENDANCE_CACHE = 'sbmch-attendance-v1'
+
+function studentIdFromToken(token) {
+  try {
+    const payload = JSON.parse(window.atob(token.split('.')[1].replace(/-/g, '+').replace(/_/g, '/')))
+    return payload.student_id || null
+  } catch {
+    return null
+  }
+}
+
+function attendanceCacheKey(studentId) {
+  return `${window.location.origin}/offline/attendance/${encodeURIComponent(studentId)}`
+}
+
+// Cached attendance for the token's student, or null (no cache, no Cache API, or never fetched)
+async function readCachedAttendance(token) {
+  const studentId = studentIdFromToken(token)
+  if (!studentId || !window.caches) return null
+  try {
+    const cached = await window.caches.match(attendanceCacheKey(studentId), { cacheName: ATTENDANCE_CACHE })
+    return cached ? await cached.json() : null
+  } catch (e) {
+    console.warn('[useAttendance] Could not read cached attendance:', e.message)
+    return null
+  }
+}
+
+// User-facing text for scrape_jobs error codes (see backend/src/services/scrapeJobService.js)
+const SCRAPE_ERROR_MESSAGES = {
+  bad_credentials: 'The LMS rejected your student ID or password. Please log in again with your current LMS password.',
+  credentials_required: 'Your LMS password is needed to fetch attendance. Please log in again.',
+  lms_down: 'The college LMS is not responding right now. Please try again in a few minutes.',
+  parse_failure: 'The LMS returned a page we could not read. Please try again later.',
+  internal: 'Something went wrong on our side while fetching attendance. Please try again.'
+}
+
+export function describeScrapeError(error) {
+  return SCRAPE_ERROR_MESSAGES[error?.code] || 'Fetching attendance failed. Please try again.'
+}
+
+/**
+ * Read GET /api/attendance/stream (Server-Sent Events) until it ends or `signal` aborts.
+ * Uses fetch rather than EventSource so the token goes in the Authorization header, not the URL.
+ * Calls onEvent(name, data) per event and resolves with the HTTP status (0 when unreachable).
+ */
+async function readAttendanceStream(apiBase, token, { onEvent, signal }) {
+  let resp
+  try {
+    resp = await fetch(`${apiBase}/api/attendance/stream`, {
+      headers: { Authorization: `Bearer ${token}`, Accept: 'text/event-stream' },
+      signal
+    })
+  } catch {
+    return 0
+  }
+  if (!resp.ok || !resp.body) return resp.status
+
+  const reader = resp.body.getReader()
+  const decoder = new window.TextDecoder()
+  let buffer = ''
+  try {
+    for (;;) {
+      const { value, done } = await reader.read()
+      if (done) break
+      buffer += decoder.decode(value, { stream: true })
+      let end
+      while ((end = buffer.indexOf('\n\n')) !== -1) {
+        const block = buffer.slice(0, end)
+        buffer = buffer.slice(end + 2)
+        let name = 'message'
+        let data = ''
+        for (const line of block.split('\n')) {
+          if (line.startsWith('event:')) name = line.slice(6).trim()
+          else if (line.startsWith('data:')) data += line.slice(5).trim()
+        }
+        if (!data) continue // heartbeat / retry lines
+        try {
+          onEvent(name, JSON.parse(data))
+        } catch (e) {
+          console.warn('[useAttendance] Bad stream event:', e.message)
+        }
+      }
+    }
+  } catch {
+    // Aborted or connection dropped
+  }
+  return resp.status
+}
+
+/**
+ * Wait for the current scrape job to finish, reporting progress through onJob.
+ * Resolves with the finished job, or null if the stream was unavailable or timed out.
+ */
+async function waitForScrapeJob(apiBase, token, timeoutMs, onJob) {
+  const controller = new window.AbortController()
+  const timer = setTimeout(() => controller.abort(), timeoutMs)
+  let finished = null
+  await readAttendanceStream(apiBase, token, {
+    signal: controller.signal,
+    onEvent: (name, job) => {
+      if (name !== 'job') return
+      onJob(job)
+      if (job.status === 'succeeded' || job.status === 'failed') {
+        finished = job
+        controller.abort()
+      }
+    }
+  })
+  clearTimeout(timer)
+  return finished
+}
+
+async function clearCachedAttendance(token) {
+  const studentId = studentIdFromToken(token)
+  if (!studentId || !window.caches) return
+  try {
+    const cache = await window.caches.open(ATTENDANCE_CACHE)
+    await cache.delete(attendanceCacheKey(studentId))
+  } catch (e) {
+    console.warn('[useAttendance] Could not clear cached attendance:', e.message)
+  }
+}
 
 export default function useAttendance() {
   const [token, setToken] = useState(() => {
@@ -19,9 +148,20 @@ export default function useAttendance() {
   const [loading, setLoading] = useState(false)
   const [authLoading, setAuthLoading] = useState(false)
   const [error, setError] = useState('')
+  // isFallback: showing the service worker's cached copy; cachedAsOf is that copy's fetchedAt
   const [isFallback, setIsFallback] = useState(false)
+  const [cachedAsOf, setCachedAsOf] = useState(null)
+  // subject -> [{ fetchedAt, present, total, percent }], one point per day
+  const [history, setHistory] = useState({})
+  // Latest scrape job from GET /api/scrape/status while waiting for the first snapshot
+  const [scrapeStatus, setScrapeStatus] = useState(null)
+  // API base of the last live load - the live update stream connects there
+  const [liveApiBase, setLiveApiBase] = useState(null)
+  // Manual refresh (POST /api/attendance/refresh) in flight; it reloads the data itself
+  const [refreshing, setRefreshing] = useState(false)
+  const refreshingRef = useRef(false)
 
-  const login = useCallback(async ({ username, password, fromDate, toDate }) => {
+  const login = useCallback(async ({ username, password, remember = false }) => {
     setAuthLoading(true)
     setError('')
     // Declare apiBase outside try block so it's accessible in catch
@@ -54,7 +194,8 @@ export default function useAttendance() {
       const res = await fetch(url, {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ student_id: username, password })
+        // remember_credentials opts in to (or out of) the server-side credential vault
+        body: JSON.stringify({ student_id: username, password, remember_credentials: remember })
       })
       
       // Parse response text first, then try JSON
@@ -174,6 +315,98 @@ export default function useAttendance() {
     }
   }, [])
 
+  // Load per-subject trend points for the sparklines. Failures only hide the trend, so they stay quiet.
+  const fetchHistory = useCallback(async (apiBase, tokenToUse) => {
+    try {
+      const resp = await fetch(`${apiBase}/api/attendance/history`, {
+        method: 'GET',
+        headers: { Authorization: `Bearer ${tokenToUse}` }
+      })
+      if (!resp.ok) {
+        console.warn('[useAttendance] history fetch failed status', resp.status)
+        return
+      }
+      const data = await resp.json()
+      const bySubject = {}
+      for (const entry of data.subjects || []) {
+        bySubject[entry.subject] = Array.isArray(entry.points) ? entry.points : []
+      }
+      setHistory(bySubject)
+    } catch (err) {
+      console.warn('[useAttendance] history fetch error:', err.message)
+    }
+  }, [])
+
+  const fetchScrapeStatus = useCallback(async (apiBase, tokenToUse) => {
+    try {
+      const resp = await fetch(`${apiBase}/api/scrape/status`, {
+        method: 'GET',
+        headers: { Authorization: `Bearer ${tokenToUse}` }
+      })
+      if (!resp.ok) return null
+      const job = await resp.json()
+      setScrapeStatus(job)
+      return job
+    } catch (err) {
+      console.warn('[useAttendance] scrape status fetch error:', err.message)
+      return null
+    }
+  }, [])
+
+  // Put an /api/attendance payload (live or cached) into state
+  const applyAttendanceData = useCallback((data) => {
+    // threshold/required/margin come from the server's threshold rules - use them as-is
+    const mapped = (data.attendance || []).map(s => {
+      const percent = typeof s.percent === 'number' ? +s.percent : (s.total ? +((s.present / s.total) * 100).toFixed(2) : 0)
+      return { ...s, percent }
+    })
+    setStudentName(data.studentName || '')
+    setAttendance(mapped)
+    setUpcomingClasses(Array.isArray(data.upcomingClasses) ? data.upcomingClasses : [])
+    return mapped
+  }, [])
+
+  // Quiet reload after the stream reports new data - the dashboard is already showing, so no spinner or errors
+  const refreshAttendance = useCallback(async (apiBase, tokenToUse) => {
+    try {
+      const resp = await fetch(`${apiBase}/api/attendance`, {
+        method: 'GET',
+        headers: { Authorization: `Bearer ${tokenToUse}` }
+      })
+      if (resp.status !== 200 || resp.headers.get('X-Served-From-Cache') === '1') return
+      const data = await resp.json()
+      if (!Array.isArray(data.attendance) || data.attendance.length === 0) return
+      applyAttendanceData(data)
+      setIsFallback(false)
+      setCachedAsOf(null)
+      fetchHistory(apiBase, tokenToUse)
+    } catch (err) {
+      console.warn('[useAttendance] live refresh failed:', err.message)
+    }
+  }, [applyAttendanceData, fetchHistory])
+
+  // While the dashboard shows live data, keep the event stream open and reload when a
+  // background scrape (scheduled refresh, login on another device) commits new attendance
+  useEffect(() => {
+    if (!token || !liveApiBase) return undefined
+    const controller = new window.AbortController()
+    const run = async () => {
+      while (!controller.signal.aborted) {
+        const status = await readAttendanceStream(liveApiBase, token, {
+          signal: controller.signal,
+          onEvent: (name) => {
+            if (name === 'attendance' && !refreshingRef.current) refreshAttendance(liveApiBase, token)
+          }
+        })
+        // Token rejected or backend without the stream endpoint - don't keep retrying
+        if (controller.signal.aborted || status === 401 || status === 402 || status === 404) return
+        await new Promise(r => setTimeout(r, STREAM_RECONNECT_MS))
+      }
+    }
+    run()
+    return () => controller.abort()
+  }, [token, liveApiBase, refreshAttendance])
+
   // Replace fetchAttendance with polling-based approach to prioritize real data
   const fetchAttendance = useCallback(async (t = null) => {
     setLoading(true)
@@ -207,20 +440,6 @@ export default function useAttendance() {
     
     let apiBase = reactApi || viteApi || localStorage.getItem('API_OVERRIDE') || (isDev ? 'http://localhost:3000' : null)
 
-    // local helper to compute required sessions to reach 75%
-    const computeRequired = (present, total) => {
-      if (total === 0) return 0
-      const current = (present / total) * 100
-      if (current >= 75) return 0
-      let r = 0
-      while (true) {
-        const pct = ((present + r) / (total + r)) * 100
-        if (pct >= 75) return r
-        r++
-        if (r > 2000) return r
-      }
-    }
-
     // Retry many times to wait for scraper to finish (scraping can take 30-60 seconds)
     // Use longer backoff to give scraper time: 2s, 4s, 6s, 8s, 10s, 12s, 14s, 16s, 18s, 20s
     const MAX_TRIES = 10
@@ -228,9 +447,16 @@ export default function useAttendance() {
     let attempt = 0
     let lastErr = null
     let earlyNetworkFail = false
+    let scrapeFailure = null
+    // While the server reports the scrape as queued/running, poll every INTERVAL_MS without
+    // using up attempts - bounded by JOB_WAIT_MS so a stuck job can't spin forever
+    const JOB_WAIT_MS = 3 * 60 * 1000
+    const jobDeadline = Date.now() + JOB_WAIT_MS
+    let jobActive = false
 
     while (attempt < MAX_TRIES) {
       attempt++
+      jobActive = false
       try {
         const attendanceUrl = `${apiBase}/api/attendance`
         console.log('[useAttendance] Fetching attendance', {
@@ -249,6 +475,25 @@ export default function useAttendance() {
           const pendingData = await resp.json().catch(() => ({}))
           console.log(`[useAttendance] attempt ${attempt}/${MAX_TRIES} received 202 (Pending) - scraper still running, will retry...`, pendingData)
           lastErr = new Error('Attendance pending, retrying')
+          // Follow the scrape over the event stream and refetch as soon as it finishes
+          const finished = Date.now() < jobDeadline
+            ? await waitForScrapeJob(apiBase, tokenToUse, jobDeadline - Date.now(), setScrapeStatus)
+            : null
+          if (finished?.status === 'failed') {
+            scrapeFailure = finished.error
+            break
+          }
+          if (finished?.status === 'succeeded') {
+            continue
+          }
+          // No stream (or it gave up) - ask how the scrape is doing and poll
+          // A failed job won't produce data however long we poll
+          const job = await fetchScrapeStatus(apiBase, tokenToUse)
+          if (job?.status === 'failed') {
+            scrapeFailure = job.error
+            break
+          }
+          jobActive = job?.status === 'queued' || job?.status === 'running'
           // Continue to next attempt (don't treat as failure yet)
         } else if (!resp.ok) {
           console.warn('[useAttendance] attempt', attempt, 'failed status', resp.status)
@@ -277,17 +522,19 @@ export default function useAttendance() {
           })
           const list = data.attendance || []
           if (Array.isArray(list) && list.length > 0) {
-            const mapped = list.map(s => {
-              const percent = typeof s.percent === 'number' ? +s.percent : (s.total ? +((s.present / s.total) * 100).toFixed(2) : 0)
-              const required = typeof s.required === 'number' ? s.required : computeRequired(s.present, s.total)
-              const margin = +(percent - 75).toFixed(2)
-              return { ...s, percent, required, margin }
-            })
-            setStudentName(data.studentName || '')
-            setAttendance(mapped)
-            setUpcomingClasses(Array.isArray(data.upcomingClasses) ? data.upcomingClasses : [])
+            // The service worker answers with the last good response when the backend is unreachable
+            const fromCache = resp.headers.get('X-Served-From-Cache') === '1'
+            const mapped = applyAttendanceData(data)
+            setIsFallback(fromCache)
+            setCachedAsOf(fromCache ? data.fetchedAt || null : null)
             setLoading(false)
-            return { records: mapped, fallbackUsed: false }
+            setScrapeStatus(null)
+            if (!fromCache) {
+              setLiveApiBase(apiBase)
+              // Trend data is secondary - don't hold the dashboard back for it
+              fetchHistory(apiBase, tokenToUse)
+            }
+            return { records: mapped, fallbackUsed: fromCache }
           } else {
             console.log('[useAttendance] attempt', attempt, 'empty attendance, retrying...')
             lastErr = new Error('Empty attendance, retrying')
@@ -306,40 +553,96 @@ export default function useAttendance() {
 
       // Longer backoff to give scraper time: 2s, 4s, 6s, 8s, 10s, 12s, 14s, 16s, 18s, 20s
       // Total wait time: ~110 seconds (almost 2 minutes) - enough for slow scrapes
-      if (!earlyNetworkFail && attempt < MAX_TRIES) {
+      if (jobActive && Date.now() < jobDeadline) {
+        attempt--
+        await new Promise(r => setTimeout(r, INTERVAL_MS))
+      } else if (!earlyNetworkFail && attempt < MAX_TRIES) {
         const backoffMs = attempt * INTERVAL_MS
         console.log(`[useAttendance] Waiting ${backoffMs / 1000}s before attempt ${attempt + 1}... (scraper may take 30-60s)`)
         await new Promise(r => setTimeout(r, backoffMs))
       }
     }
 
-    console.warn('[useAttendance] polling failed, using fallback after', attempt, 'tries:', lastErr && lastErr.message)
-    // apiBase is used in the closure above
-    setIsFallback(true)
+    console.warn('[useAttendance] polling failed after', attempt, 'tries:', lastErr && lastErr.message)
+    // Last known attendance for this student (also covers server errors the service worker passes through)
+    const cached = await readCachedAttendance(tokenToUse)
+    setLoading(false)
+    if (cached && Array.isArray(cached.attendance) && cached.attendance.length > 0) {
+      const mapped = applyAttendanceData(cached)
+      setIsFallback(true)
+      setCachedAsOf(cached.fetchedAt || null)
+      return { records: mapped, fallbackUsed: true }
+    }
+    setError(scrapeFailure ? describeScrapeError(scrapeFailure) : 'Could not load attendance. Check your connection and try again.')
+    return { fallbackUsed: false, failed: true, scrapeError: scrapeFailure }
+  }, [token, fetchHistory, fetchScrapeStatus, applyAttendanceData])
+
+  // Re-scrape now with the vaulted password and reload once the job finishes.
+  // Resolves with { ok } or { ok: false, error, retryAfter?, scrapeError? }; { unauthorized } when the session is gone.
+  const refreshNow = useCallback(async () => {
+    if (refreshingRef.current) return { ok: false, error: 'already_refreshing' }
+    if (!liveApiBase || !token) {
+      // Showing cached data (or nothing yet) - a normal load is the refresh
+      const result = await fetchAttendance()
+      if (result?.unauthorized) return { unauthorized: true }
+      return { ok: Boolean(result?.records) && !result?.fallbackUsed, error: result?.fallbackUsed ? 'offline' : 'load_failed' }
+    }
+
+    refreshingRef.current = true
+    setRefreshing(true)
     try {
-      const sample = await fetch('/sampleAttendance.json').then(r => r.json())
-      setStudentName(sample.studentName || '')
-      setAttendance(sample.attendance || [])
-      setUpcomingClasses(Array.isArray(sample.upcomingClasses) ? sample.upcomingClasses : [])
-    } catch (e) {
-      setError('Failed to load fallback data')
+      const resp = await fetch(`${liveApiBase}/api/attendance/refresh`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${token}` },
+        body: '{}'
+      })
+      const data = await resp.json().catch(() => ({}))
+      if (resp.status === 401 || resp.status === 402) return { unauthorized: true }
+      if (!resp.ok) {
+        return { ok: false, error: data.error || 'refresh_failed', retryAfter: data.retryAfter }
+      }
+
+      const deadline = Date.now() + REFRESH_WAIT_MS
+      let job = await waitForScrapeJob(liveApiBase, token, REFRESH_WAIT_MS, setScrapeStatus)
+      // No event stream - poll the job instead
+      while (!job && Date.now() < deadline) {
+        await new Promise(r => setTimeout(r, REFRESH_POLL_MS))
+        const status = await fetchScrapeStatus(liveApiBase, token)
+        if (status?.status === 'succeeded' || status?.status === 'failed') job = status
+      }
+      if (!job) return { ok: false, error: 'timeout' }
+      if (job.status === 'failed') return { ok: false, error: 'scrape_failed', scrapeError: job.error }
+
+      await refreshAttendance(liveApiBase, token)
+      return { ok: true }
+    } catch (err) {
+      console.warn('[useAttendance] manual refresh failed:', err.message)
+      return { ok: false, error: 'network_error' }
     } finally {
-      setLoading(false)
-      return { fallbackUsed: true }
+      refreshingRef.current = false
+      setRefreshing(false)
+      setScrapeStatus(null)
     }
-  }, [token])
+  }, [liveApiBase, token, fetchAttendance, fetchScrapeStatus, refreshAttendance])
 
   const logout = useCallback(() => {
     try {
+      // Don't leave this student's attendance readable offline on a shared device
+      const current = localStorage.getItem(TOKEN_KEY)
+      if (current) clearCachedAttendance(current)
       localStorage.removeItem(TOKEN_KEY)
     } catch (e) {
       console.warn('[useAttendance] Could not remove token from localStorage:', e.message)
     }
     setToken('')
     setAttendance([])
+    setHistory({})
     setStudentName('')
     setError('') // Clear error on logout
     setIsFallback(false)
+    setCachedAsOf(null)
+    setScrapeStatus(null)
+    setLiveApiBase(null)
   }, [])
 
   // Clear error function for external use
@@ -353,12 +656,17 @@ export default function useAttendance() {
     studentName,
     attendance,
     upcomingClasses,
+    history,
     loading,
     authLoading,
     error,
     isFallback,
+    cachedAsOf,
+    scrapeStatus,
+    refreshing,
     login,
     fetchAttendance,
+    refreshNow,
     logout,
     clearError
   }
@@ -0,0 +1,119 @@
+import { useEffect, useState } from 'react'
+
+// VAPID keys are URL-safe base64; PushManager.subscribe wants raw bytes
+function urlBase64ToUint8Array(base64) {
+  const padded = (base64 + '='.repeat((4 - (base64.length % 4)) % 4)).replace(/-/g, '+').replace(/_/g, '/')
+  const raw = window.atob(padded)
+  return Uint8Array.from(raw, (c) => c.charCodeAt(0))
+}
+
+const isSupported = () =>
+  typeof window !== 'undefined' &&
+  'serviceWorker' in navigator &&
+  'PushManager' in window &&
+  'Notification' in window
+
+/**
+ * Web Push subscription for this browser.
+ * `authorizedFetch(path, options)` must resolve to { resp, data } (or null when logged out).
+ */
+export default function usePushNotifications(authorizedFetch) {
+  const supported = isSupported()
+  const [subscribed, setSubscribed] = useState(false)
+  const [busy, setBusy] = useState(false)
+
+  useEffect(() => {
+    if (!supported) return
+    let cancelled = false
+    navigator.serviceWorker.ready
+      .then((reg) => reg.pushManager.getSubscription())
+      .then((sub) => {
+        if (!cancelled) setSubscribed(Boolean(sub))
+      })
+      .catch((e) => console.warn('[push] Could not read subscription:', e.message))
+    return () => {
+      cancelled = true
+    }
+  }, [supported])
+
+  // Returns { ok, reason? } where reason is 'unsupported', 'denied', 'not_configured' or 'failed'
+  const enable = async () => {
+    if (!supported) return { ok: false, reason: 'unsupported' }
+    setBusy(true)
+    try {
+      const permission = await window.Notification.requestPermission()
+      if (permission !== 'granted') return { ok: false, reason: 'denied' }
+
+      const keyResult = await authorizedFetch('/api/push/vapid-public-key')
+      if (!keyResult || !keyResult.resp.ok) return { ok: false, reason: 'not_configured' }
+
+      const reg = await navigator.serviceWorker.ready
+      const sub = await reg.pushManager.subscribe({
+        userVisibleOnly: true,
+        applicationServerKey: urlBase64ToUint8Array(keyResult.data.publicKey)
+      })
+      const saved = await authorizedFetch('/api/push/subscribe', {
+        method: 'POST',
+        body: JSON.stringify({ subscription: sub.toJSON() })
+      })
+      if (!saved || !saved.resp.ok) {
+        await sub.unsubscribe().catch(() => {})
+        return { ok: false, reason: 'failed' }
+      }
+      setSubscribed(true)
+      return { ok: true }
+    } catch (e) {
+      console.warn('[push] Subscribe failed:', e.message)
+      return { ok: false, reason: 'failed' }
+    } finally {
+      setBusy(false)
+    }
+  }
+
+  const disable = async () => {
+    if (!supported) return { ok: false, reason: 'unsupported' }
+    setBusy(true)
+    try {
+      const reg = await navigator.serviceWorker.ready
+      const sub = await reg.pushManager.getSubscription()
+      if (sub) {
+        await authorizedFetch('/api/push/subscribe', {
+          method: 'DELETE',
+          body: JSON.stringify({ endpoint: sub.endpoint })
+        })
+        await sub.unsubscribe()
+      }
+      setSubscribed(false)
+      return { ok: true }
+    } catch (e) {
+      console.warn('[push] Unsubscribe failed:', e.message)
+      return { ok: false, reason: 'failed' }
+    } finally {
+      setBusy(false)
+    }
+  }
+
+  // Drop this browser's subscription on logout, so on a shared device the next student doesn't get
+  // the previous one's pushes. Call before the session token is cleared. Never throws.
+  const unsubscribeOnLogout = async () => {
+    if (!supported) return
+    try {
+      // getRegistration() rather than .ready, which never settles without a service worker
+      const reg = await navigator.serviceWorker.getRegistration()
+      const sub = reg ? await reg.pushManager.getSubscription() : null
+      if (sub) {
+        await authorizedFetch('/api/push/subscribe', {
+          method: 'DELETE',
+          body: JSON.stringify({ endpoint: sub.endpoint })
+        }).catch((e) => console.warn('[push] Could not remove subscription on the server:', e.message))
+        await sub.unsubscribe()
+      }
+    } catch (e) {
+      console.warn('[push] Unsubscribe on logout failed:', e.message)
+    } finally {
+      setSubscribed(false)
+    }
+  }
+
+  return { supported, subscribed, busy, enable, disable, unsubscribeOnLogout }
+}
@@ -59,6 +59,15 @@ try {
   document.documentElement.classList.add('dark')
 }
 
+// Service worker receives Web Push notifications even while the app is closed
+if ('serviceWorker' in navigator) {
+  window.addEventListener('load', () => {
+    navigator.serviceWorker.register('/sw.js').catch((e) => {
+      console.warn('[sw] Service worker registration failed:', e.message)
+    })
+  })
+}
+
 createRoot(document.getElementById('root')).render(
   <React.StrictMode>
     <Suspense fallback={